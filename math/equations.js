@@ -0,0 +1,651 @@
+/**
+ * math/equations.js - Polynomial equations
+ * Numeric roots (closed forms up to degree four, Aberth–Ehrlich iteration beyond), their formatting and exact
+ * radical forms for rational coefficients.
+ * No DOM access: loaded by index.html ahead of script.js, and require()d by the tests in test/.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else Object.assign(root, factory());
+})(this, () => {
+    // Complex arithmetic on { real, imag } pairs
+    const Complex = {
+        add: (a, b) => ({ real: a.real + b.real, imag: a.imag + b.imag }),
+        sub: (a, b) => ({ real: a.real - b.real, imag: a.imag - b.imag }),
+        mul: (a, b) => ({ real: a.real * b.real - a.imag * b.imag, imag: a.real * b.imag + a.imag * b.real }),
+        div: (a, b) => {
+            const d = b.real * b.real + b.imag * b.imag;
+            return { real: (a.real * b.real + a.imag * b.imag) / d, imag: (a.imag * b.real - a.real * b.imag) / d };
+        },
+        abs: a => Math.hypot(a.real, a.imag),
+        // Principal square root.
+        sqrt: a => {
+            const r = Complex.abs(a);
+            const imag = Math.sqrt((r - a.real) / 2);
+            return { real: Math.sqrt((r + a.real) / 2), imag: a.imag < 0 ? -imag : imag };
+        },
+        polar: (r, theta) => ({ real: r * Math.cos(theta), imag: r * Math.sin(theta) })
+    };
+
+    const EquationSolvers = {
+        TOLERANCE: 1e-9,
+        EPSILON: 2.220446049250313e-16,
+        solveLinear: (a, b) => {
+            if (Math.abs(a) < EquationSolvers.TOLERANCE) return [];
+            return [{ real: -b / a, imag: 0 }];
+        },
+        solveQuadratic: (a, b, c) => {
+            if (Math.abs(a) < EquationSolvers.TOLERANCE) return EquationSolvers.solveLinear(b, c);
+            const delta = b * b - 4 * a * c;
+            if (delta >= 0) {
+                // -b ± √Δ cancels for the smaller root, which is taken from x₁x₂ = c/a instead.
+                const q = -(b + (b < 0 ? -1 : 1) * Math.sqrt(delta)) / 2;
+                if (q === 0) return [{ real: 0, imag: 0 }, { real: 0, imag: 0 }];
+                return [{ real: q / a, imag: 0 }, { real: c / q, imag: 0 }];
+            } else {
+                const sqrtDeltaAbs = Math.sqrt(-delta);
+                return [{ real: -b / (2 * a), imag: sqrtDeltaAbs / (2 * a) }, { real: -b / (2 * a), imag: -sqrtDeltaAbs / (2 * a) }];
+            }
+        },
+        solveCubic: (a, b, c, d) => {
+            if (Math.abs(a) < EquationSolvers.TOLERANCE) return EquationSolvers.solveQuadratic(b, c, d);
+            b /= a; c /= a; d /= a;
+            const p = (3 * c - b * b) / 3;
+            const q = (2 * b * b * b - 9 * b * c + 27 * d) / 27;
+            const delta = (q / 2) ** 2 + (p / 3) ** 3;
+            let roots;
+            if (delta >= 0) {
+                const sqrtDelta = Math.sqrt(delta);
+                const u = Math.cbrt(-q / 2 + sqrtDelta);
+                const v = Math.cbrt(-q / 2 - sqrtDelta);
+                roots = [{ real: u + v, imag: 0 }, { real: -(u + v) / 2, imag: (u - v) * Math.sqrt(3) / 2 }, { real: -(u + v) / 2, imag: -(u - v) * Math.sqrt(3) / 2 }];
+            } else {
+                const rho = Math.sqrt(-(p ** 3) / 27);
+                const theta = Math.acos(Math.max(-1, Math.min(1, -q / (2 * rho))));
+                const term = 2 * Math.cbrt(rho);
+                roots = [{ real: term * Math.cos(theta / 3), imag: 0 }, { real: term * Math.cos((theta + 2 * Math.PI) / 3), imag: 0 }, { real: term * Math.cos((theta + 4 * Math.PI) / 3), imag: 0 }];
+            }
+            roots = roots.map(root => ({ real: root.real - b / 3, imag: root.imag }));
+            // When two roots nearly coincide Cardano's formula keeps only about half the digits (acos near ±1,
+            // cube roots of nearly opposite terms). The real root farthest from the others is well conditioned,
+            // so it is polished by Newton's method and the pair is recovered from the deflated quadratic.
+            const gap = root => Math.min(...roots.filter(other => other !== root).map(other => Complex.abs(Complex.sub(root, other))));
+            const isolated = roots.filter(root => root.imag === 0).reduce((best, root) => gap(root) > gap(best) ? root : best);
+            const r = EquationSolvers.polishRoot([1, b, c, d], isolated).real;
+            return [{ real: r, imag: 0 }, ...EquationSolvers.solveQuadratic(1, b + r, c + r * (b + r))];
+        },
+        solveQuartic: (a, b, c, d, e) => {
+            if (Math.abs(a) < EquationSolvers.TOLERANCE) return EquationSolvers.solveCubic(b, c, d, e);
+            b /= a; c /= a; d /= a; e /= a;
+            const p = c - (3 * b * b) / 8;
+            const q = d + (b ** 3) / 8 - (b * c) / 2;
+            const r = e - (3 * b ** 4) / 256 + (b * b * c) / 16 - (b * d) / 4;
+            let roots;
+            if (Math.abs(q) < EquationSolvers.TOLERANCE * Math.max(1, Math.abs(p) ** 1.5, Math.abs(r) ** 0.75)) {
+                // Biquadratic: z² + pz + r = 0 in z = x², then x = ±√z.
+                roots = EquationSolvers.solveQuadratic(1, p, r).flatMap(z => {
+                    const root = Complex.sqrt(z);
+                    return [root, Complex.sub({ real: 0, imag: 0 }, root)];
+                });
+            } else {
+                // Ferrari: (x² + y/2)² = m²x² - qx + y²/4 - r is a perfect square on both sides for any root y ≥ p
+                // of the resolvent cubic (y - p)(y² - 4r) = q². Since it is -q² at y = p, the largest real root qualifies.
+                const cubicRoots = EquationSolvers.solveCubic(1, -p, -4 * r, 4 * p * r - q * q);
+                const y = Math.max(...cubicRoots.filter(root => Math.abs(root.imag) < EquationSolvers.TOLERANCE).map(root => root.real), cubicRoots[0].real);
+                const m = Math.sqrt(Math.max(0, y - p));
+                const n = q / (2 * m);
+                roots = EquationSolvers.solveQuadratic(1, m, y / 2 - n).concat(EquationSolvers.solveQuadratic(1, -m, y / 2 + n));
+            }
+            return roots.map(root => EquationSolvers.polishRoot([1, b, c, d, e], { real: root.real - b / 4, imag: root.imag }));
+        },
+        // Newton steps on the full polynomial, kept only while they shrink |p(z)|, so that a root stays put
+        // once rounding error dominates.
+        polishRoot: (coeffs, z) => {
+            const derivative = EquationSolvers.derivativeCoefficients(coeffs);
+            let residual = Complex.abs(EquationSolvers.evaluatePolynomial(coeffs, z));
+            for (let iter = 0; iter < 8 && residual > 0; iter++) {
+                const step = Complex.div(EquationSolvers.evaluatePolynomial(coeffs, z), EquationSolvers.evaluatePolynomial(derivative, z));
+                if (!isFinite(step.real) || !isFinite(step.imag)) break;
+                const next = Complex.sub(z, step);
+                const nextResidual = Complex.abs(EquationSolvers.evaluatePolynomial(coeffs, next));
+                if (nextResidual >= residual) break;
+                [z, residual] = [next, nextResidual];
+            }
+            return z;
+        },
+        // Coefficients are ordered from the highest power down; roots are { real, imag }.
+        evaluatePolynomial: (coeffs, z) => coeffs.reduce((acc, c) => Complex.add(Complex.mul(acc, z), { real: c, imag: 0 }), { real: 0, imag: 0 }),
+        derivativeCoefficients: coeffs => coeffs.slice(0, -1).map((c, i) => c * (coeffs.length - 1 - i)),
+        // Aberth–Ehrlich iteration: every estimate is pushed by Newton's correction minus the repulsion of the others.
+        aberthRoots: coeffs => {
+            const n = coeffs.length - 1;
+            const derivative = EquationSolvers.derivativeCoefficients(coeffs);
+            // Start on a circle bounded by the Fujiwara radius, rotated off the real axis to avoid symmetric stalls.
+            const radius = Math.max(...coeffs.slice(1).map((c, i) => Math.abs(c / coeffs[0]) ** (1 / (i + 1)))) || 1;
+            const z = Array.from({ length: n }, (_, k) => Complex.polar(radius, 2 * Math.PI * k / n + 0.4));
+            const done = new Array(n).fill(false);
+            for (let iter = 0; iter < 500 && done.includes(false); iter++) {
+                for (let k = 0; k < n; k++) {
+                    if (done[k]) continue;
+                    const p = EquationSolvers.evaluatePolynomial(coeffs, z[k]);
+                    if (Complex.abs(p) === 0) { done[k] = true; continue; }
+                    const ratio = Complex.div(p, EquationSolvers.evaluatePolynomial(derivative, z[k]));
+                    let repulsion = { real: 0, imag: 0 };
+                    for (let j = 0; j < n; j++) if (j !== k) repulsion = Complex.add(repulsion, Complex.div({ real: 1, imag: 0 }, Complex.sub(z[k], z[j])));
+                    const step = Complex.div(ratio, Complex.sub({ real: 1, imag: 0 }, Complex.mul(ratio, repulsion)));
+                    if (!isFinite(step.real) || !isFinite(step.imag)) continue;
+                    z[k] = Complex.sub(z[k], step);
+                    if (Complex.abs(step) <= 1e-15 * Math.max(1, Complex.abs(z[k]))) done[k] = true;
+                }
+            }
+            return z;
+        },
+        // Taylor coefficients of p around z: p(z + h) = Σ b_j h^j, by repeated synthetic division.
+        shiftedCoefficients: (coeffs, z) => {
+            let current = coeffs.map(c => ({ real: c, imag: 0 }));
+            const shifted = [];
+            while (current.length) {
+                const quotient = [];
+                let acc = { real: 0, imag: 0 };
+                current.forEach(c => { acc = Complex.add(Complex.mul(acc, z), c); quotient.push(acc); });
+                shifted.push(quotient.pop());
+                current = quotient;
+            }
+            return shifted;
+        },
+        // A cluster of k estimates is a root of multiplicity k when p, p', …, p^(k-1) all vanish at the
+        // centre to rounding accuracy. The centre is refined by Newton's method on p^(k-1), whose root is simple.
+        mergeCluster: (coeffs, cluster) => {
+            const k = cluster.length;
+            let center = { real: cluster.reduce((s, z) => s + z.real, 0) / k, imag: cluster.reduce((s, z) => s + z.imag, 0) / k };
+            if (k === 1) return center;
+            let target = coeffs;
+            for (let j = 1; j < k; j++) target = EquationSolvers.derivativeCoefficients(target);
+            const targetDerivative = EquationSolvers.derivativeCoefficients(target);
+            for (let iter = 0; iter < 50; iter++) {
+                const step = Complex.div(EquationSolvers.evaluatePolynomial(target, center), EquationSolvers.evaluatePolynomial(targetDerivative, center));
+                if (!isFinite(step.real) || !isFinite(step.imag)) break;
+                center = Complex.sub(center, step);
+                if (Complex.abs(step) <= 1e-16 * Math.max(1, Complex.abs(center))) break;
+            }
+            const shifted = EquationSolvers.shiftedCoefficients(coeffs, center);
+            const scale = EquationSolvers.shiftedCoefficients(coeffs.map(Math.abs), { real: Complex.abs(center), imag: 0 });
+            const vanishes = shifted.slice(0, k).every((b, j) => Complex.abs(b) <= 1e-14 * coeffs.length * scale[j].real);
+            return vanishes ? center : null;
+        },
+        // Groups nearby estimates, shrinking the grouping radius whenever a cluster fails the multiplicity test.
+        // An m-fold root scatters its estimates by about ε^(1/m), so the first pass allows for the widest
+        // cluster possible, one of every estimate.
+        groupRoots: (coeffs, estimates, radius = Math.max(1e-2, 4 * EquationSolvers.EPSILON ** (1 / estimates.length))) => {
+            const groups = [];
+            estimates.forEach(z => {
+                const group = groups.find(g => g.some(w => Complex.abs(Complex.sub(z, w)) < radius * Math.max(1, Complex.abs(z))));
+                if (group) group.push(z); else groups.push([z]);
+            });
+            return groups.flatMap(group => {
+                const center = EquationSolvers.mergeCluster(coeffs, group);
+                if (center) return [{ ...center, multiplicity: group.length }];
+                if (radius < 1e-9) return group.map(z => ({ ...z, multiplicity: 1 }));
+                return EquationSolvers.groupRoots(coeffs, group, radius / 10);
+            });
+        },
+        // General solver for any degree: all complex roots with multiplicities, real roots first.
+        solvePolynomial: (coeffs) => {
+            coeffs = coeffs.slice();
+            while (coeffs.length && Math.abs(coeffs[0]) < EquationSolvers.TOLERANCE) coeffs.shift();
+            if (coeffs.length < 2) return [];
+            let zeroMultiplicity = 0;
+            while (coeffs[coeffs.length - 1] === 0) { coeffs.pop(); zeroMultiplicity++; }
+            const roots = coeffs.length > 1 ? EquationSolvers.groupRoots(coeffs, EquationSolvers.aberthRoots(coeffs)) : [];
+            roots.forEach(root => {
+                if (Math.abs(root.imag) < 1e-10 * Math.max(1, Math.abs(root.real))) root.imag = 0;
+            });
+            if (zeroMultiplicity) roots.push({ real: 0, imag: 0, multiplicity: zeroMultiplicity });
+            return roots.sort((r1, r2) => (r1.imag !== 0) - (r2.imag !== 0) || r1.real - r2.real || r2.imag - r1.imag);
+        },
+        // Closed forms up to degree 4, the iterative solver beyond. The closed forms split a repeated root by
+        // about √ε, so their roots go through the same multiplicity test as the iterative ones.
+        solve: (coeffs) => {
+            const degree = coeffs.length - 1;
+            if (degree > 4) return EquationSolvers.solvePolynomial(coeffs);
+            const solverFn = [null, EquationSolvers.solveLinear, EquationSolvers.solveQuadratic, EquationSolvers.solveCubic, EquationSolvers.solveQuartic][degree];
+            const leading = coeffs.findIndex(c => Math.abs(c) >= EquationSolvers.TOLERANCE);
+            return EquationSolvers.groupRoots(coeffs.slice(leading), solverFn(...coeffs)).map(root =>
+                Math.abs(root.imag) < EquationSolvers.TOLERANCE ? { ...root, imag: 0 } : root);
+        }
+    };
+
+    const EquationFormatter = {
+        // Best rational approximation by continued fractions; only shown as a fraction when it is exact
+        // to rounding error with a small denominator, otherwise as a decimal. The tolerances are relative,
+        // so 10⁻¹⁰ or 10⁹ + 0.5 are not rounded away.
+        formatNumber: (n) => {
+            if (Math.abs(n) < 1e-12) return "0";
+            if (Math.abs(n - Math.round(n)) < 1e-12 * Math.max(1, Math.abs(n))) return Math.round(n).toFixed(0);
+            const isNegative = n < 0;
+            n = Math.abs(n);
+            let [h0, h1, k0, k1, x] = [0, 1, 1, 0, n];
+            while (k1 <= 10000) {
+                const a = Math.floor(x);
+                [h0, h1, k0, k1] = [h1, a * h1 + h0, k1, a * k1 + k0];
+                if (k1 <= 10000 && Math.abs(h1 / k1 - n) < 1e-12 * Math.max(1, n)) {
+                    return (isNegative ? "-" : "") + (k1 === 1 ? `${h1}` : `\\frac{${h1}}{${k1}}`);
+                }
+                if (x === a) break;
+                x = 1 / (x - a);
+            }
+            return (isNegative ? "-" : "") + EquationFormatter.decimal(n);
+        },
+        // Ten significant digits, with exponents written as × 10^k.
+        decimal: v => parseFloat(v.toPrecision(10)).toString().replace(/e([+-]\d+)/, (_, exp) => `\\times 10^{${parseInt(exp)}}`),
+        formatRoot: (root) => {
+            if (Math.abs(root.imag) < EquationSolvers.TOLERANCE) return EquationFormatter.formatNumber(root.real);
+            const realPart = EquationFormatter.formatNumber(root.real);
+            const imagPart = EquationFormatter.formatNumber(Math.abs(root.imag));
+            if (realPart === "0") return (imagPart === "1") ? (root.imag < 0 ? "-" : "") + "i" : (root.imag < 0 ? "-" : "") + imagPart + "i";
+            if (imagPart === "1") return `${realPart} ${root.imag < 0 ? "-" : "+"} i`;
+            return `${realPart} ${root.imag < 0 ? "-" : "+"} ${imagPart}i`;
+        },
+        // Ten significant digits, for roots that only the iterative solver can produce.
+        formatDecimalRoot: (root) => {
+            const decimal = EquationFormatter.decimal;
+            if (root.imag === 0) return decimal(root.real);
+            const imagPart = Math.abs(root.imag) === 1 ? 'i' : `${decimal(Math.abs(root.imag))}i`;
+            if (Math.abs(root.real) < 1e-12 * Math.abs(root.imag)) return (root.imag < 0 ? "-" : "") + imagPart;
+            return `${decimal(root.real)} ${root.imag < 0 ? "-" : "+"} ${imagPart}`;
+        }
+    };
+
+    // Exact roots for polynomials with rational coefficients: rational roots by the rational root theorem,
+    // then surds, Cardano and Ferrari forms for what is left. Integer polynomials are BigInt arrays, highest
+    // power first, and the radical arithmetic runs on BigInt rationals { n, d } so nothing overflows.
+    const ExactRoots = {
+        babs: n => n < 0n ? -n : n,
+        bgcd: (a, b) => {
+            a = ExactRoots.babs(a); b = ExactRoots.babs(b);
+            while (b) [a, b] = [b, a % b];
+            return a;
+        },
+        // Integer square/cube root by Newton's method, exact for perfect powers.
+        iroot: (n, k) => {
+            if (n < 2n) return n;
+            let x = 1n << BigInt(Math.ceil(n.toString(2).length / Number(k)) + 1);
+            while (true) {
+                const next = ((k - 1n) * x + n / x ** (k - 1n)) / k;
+                if (next >= x) return x;
+                x = next;
+            }
+        },
+        Q: {
+            make: (n, d = 1n) => {
+                n = BigInt(n); d = BigInt(d);
+                if (d < 0n) { n = -n; d = -d; }
+                const g = ExactRoots.bgcd(n, d) || 1n;
+                return { n: n / g, d: d / g };
+            },
+            add: (a, b) => ExactRoots.Q.make(a.n * b.d + b.n * a.d, a.d * b.d),
+            sub: (a, b) => ExactRoots.Q.make(a.n * b.d - b.n * a.d, a.d * b.d),
+            mul: (a, b) => ExactRoots.Q.make(a.n * b.n, a.d * b.d),
+            div: (a, b) => ExactRoots.Q.make(a.n * b.d, a.d * b.n),
+            scale: (a, n, d = 1n) => ExactRoots.Q.make(a.n * BigInt(n), a.d * BigInt(d)),
+            pow: (a, k) => ExactRoots.Q.make(a.n ** BigInt(k), a.d ** BigInt(k)),
+            value: a => Number(a.n) / Number(a.d),
+            isSquare: a => a.n >= 0n && ExactRoots.iroot(a.n, 2n) ** 2n === a.n && ExactRoots.iroot(a.d, 2n) ** 2n === a.d,
+            sqrt: a => ExactRoots.Q.make(ExactRoots.iroot(a.n, 2n), ExactRoots.iroot(a.d, 2n))
+        },
+        // Typed decimals are exact rationals: 0.35 → 35/100. Exponent notation is left to the numeric solver.
+        toFraction: value => {
+            const match = String(value).match(/^(-?)(\d+)(?:\.(\d+))?$/);
+            if (!match) return null;
+            const digits = match[3] || '';
+            return ExactRoots.Q.make(BigInt(match[1] + match[2] + digits), 10n ** BigInt(digits.length));
+        },
+        primitive: poly => {
+            const content = poly.reduce((g, c) => ExactRoots.bgcd(g, c), 0n) || 1n;
+            const sign = poly[0] < 0n ? -1n : 1n;
+            return poly.map(c => c / content * sign);
+        },
+        toIntegerPolynomial: rationals => {
+            const lcm = rationals.reduce((l, f) => l * f.d / ExactRoots.bgcd(l, f.d), 1n);
+            return ExactRoots.primitive(rationals.map(f => f.n * (lcm / f.d)));
+        },
+        divisors: n => {
+            const result = [];
+            for (let i = 1; i * i <= n; i++) {
+                if (n % i === 0) { result.push(i); if (i * i !== n) result.push(n / i); }
+            }
+            return result;
+        },
+        // Value of q^n · P(p/q), zero exactly when p/q is a root.
+        scaledValue: (poly, p, q) => {
+            let acc = 0n, qPower = 1n;
+            poly.forEach((c, i) => { acc = acc * p + c * qPower; if (i < poly.length - 1) qPower *= q; });
+            return acc;
+        },
+        // Divides out (qx - p); exact because p/q is a root of the primitive polynomial.
+        deflate: (poly, p, q) => {
+            const quotient = [];
+            let previous = 0n;
+            poly.slice(0, -1).forEach(c => { previous = (c + p * previous) / q; quotient.push(previous); });
+            return quotient;
+        },
+        // Rational roots p/q have q | lead and p | tail, but enumerating those pairs is quadratic in the divisor
+        // counts (millions for highly composite coefficients). Instead each real numeric root is rounded to
+        // the nearest p/q for every q | lead, and only those candidates are confirmed exactly.
+        MAX_CANDIDATES: 10000,
+        rationalRoots: poly => {
+            const roots = [];
+            let zeroMultiplicity = 0;
+            while (poly.length > 1 && poly[poly.length - 1] === 0n) { poly = poly.slice(0, -1); zeroMultiplicity++; }
+            if (zeroMultiplicity) roots.push({ p: 0n, q: 1n, multiplicity: zeroMultiplicity });
+            const lead = ExactRoots.babs(poly[0]), tail = ExactRoots.babs(poly[poly.length - 1]);
+            const numeric = poly.map(Number);
+            if (poly.length > 1 && lead <= 1000000000000n && tail <= 1000000000000n && numeric.every(isFinite)) {
+                const qs = ExactRoots.divisors(Number(lead)), t = Number(tail);
+                // Loose on the imaginary part: unresolved multiple roots scatter by about ε^(1/m).
+                const estimates = EquationSolvers.solvePolynomial(numeric).filter(z => Math.abs(z.imag) <= 1e-3 * Math.max(1, Math.abs(z.real)));
+                const candidates = new Map();
+                estimates.forEach(z => qs.forEach(q => {
+                    const p = Math.round(z.real * q);
+                    if (p === 0 || t % Math.abs(p) !== 0 || candidates.size >= ExactRoots.MAX_CANDIDATES) return;
+                    if (ExactRoots.bgcd(BigInt(p), BigInt(q)) === 1n) candidates.set(`${p}/${q}`, [p, q]);
+                }));
+                // Smallest first, positive before negative, so the factorization reads (x - 1)(x + 2)(x - 3).
+                [...candidates.values()].sort(([p1, q1], [p2, q2]) => Math.abs(p1 / q1) - Math.abs(p2 / q2) || p2 / q2 - p1 / q1).forEach(([p, q]) => {
+                    const x = p / q;
+                    // Cheap floating-point screen before the exact BigInt check.
+                    const value = numeric.reduce((acc, c) => acc * x + c, 0), scale = numeric.reduce((acc, c) => acc * Math.abs(x) + Math.abs(c), 0);
+                    if (Math.abs(value) > 1e-6 * scale) return;
+                    let multiplicity = 0;
+                    while (poly.length > 1 && ExactRoots.scaledValue(poly, BigInt(p), BigInt(q)) === 0n) {
+                        poly = ExactRoots.deflate(poly, BigInt(p), BigInt(q));
+                        multiplicity++;
+                    }
+                    if (multiplicity) roots.push({ p: BigInt(p), q: BigInt(q), multiplicity });
+                });
+            }
+            return { roots, rest: ExactRoots.primitive(poly) };
+        },
+        // n = k^power · m, pulling out small factors by trial division and a perfect power at the end.
+        extractPower: (n, power) => {
+            let k = 1n, m = n;
+            for (let i = 2n; i ** power <= m && i <= 10000n; i++) {
+                while (m % (i ** power) === 0n) { m /= i ** power; k *= i; }
+            }
+            const root = ExactRoots.iroot(m, power);
+            if (root ** power === m) { k *= root; m = 1n; }
+            return { k, m };
+        },
+        // √f = coef · √radicand for a rational f ≥ 0.
+        surd: f => {
+            const { k, m } = ExactRoots.extractPower(f.n * f.d, 2n);
+            return { coef: ExactRoots.Q.make(k, f.d), radicand: m };
+        },
+        // ∛f = coef · ∛radicand for any rational f.
+        cubeRootSurd: f => {
+            const { k, m } = ExactRoots.extractPower(ExactRoots.babs(f.n) * f.d * f.d, 3n);
+            return { coef: ExactRoots.Q.make(f.n < 0n ? -k : k, f.d), radicand: m };
+        },
+        fracLatex: f => {
+            if (f.d === 1n) return `${f.n}`;
+            return `${f.n < 0n ? '-' : ''}\\frac{${ExactRoots.babs(f.n)}}{${f.d}}`;
+        },
+        // coef · radical, e.g. 3√2, -√2/4; `radical` is the LaTeX of the irrational factor ('' for none).
+        termLatex: (coef, radical) => {
+            if (!radical) return ExactRoots.fracLatex(coef);
+            const magnitude = ExactRoots.babs(coef.n);
+            // 3 · 2^{n-1}, not 32^{n-1}.
+            const sign = coef.n < 0n ? '-' : '', top = magnitude === 1n ? radical : `${magnitude}${/^\d/.test(radical) ? ' \\cdot ' : ''}${radical}`;
+            return coef.d === 1n ? sign + top : `${sign}\\frac{${top}}{${coef.d}}`;
+        },
+        radicalLatex: (m, index = 2) => m === 1n ? '' : index === 2 ? `\\sqrt{${m}}` : `\\sqrt[3]{${m}}`,
+        // A + B·√m·unit over a common denominator, e.g. \frac{1 + \sqrt{5}}{2} or \frac{-1 - \sqrt{3}i}{2}.
+        linearSurdLatex: (A, B, m, unit = '') => {
+            const radical = ExactRoots.radicalLatex(m) + unit;
+            if (B.n === 0n) return ExactRoots.fracLatex(A);
+            if (A.n === 0n) return ExactRoots.termLatex(B, radical);
+            const den = A.d * B.d / ExactRoots.bgcd(A.d, B.d);
+            const a = A.n * den / A.d, b = B.n * den / B.d;
+            const numerator = `${a} ${b < 0n ? '-' : '+'} ${ExactRoots.babs(b) === 1n ? radical : ExactRoots.babs(b) + radical}`;
+            return den === 1n ? numerator : `\\frac{${numerator}}{${den}}`;
+        },
+        // Joins signed LaTeX terms into a sum, folding "+ -" into "-".
+        joinTerms: terms => terms.filter(t => t).reduce((sum, t) => !sum ? t : t.startsWith('-') ? `${sum} - ${t.slice(1)}` : `${sum} + ${t}`, ''),
+        negateTerm: t => t.startsWith('-') ? t.slice(1) : `-${t}`,
+        surdValue: s => ExactRoots.Q.value(s.coef) * Math.sqrt(Number(s.radicand)),
+
+        // ax² + bx + c over Q; `multiplicity` is carried through for repeated factors.
+        quadratic: ([a, b, c], multiplicity = 1) => {
+            const Q = ExactRoots.Q;
+            const disc = Q.sub(Q.mul(b, b), Q.scale(Q.mul(a, c), 4));
+            const center = Q.div(Q.scale(b, -1), Q.scale(a, 2));
+            if (disc.n === 0n) return [{ latex: ExactRoots.fracLatex(center), real: Q.value(center), imag: 0, multiplicity: 2 * multiplicity }];
+            const root = ExactRoots.surd(Q.make(ExactRoots.babs(disc.n), disc.d));
+            const B = Q.div(root.coef, Q.scale(Q.make(ExactRoots.babs(a.n), a.d), 2));
+            const spread = ExactRoots.surdValue({ coef: B, radicand: root.radicand });
+            if (disc.n > 0n && root.radicand === 1n) {
+                return [Q.add(center, B), Q.sub(center, B)].map(r => ({ latex: ExactRoots.fracLatex(r), real: Q.value(r), imag: 0, multiplicity }));
+            }
+            const unit = disc.n < 0n ? 'i' : '';
+            return [1, -1].map(sign => ({
+                latex: ExactRoots.linearSurdLatex(center, Q.scale(B, sign), root.radicand, unit),
+                real: Q.value(center) + (unit ? 0 : sign * spread), imag: unit ? sign * spread : 0, multiplicity
+            }));
+        },
+
+        // Irreducible cubic: Cardano's formula when one root is real, the trigonometric form when all three are.
+        cubic: ([a, b, c, d]) => {
+            const Q = ExactRoots.Q;
+            const shift = Q.div(b, Q.scale(a, 3));
+            const p = Q.div(Q.sub(Q.scale(Q.mul(a, c), 3), Q.mul(b, b)), Q.scale(Q.mul(a, a), 3));
+            const q = Q.div(Q.add(Q.sub(Q.scale(Q.pow(b, 3), 2), Q.scale(Q.mul(a, Q.mul(b, c)), 9)), Q.scale(Q.mul(Q.mul(a, a), d), 27)), Q.scale(Q.pow(a, 3), 27));
+            const delta = Q.add(Q.scale(Q.mul(q, q), 1, 4), Q.scale(Q.pow(p, 3), 1, 27));
+            const shiftTerm = shift.n === 0n ? '' : ExactRoots.fracLatex(Q.scale(shift, -1));
+            if (delta.n > 0n) {
+                const half = Q.scale(q, -1, 2), root = ExactRoots.surd(delta);
+                const cubeTerm = sign => {
+                    if (root.radicand === 1n) {
+                        const value = Q.add(half, Q.scale(root.coef, sign));
+                        if (value.n === 0n) return { latex: '', value: 0 };
+                        const cube = ExactRoots.cubeRootSurd(value);
+                        return { latex: ExactRoots.termLatex(cube.coef, ExactRoots.radicalLatex(cube.radicand, 3)), value: Math.cbrt(Q.value(value)) };
+                    }
+                    return { latex: `\\sqrt[3]{${ExactRoots.linearSurdLatex(half, Q.scale(root.coef, sign), root.radicand)}}`, value: Math.cbrt(Q.value(half) + sign * ExactRoots.surdValue(root)) };
+                };
+                const u = cubeTerm(1), v = cubeTerm(-1);
+                const group = terms => terms.filter(t => t).length > 1 ? `\\left(${ExactRoots.joinTerms(terms)}\\right)` : ExactRoots.joinTerms(terms);
+                const sum = group([u.latex, v.latex]), diff = group([u.latex, v.latex && ExactRoots.negateTerm(v.latex)]);
+                const realPart = -(u.value + v.value) / 2 - Q.value(shift), imagPart = Math.sqrt(3) / 2 * (u.value - v.value);
+                return [
+                    { latex: ExactRoots.joinTerms([u.latex, v.latex, shiftTerm]), real: u.value + v.value - Q.value(shift), imag: 0, multiplicity: 1 },
+                    ...[1, -1].map(sign => ({
+                        latex: `${ExactRoots.joinTerms([`-\\frac{1}{2}${sum}`, shiftTerm])} ${sign > 0 ? '+' : '-'} \\frac{\\sqrt{3}}{2}${diff}i`,
+                        real: realPart, imag: sign * imagPart, multiplicity: 1
+                    }))
+                ];
+            }
+            // Casus irreducibilis: t_k = 2√(-p/3) cos(⅓ arccos((3q/2p)√(-3/p)) - 2πk/3).
+            const r = Q.scale(p, -1, 3);
+            const amplitude = ExactRoots.surd(r), inverse = ExactRoots.surd(Q.div(Q.make(1), r));
+            const argument = Q.mul(Q.div(Q.scale(q, 3), Q.scale(p, 2)), inverse.coef);
+            const amplitudeCoef = Q.scale(amplitude.coef, 2);
+            const amplitudeLatex = ExactRoots.termLatex(amplitudeCoef, ExactRoots.radicalLatex(amplitude.radicand));
+            const argumentLatex = ExactRoots.termLatex(argument, ExactRoots.radicalLatex(inverse.radicand));
+            const theta = Math.acos(ExactRoots.surdValue({ coef: argument, radicand: inverse.radicand }));
+            return [0, 1, 2].map(k => ({
+                latex: ExactRoots.joinTerms([`${amplitudeLatex}\\cos\\left(\\frac{1}{3}\\arccos\\left(${argumentLatex}\\right)${['', ' - \\frac{2\\pi}{3}', ' - \\frac{4\\pi}{3}'][k]}\\right)`, shiftTerm]),
+                real: ExactRoots.surdValue({ coef: amplitudeCoef, radicand: amplitude.radicand }) * Math.cos(theta / 3 - 2 * Math.PI * k / 3) - Q.value(shift), imag: 0, multiplicity: 1
+            }));
+        },
+
+        // Quartic without rational roots, in depressed form y⁴ + py² + qy + r with x = y - b/4a.
+        // Returns rational quadratic factors when it splits over Q, otherwise Ferrari-style radicals.
+        quartic: ([a, b, c, d, e]) => {
+            const Q = ExactRoots.Q;
+            const [b1, c1, d1, e1] = [b, c, d, e].map(x => Q.div(x, a));
+            const h = Q.scale(b1, 1, 4);
+            const p = Q.sub(c1, Q.scale(Q.mul(b1, b1), 3, 8));
+            const q = Q.sub(Q.add(d1, Q.scale(Q.pow(b1, 3), 1, 8)), Q.scale(Q.mul(b1, c1), 1, 2));
+            const r = Q.add(Q.sub(Q.sub(e1, Q.scale(Q.pow(b1, 4), 3, 256)), Q.scale(Q.mul(b1, d1), 1, 4)), Q.scale(Q.mul(Q.mul(b1, b1), c1), 1, 16));
+            const negH = Q.scale(h, -1), shiftTerm = h.n === 0n ? '' : ExactRoots.fracLatex(negH);
+            // y² + sy + t as a quadratic in x.
+            const inX = (s, t) => [Q.make(1), Q.add(Q.scale(h, 2), s), Q.add(Q.add(Q.mul(h, h), Q.mul(s, h)), t)];
+
+            if (q.n === 0n && Q.isSquare(r)) {
+                for (const t of [Q.sqrt(r), Q.scale(Q.sqrt(r), -1)]) {
+                    const s2 = Q.sub(Q.scale(t, 2), p);
+                    if (Q.isSquare(s2)) return { factors: [inX(Q.sqrt(s2), t), inX(Q.scale(Q.sqrt(s2), -1), t)] };
+                }
+            }
+            const D = Q.sub(Q.mul(p, p), Q.scale(r, 4));
+            // Biquadratic with real y²; a negative D is left to the resolvent below.
+            if (q.n === 0n && D.n >= 0n) {
+                if (Q.isSquare(D)) {
+                    return { factors: [1, -1].map(sign => inX(Q.make(0), Q.scale(Q.add(Q.scale(p, -1), Q.scale(Q.sqrt(D), sign)), -1, 2))) };
+                }
+                // y² = (-p ± √D)/2, so y = ±√((-p ± √D)/2), imaginary when the inner value is negative.
+                const root = ExactRoots.surd(D);
+                const A = Q.scale(p, -1, 2), B = Q.scale(root.coef, 1, 2);
+                const roots = [];
+                [1, -1].forEach(inner => {
+                    const w = Q.value(A) + inner * ExactRoots.surdValue({ coef: B, radicand: root.radicand }), imaginary = w < 0;
+                    const flip = imaginary ? -1 : 1;
+                    const radicand = ExactRoots.linearSurdLatex(Q.scale(A, flip), Q.scale(B, inner * flip), root.radicand);
+                    const radical = A.n === 0n && B.n === B.d ? `\\sqrt[4]{${root.radicand}}` : `\\sqrt{${radicand}}`;
+                    [1, -1].forEach(outer => roots.push({
+                        latex: ExactRoots.joinTerms([shiftTerm, `${outer < 0 ? '-' : ''}${imaginary ? 'i' : ''}${radical}`]),
+                        real: (imaginary ? 0 : outer * Math.sqrt(w)) - Q.value(h), imag: imaginary ? outer * Math.sqrt(-w) : 0, multiplicity: 1
+                    }));
+                });
+                return { roots };
+            }
+
+            // Resolvent 8m³ + 8pm² + (2p² - 8r)m - q² = 0: any rational m > 0 splits the quartic into
+            // (y² + sy + p/2 + m - q/2s)(y² - sy + p/2 + m + q/2s) with s = √(2m).
+            const resolvent = ExactRoots.toIntegerPolynomial([Q.make(8), Q.scale(p, 8), Q.sub(Q.scale(Q.mul(p, p), 2), Q.scale(r, 8)), Q.scale(Q.mul(q, q), -1)]);
+            const m = ExactRoots.rationalRoots(resolvent).roots.map(root => Q.make(root.p, root.q)).find(f => f.n > 0n);
+            if (!m) return ExactRoots.ferrari(resolvent.map(c => Q.make(c)), p, q, h);
+            const base = Q.add(Q.scale(p, 1, 2), m), twoM = Q.scale(m, 2);
+            if (Q.isSquare(twoM)) {
+                const s = Q.sqrt(twoM), correction = Q.div(q, Q.scale(s, 2));
+                return { factors: [inX(s, Q.sub(base, correction)), inX(Q.scale(s, -1), Q.add(base, correction))] };
+            }
+            // s = K√j is irrational: y = (∓s ± √W)/2 with W = -2p - 2m ± 2q/s = A ± B√j.
+            const { coef: K, radicand: j } = ExactRoots.surd(twoM);
+            const A = Q.scale(Q.add(p, m), -2), B = Q.div(Q.scale(q, 2), Q.mul(K, Q.make(j)));
+            const roots = [];
+            [1, -1].forEach(factorSign => {
+                // factorSign = 1 is y² + sy + …, whose roots are (-s ± √(A + B√j))/2.
+                const Bs = Q.scale(B, factorSign);
+                const w = Q.value(A) + ExactRoots.surdValue({ coef: Bs, radicand: j }), imaginary = w < 0;
+                const flip = imaginary ? -1 : 1;
+                const center = -factorSign * ExactRoots.surdValue({ coef: K, radicand: j }) / 2;
+                const centerLatex = ExactRoots.linearSurdLatex(negH, Q.scale(K, -factorSign, 2), j);
+                const radicand = ExactRoots.linearSurdLatex(Q.scale(A, flip), Q.scale(Bs, flip), j);
+                [1, -1].forEach(sign => roots.push({
+                    latex: ExactRoots.joinTerms([centerLatex, `${sign < 0 ? '-' : ''}\\frac{${imaginary ? 'i' : ''}\\sqrt{${radicand}}}{2}`]),
+                    real: center + (imaginary ? 0 : sign * Math.sqrt(w) / 2) - Q.value(h), imag: imaginary ? sign * Math.sqrt(-w) / 2 : 0, multiplicity: 1
+                }));
+            });
+            return { roots };
+        },
+        // General Ferrari case: the resolvent's positive real root m is itself a cubic irrationality, so the
+        // roots are written in terms of m, with m given separately in `auxiliary`.
+        ferrari: (resolvent, p, q, h) => {
+            const Q = ExactRoots.Q;
+            const m = ExactRoots.cubic(resolvent).filter(root => root.imag === 0 && root.real > 0).sort((r1, r2) => r2.real - r1.real)[0];
+            if (!m) return null;
+            const s = Math.sqrt(2 * m.real), twoQ = Q.scale(q, 2);
+            const shiftTerm = h.n === 0n ? '' : ExactRoots.fracLatex(Q.scale(h, -1));
+            const overS = coef => `${coef.n < 0n ? '-' : ''}\\frac{${ExactRoots.babs(coef.n)}}{${coef.d === 1n ? '' : coef.d}\\sqrt{2m}}`;
+            const roots = [];
+            [1, -1].forEach(factorSign => {
+                // Same split as the rational case: y = (∓s ± √(-2p - 2m ± 2q/s))/2 with s = √(2m).
+                const Qs = Q.scale(twoQ, factorSign);
+                const w = -2 * Q.value(p) - 2 * m.real + Q.value(Qs) / s, imaginary = w < 0;
+                const parts = ['-2m', p.n === 0n ? '' : ExactRoots.fracLatex(Q.scale(p, -2)), overS(Qs)];
+                const radicand = ExactRoots.joinTerms(imaginary ? parts.filter(t => t).map(ExactRoots.negateTerm) : parts);
+                const center = `${factorSign > 0 ? '-' : ''}\\frac{\\sqrt{2m}}{2}`;
+                [1, -1].forEach(sign => roots.push({
+                    latex: ExactRoots.joinTerms([shiftTerm, center, `${sign < 0 ? '-' : ''}\\frac{${imaginary ? 'i' : ''}\\sqrt{${radicand}}}{2}`]),
+                    real: -factorSign * s / 2 + (imaginary ? 0 : sign * Math.sqrt(w) / 2) - Q.value(h), imag: imaginary ? sign * Math.sqrt(-w) / 2 : 0, multiplicity: 1
+                }));
+            });
+            return { roots, auxiliary: `m = ${m.latex}` };
+        },
+
+        polynomialLatex: poly => {
+            const n = poly.length - 1;
+            return ExactRoots.joinTerms(poly.map((c, i) => {
+                if (c === 0n) return '';
+                const power = n - i, variable = power === 0 ? '' : power === 1 ? 'x' : `x^{${power}}`;
+                const magnitude = ExactRoots.babs(c) === 1n && variable ? '' : `${ExactRoots.babs(c)}`;
+                return `${c < 0n ? '-' : ''}${magnitude}${variable}`;
+            }));
+        },
+
+        // All roots with LaTeX exact forms where one exists (latex null otherwise), the factorization over Q
+        // (null when irreducible) and notes defining auxiliary quantities used in the forms.
+        solve: coeffs => {
+            const Q = ExactRoots.Q;
+            const fractions = coeffs.map(ExactRoots.toFraction);
+            if (fractions.some(f => !f) || fractions[0].n === 0n) return null;
+            const { roots: rationals, rest } = ExactRoots.rationalRoots(ExactRoots.toIntegerPolynomial(fractions));
+
+            const roots = rationals.map(({ p, q, multiplicity }) => ({ latex: ExactRoots.fracLatex(Q.make(p, q)), real: Number(p) / Number(q), imag: 0, multiplicity }));
+            let factors = rationals.map(({ p, q, multiplicity }) => ({ poly: [q, -p], multiplicity }));
+            const degree = rest.length - 1, notes = [];
+            if (degree >= 1) {
+                const rationalRest = rest.map(c => Q.make(c));
+                const solved = degree === 2 ? { roots: ExactRoots.quadratic(rationalRest) } : degree === 3 ? { roots: ExactRoots.cubic(rationalRest) } : degree === 4 ? ExactRoots.quartic(rationalRest) : null;
+                if (solved && solved.factors) {
+                    solved.factors.forEach(f => { roots.push(...ExactRoots.quadratic(f)); factors.push({ poly: ExactRoots.toIntegerPolynomial(f), multiplicity: 1 }); });
+                } else if (solved && solved.roots) {
+                    roots.push(...solved.roots);
+                    if (solved.auxiliary) notes.push(solved.auxiliary);
+                    factors.push({ poly: rest, multiplicity: 1 });
+                } else {
+                    EquationSolvers.solvePolynomial(rest.map(Number)).forEach(root => roots.push({ ...root, latex: null }));
+                    factors.push({ poly: rest, multiplicity: 1 });
+                }
+            }
+            // Polish the decimals against the original coefficients and merge coincident roots (squared factors).
+            const derivative = EquationSolvers.derivativeCoefficients(coeffs);
+            roots.forEach(root => {
+                if (root.multiplicity > 1 || root.latex === null) return;
+                let z = { real: root.real, imag: root.imag };
+                for (let iter = 0; iter < 3; iter++) {
+                    const next = Complex.sub(z, Complex.div(EquationSolvers.evaluatePolynomial(coeffs, z), EquationSolvers.evaluatePolynomial(derivative, z)));
+                    if (!isFinite(next.real) || !isFinite(next.imag) || Complex.abs(Complex.sub(next, z)) > 1e-8 * Math.max(1, Complex.abs(z))) break;
+                    z = next;
+                }
+                root.real = z.real;
+                root.imag = root.imag === 0 ? 0 : z.imag;
+            });
+            const merged = [];
+            roots.forEach(root => {
+                const same = merged.find(r => Complex.abs(Complex.sub(r, root)) < 1e-9 * Math.max(1, Complex.abs(root)));
+                if (same) same.multiplicity += root.multiplicity; else merged.push({ ...root });
+            });
+            merged.sort((r1, r2) => (r1.imag !== 0) - (r2.imag !== 0) || r1.real - r2.real || r2.imag - r1.imag);
+
+            const distinctFactors = [];
+            factors.forEach(factor => {
+                const same = distinctFactors.find(f => f.poly.length === factor.poly.length && f.poly.every((c, i) => c === factor.poly[i]));
+                if (same) same.multiplicity += factor.multiplicity; else distinctFactors.push(factor);
+            });
+            factors = distinctFactors;
+            // Leading constant: original a_n over the product of the factors' leading coefficients.
+            const constant = factors.reduce((k, { poly: f, multiplicity }) => Q.div(k, Q.make(f[0] ** BigInt(multiplicity))), fractions[0]);
+            const constantLatex = constant.d !== 1n ? ExactRoots.fracLatex(constant) : constant.n === 1n ? '' : constant.n === -1n ? '-' : `${constant.n}`;
+            const factorLatex = factors.map(({ poly: f, multiplicity }) => {
+                const body = f.length === 2 && f[1] === 0n && f[0] === 1n ? 'x' : `\\left(${ExactRoots.polynomialLatex(f)}\\right)`;
+                return multiplicity > 1 ? `${body}^{${multiplicity}}` : body;
+            });
+            const factored = factors.length === 1 && factors[0].multiplicity === 1 && !constantLatex ? null : constantLatex + factorLatex.join('');
+            return { roots: merged, factored, notes };
+        }
+    };
+
+    return { Complex, EquationSolvers, EquationFormatter, ExactRoots };
+});
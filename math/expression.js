@@ -0,0 +1,274 @@
+/**
+ * math/expression.js - Expression parser
+ * Parses the calculator syntax (x^2, sin(x), 2pi, …) into an AST, compiles it to closures and prints
+ * it as LaTeX.
+ * No DOM access: loaded by index.html ahead of script.js, and require()d by the tests in test/.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else Object.assign(root, factory());
+})(this, () => {
+    // Tokenizer -> recursive-descent parser -> AST. The AST is compiled into
+    // plain closures over the whitelisted CONSTANTS/FUNCTIONS below, so user
+    // input is never evaluated as JavaScript.
+    const MathExpression = {
+        CONSTANTS: { pi: Math.PI, 'π': Math.PI, e: Math.E },
+        FUNCTIONS: {
+            sin: Math.sin, cos: Math.cos, tan: Math.tan,
+            asin: Math.asin, acos: Math.acos, atan: Math.atan,
+            sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh,
+            sqrt: Math.sqrt, cbrt: Math.cbrt, exp: Math.exp,
+            ln: Math.log, log: Math.log10, lg: Math.log10,
+            abs: Math.abs, floor: Math.floor, ceil: Math.ceil, sign: Math.sign,
+            root: (x, n) => (x < 0 && Math.abs(n % 2) === 1) ? -Math.pow(-x, 1 / n) : Math.pow(x, 1 / n),
+            factorial: n => {
+                if (n < 0 || n % 1 !== 0 || n > 170) return NaN;
+                let result = 1;
+                for (let i = 2; i <= n; i++) result *= i;
+                return result;
+            }
+        },
+        BINARY_OPERATORS: {
+            '+': (a, b) => a + b, '-': (a, b) => a - b,
+            '*': (a, b) => a * b, '/': (a, b) => a / b,
+            '%': (a, b) => a % b, '^': Math.pow
+        },
+        OPERATOR_ALIASES: { '×': '*', '·': '*', '÷': '/', '−': '-' },
+        has: (table, name) => Object.prototype.hasOwnProperty.call(table, name),
+
+        tokenize: source => {
+            const tokens = [];
+            let i = 0;
+            while (i < source.length) {
+                const ch = source[i];
+                if (/\s/.test(ch)) { i++; continue; }
+                const rest = source.slice(i);
+                let match;
+                // 2.5e2 and 1E-3 are scientific notation; e not followed by an exponent is the constant (2e = 2·e).
+                if ((match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(rest))) {
+                    tokens.push({ type: 'number', value: parseFloat(match[0]), literal: match[0], pos: i });
+                } else if ((match = /^(π|[A-Za-z_][A-Za-z_0-9]*)/.exec(rest))) {
+                    tokens.push({ type: 'name', value: match[0], pos: i });
+                } else if ((match = /^\*\*/.exec(rest))) {
+                    tokens.push({ type: 'op', value: '^', pos: i });
+                } else if (/[+\-*/%^!(),√]/.test(ch) || MathExpression.has(MathExpression.OPERATOR_ALIASES, ch)) {
+                    match = [ch];
+                    tokens.push({ type: 'op', value: MathExpression.OPERATOR_ALIASES[ch] || ch, pos: i });
+                } else {
+                    throw new Error(`无法识别的字符 "${ch}" (位置 ${i + 1})`);
+                }
+                i += match[0].length;
+            }
+            return tokens;
+        },
+
+        // Precedence (low -> high): + -, * / % and implicit multiplication, unary -, ^ (right-assoc), postfix !
+        // With keepLiterals, number nodes also carry the digits as typed, for evaluation beyond double precision.
+        parse: (source, { keepLiterals = false } = {}) => {
+            const tokens = MathExpression.tokenize(String(source));
+            if (tokens.length === 0) throw new Error('表达式为空。');
+            let index = 0;
+            const peek = () => tokens[index];
+            const isOp = (token, ...ops) => !!token && token.type === 'op' && ops.includes(token.value);
+            const describe = token => token ? `位置 ${token.pos + 1} 处的 "${token.value}"` : '表达式末尾';
+            const expect = value => {
+                if (!isOp(peek(), value)) throw new Error(`缺少 "${value}"，出现在${describe(peek())}`);
+                index++;
+            };
+            const startsOperand = token => !!token && (token.type === 'number' || token.type === 'name' || isOp(token, '(', '√'));
+
+            const parseExpression = () => {
+                let node = parseTerm();
+                while (isOp(peek(), '+', '-')) {
+                    const op = tokens[index++].value;
+                    node = { type: 'binary', op, left: node, right: parseTerm() };
+                }
+                return node;
+            };
+            const parseTerm = () => {
+                let node = parseUnary();
+                for (;;) {
+                    const token = peek();
+                    if (isOp(token, '*', '/', '%')) {
+                        index++;
+                        node = { type: 'binary', op: token.value, left: node, right: parseUnary() };
+                    } else if (startsOperand(token)) {
+                        node = { type: 'binary', op: '*', left: node, right: parsePower() };
+                    } else {
+                        return node;
+                    }
+                }
+            };
+            const parseUnary = () => {
+                if (isOp(peek(), '+', '-')) {
+                    const op = tokens[index++].value;
+                    const arg = parseUnary();
+                    return op === '-' ? { type: 'unary', op: '-', arg } : arg;
+                }
+                return parsePower();
+            };
+            const parsePower = () => {
+                const base = parsePostfix();
+                if (!isOp(peek(), '^')) return base;
+                index++;
+                return { type: 'binary', op: '^', left: base, right: parseUnary() };
+            };
+            const parsePostfix = () => {
+                let node = parsePrimary();
+                while (isOp(peek(), '!')) {
+                    index++;
+                    node = { type: 'call', name: 'factorial', args: [node] };
+                }
+                return node;
+            };
+            const parsePrimary = () => {
+                const token = tokens[index++];
+                if (!token) throw new Error('表达式不完整。');
+                if (token.type === 'number') return keepLiterals ? { type: 'number', value: token.value, literal: token.literal } : { type: 'number', value: token.value };
+                if (token.type === 'name') {
+                    if (!MathExpression.has(MathExpression.FUNCTIONS, token.value)) return { type: 'symbol', name: token.value };
+                    if (!isOp(peek(), '(')) throw new Error(`函数 ${token.value} 后需要括号，例如 ${token.value}(x)`);
+                    index++;
+                    const args = [parseExpression()];
+                    while (isOp(peek(), ',')) { index++; args.push(parseExpression()); }
+                    expect(')');
+                    const arity = MathExpression.FUNCTIONS[token.value].length;
+                    if (args.length !== arity) throw new Error(`函数 ${token.value} 需要 ${arity} 个参数。`);
+                    return { type: 'call', name: token.value, args };
+                }
+                if (isOp(token, '(')) {
+                    const node = parseExpression();
+                    expect(')');
+                    return node;
+                }
+                if (isOp(token, '√')) return { type: 'call', name: 'sqrt', args: [parsePostfix()] };
+                throw new Error(`意外的${describe(token)}`);
+            };
+
+            const ast = parseExpression();
+            if (index < tokens.length) throw new Error(`多余的${describe(peek())}`);
+            return ast;
+        },
+
+        // Returns fn(...values) where values line up with `params`; unknown names fail here, not at call time.
+        compile: (source, params = ['x']) => {
+            const ast = typeof source === 'string' ? MathExpression.parse(source) : source;
+            const build = node => {
+                switch (node.type) {
+                    case 'number': {
+                        const value = node.value;
+                        return () => value;
+                    }
+                    case 'symbol': {
+                        const slot = params.indexOf(node.name);
+                        if (slot >= 0) return args => args[slot];
+                        if (MathExpression.has(MathExpression.CONSTANTS, node.name)) {
+                            const value = MathExpression.CONSTANTS[node.name];
+                            return () => value;
+                        }
+                        throw new Error(`未知变量: ${node.name}`);
+                    }
+                    case 'unary': {
+                        const arg = build(node.arg);
+                        return args => -arg(args);
+                    }
+                    case 'binary': {
+                        const left = build(node.left), right = build(node.right);
+                        const op = MathExpression.BINARY_OPERATORS[node.op];
+                        return args => op(left(args), right(args));
+                    }
+                    case 'call': {
+                        const fn = MathExpression.FUNCTIONS[node.name];
+                        const argFns = node.args.map(build);
+                        if (argFns.length === 1) return args => fn(argFns[0](args));
+                        return args => fn(...argFns.map(argFn => argFn(args)));
+                    }
+                    default:
+                        throw new Error(`未知的语法节点: ${node.type}`);
+                }
+            };
+            const evaluator = build(ast);
+            return (...values) => evaluator(values);
+        },
+
+        evaluate: (source, scope = {}) => {
+            const names = Object.keys(scope);
+            return MathExpression.compile(source, names)(...names.map(name => scope[name]));
+        },
+
+        LATEX_FUNCTIONS: {
+            sin: '\\sin', cos: '\\cos', tan: '\\tan', asin: '\\arcsin', acos: '\\arccos', atan: '\\arctan',
+            sinh: '\\sinh', cosh: '\\cosh', tanh: '\\tanh', ln: '\\ln', log: '\\log_{10}', lg: '\\lg', sign: '\\operatorname{sgn}'
+        },
+
+        numberToLatex: value => {
+            const text = Number.isInteger(value) ? String(value) : String(parseFloat(value.toPrecision(12)));
+            const [mantissa, exponent] = text.split('e');
+            return exponent === undefined ? mantissa : `${mantissa} \\times 10^{${parseInt(exponent)}}`;
+        },
+
+        // Precedence-aware LaTeX: 1 sums, 2 products, 3 unary minus, 4 powers, 5 atoms and calls.
+        toLatex: source => {
+            const ast = typeof source === 'string' ? MathExpression.parse(source) : source;
+            const precedence = node => {
+                if (node.type === 'binary') return { '+': 1, '-': 1, '*': 2, '/': 2, '%': 2, '^': 4 }[node.op];
+                if (node.type === 'unary' || (node.type === 'number' && node.value < 0)) return 3;
+                return 5;
+            };
+            const paren = text => `\\left(${text}\\right)`;
+            const wrap = (node, min) => {
+                const text = tex(node);
+                return precedence(node) < min ? paren(text) : text;
+            };
+            const tex = node => {
+                switch (node.type) {
+                    case 'number': return MathExpression.numberToLatex(node.value);
+                    case 'symbol':
+                        if (node.name === 'pi' || node.name === 'π') return '\\pi';
+                        return node.name.length > 1 ? `\\mathrm{${node.name}}` : node.name;
+                    case 'unary': {
+                        const text = wrap(node.arg, 2);
+                        return text.startsWith('-') ? `-${paren(text)}` : `-${text}`;
+                    }
+                    case 'binary': {
+                        const { op, left, right } = node;
+                        if (op === '/') return `\\frac{${tex(left)}}{${tex(right)}}`;
+                        if (op === '^') {
+                            const atomic = left.type === 'symbol' || (left.type === 'number' && left.value >= 0);
+                            return `${atomic ? tex(left) : paren(tex(left))}^{${tex(right)}}`;
+                        }
+                        if (op === '+') {
+                            const text = tex(right);
+                            return text.startsWith('-') ? `${tex(left)} - ${text.slice(1)}` : `${tex(left)} + ${text}`;
+                        }
+                        let rightText = wrap(right, 2);
+                        if (rightText.startsWith('-')) rightText = paren(rightText);
+                        if (op === '-') return `${tex(left)} - ${rightText}`;
+                        if (op === '%') return `${wrap(left, 2)} \\bmod ${rightText}`;
+                        const leftText = wrap(left, 2);
+                        return /^[0-9]/.test(rightText) ? `${leftText} \\cdot ${rightText}` : `${leftText} ${rightText}`;
+                    }
+                    case 'call': {
+                        const args = node.args.map(tex);
+                        switch (node.name) {
+                            case 'sqrt': return `\\sqrt{${args[0]}}`;
+                            case 'cbrt': return `\\sqrt[3]{${args[0]}}`;
+                            case 'root': return `\\sqrt[${args[1]}]{${args[0]}}`;
+                            case 'exp': return `e^{${args[0]}}`;
+                            case 'abs': return `\\left|${args[0]}\\right|`;
+                            case 'floor': return `\\left\\lfloor ${args[0]} \\right\\rfloor`;
+                            case 'ceil': return `\\left\\lceil ${args[0]} \\right\\rceil`;
+                            case 'factorial': return `${wrap(node.args[0], 5)}!`;
+                            default: return `${MathExpression.LATEX_FUNCTIONS[node.name]}${paren(args.join(', '))}`;
+                        }
+                    }
+                    default:
+                        throw new Error(`未知的语法节点: ${node.type}`);
+                }
+            };
+            return tex(ast);
+        }
+    };
+
+    return { MathExpression };
+});
@@ -0,0 +1,245 @@
+/**
+ * math/grapher.js - Function grapher
+ * Parses curve definitions (graphs, parametric and polar curves), samples them adaptively for a given view and
+ * locates zeros, extrema, inflection points and intersections.
+ * No DOM access: loaded by index.html ahead of script.js, and require()d by the tests in test/.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(Object.assign({}, require('./expression'), require('./symbolic'), require('./numerical')));
+    else Object.assign(root, factory(root));
+})(this, ({ MathExpression, SymbolicDiff, NumericalCalculus }) => {
+    const FunctionGrapher = {
+        KIND_NAMES: { function: '函数', parametric: '参数曲线', polar: '极坐标曲线' },
+        POINT_NAMES: { zero: '零点', maximum: '极大值点', minimum: '极小值点', inflection: '拐点', intersection: '交点' },
+        MAX_DEPTH: 12,
+        MAX_POINTS: 20000,
+
+        // Splits on commas outside parentheses and brackets.
+        splitTopLevel: text => {
+            const parts = [];
+            let depth = 0, start = 0;
+            [...text].forEach((ch, i) => {
+                if (ch === '(' || ch === '[') depth++;
+                else if (ch === ')' || ch === ']') depth--;
+                else if (ch === ',' && depth === 0) { parts.push(text.slice(start, i)); start = i + 1; }
+            });
+            parts.push(text.slice(start));
+            return parts.map(part => part.trim());
+        },
+
+        // One curve per line: "y = f(x)" or just "f(x)"; "(x(t), y(t))" for a parametric curve; "r = f(θ)" for a
+        // polar one (θ may also be typed as theta or t). A trailing ", x in [a, b]" (or t, θ; ∈ works too)
+        // restricts the parameter, which defaults to [0, 2π] for parametric and polar curves.
+        parseLine: line => {
+            const text = line.replace(/θ/g, 'theta');
+            const [body, ...rest] = FunctionGrapher.splitTopLevel(text);
+            if (rest.length > 1 || !body) throw new Error('无法识别的曲线格式。');
+            let kind, expressions;
+            const tuple = /^\((.*)\)$/.exec(body);
+            const parts = tuple ? FunctionGrapher.splitTopLevel(tuple[1]) : null;
+            if (parts && parts.length === 2) {
+                kind = 'parametric';
+                expressions = parts;
+            } else if (/^r\s*=/.test(body)) {
+                kind = 'polar';
+                expressions = [body.replace(/^r\s*=/, '')];
+            } else {
+                kind = 'function';
+                expressions = [body.replace(/^y\s*=/, '')];
+            }
+            const variable = kind === 'function' ? 'x' : 't';
+            const params = kind === 'function' ? ['x'] : ['t', 'theta'];
+            let range = kind === 'function' ? null : [0, 2 * Math.PI];
+            if (rest.length) {
+                const match = /^(x|t|theta)\s*(?:in|∈)\s*\[(.+)\]$/.exec(rest[0]);
+                const bounds = match ? FunctionGrapher.splitTopLevel(match[2]) : [];
+                if (!match || bounds.length !== 2 || (match[1] === 'x') !== (kind === 'function')) {
+                    throw new Error(`参数范围应写成 “${variable === 'x' ? 'x' : 't'} in [a, b]”。`);
+                }
+                range = bounds.map(bound => MathExpression.evaluate(bound));
+                if (!range.every(isFinite) || range[0] >= range[1]) throw new Error('参数范围必须是有限区间 [a, b]，且 a < b。');
+            }
+            const asts = expressions.map(source => MathExpression.parse(source));
+            const fns = asts.map(ast => MathExpression.compile(ast, params));
+            const curve = { kind, text: line.trim(), asts, range };
+            if (kind === 'function') curve.f = x => fns[0](x);
+            else if (kind === 'parametric') curve.point = t => [fns[0](t, t), fns[1](t, t)];
+            else curve.point = t => { const r = fns[0](t, t); return [r * Math.cos(t), r * Math.sin(t)]; };
+            return curve;
+        },
+
+        // Returns the curves that parse and a message for each line that does not; blank lines and # comments are skipped.
+        parse: text => {
+            const curves = [], errors = [];
+            text.split(/\r?\n/).forEach((line, i) => {
+                if (!line.trim() || line.trim().startsWith('#')) return;
+                try {
+                    curves.push({ ...FunctionGrapher.parseLine(line), line: i + 1 });
+                } catch (e) {
+                    errors.push(`第 ${i + 1} 行：${e.message}`);
+                }
+            });
+            return { curves, errors };
+        },
+
+        toLatex: curve => {
+            const [first, second] = curve.asts.map(ast => MathExpression.toLatex(ast).replace(/\\mathrm\{theta\}/g, '\\theta'));
+            if (curve.kind === 'parametric') return `\\left(${first},\\ ${second}\\right)`;
+            return `${curve.kind === 'polar' ? 'r' : 'y'} = ${first}`;
+        },
+
+        // Samples point(t) on [t0, t1]: a uniform pass, then bisection wherever the midpoint strays from the chord by
+        // more than `tolerance` of the view or the curve is defined on only one side (domain edges). A step that
+        // is still longer than `gap` of the view after MAX_DEPTH halvings is a pole or a jump and becomes a break
+        // (null), so Plotly does not join the two branches. Distances are measured in units of the view size.
+        sample: (point, [t0, t1], [xScale, yScale], { initial = 200, tolerance = 0.002, gap = 0.05 } = {}) => {
+            const xs = [], ys = [];
+            let budget = FunctionGrapher.MAX_POINTS;
+            const at = t => {
+                budget--;
+                const p = point(t);
+                return isFinite(p[0]) && isFinite(p[1]) ? p : null;
+            };
+            const push = p => {
+                if (!p && xs.length && xs[xs.length - 1] === null) return;
+                xs.push(p ? p[0] : null);
+                ys.push(p ? p[1] : null);
+            };
+            const distance = (p, q) => Math.hypot((p[0] - q[0]) / xScale, (p[1] - q[1]) / yScale);
+            // A long final step is still continuous when its midpoint splits it evenly, as on the steep flank of a
+            // pole; across a pole or a jump one half carries nearly all of it (or the midpoint overshoots both ends).
+            const steep = (ta, pa, tb, pb) => {
+                const pm = at((ta + tb) / 2);
+                if (!pm) return false;
+                const whole = distance(pa, pb), first = distance(pa, pm), second = distance(pm, pb);
+                return first + second < 1.5 * whole && Math.min(first, second) > 0.25 * whole;
+            };
+            const refine = (ta, pa, tb, pb, depth) => {
+                if (depth < FunctionGrapher.MAX_DEPTH && budget > 0) {
+                    const tm = (ta + tb) / 2, pm = at(tm);
+                    const edge = !pa !== !pb || !pa !== !pm;
+                    const bent = pa && pb && pm && distance(pm, [(pa[0] + pb[0]) / 2, (pa[1] + pb[1]) / 2]) > tolerance;
+                    if (edge || bent) {
+                        refine(ta, pa, tm, pm, depth + 1);
+                        refine(tm, pm, tb, pb, depth + 1);
+                        return;
+                    }
+                }
+                if (pa && pb && depth >= FunctionGrapher.MAX_DEPTH && distance(pa, pb) > gap && !steep(ta, pa, tb, pb)) push(null);
+                push(pb);
+            };
+            let previous = at(t0);
+            push(previous);
+            for (let i = 1; i <= initial; i++) {
+                const t = t0 + (t1 - t0) * i / initial, p = at(t);
+                refine(t0 + (t1 - t0) * (i - 1) / initial, previous, t, p, 0);
+                previous = p;
+            }
+            return { x: xs, y: ys };
+        },
+
+        // Graph points of a curve for the view { x: [a, b], y: [c, d] }; graphs are sampled a little beyond the
+        // visible x-range so that short pans do not show loose ends before the next resample.
+        sampleCurve: (curve, view) => {
+            const scale = [view.x[1] - view.x[0], view.y[1] - view.y[0]];
+            if (curve.kind !== 'function') return FunctionGrapher.sample(curve.point, curve.range, scale, { initial: 400 });
+            let [a, b] = [view.x[0] - scale[0] / 4, view.x[1] + scale[0] / 4];
+            if (curve.range) [a, b] = [Math.max(a, curve.range[0]), Math.min(b, curve.range[1])];
+            if (a >= b) return { x: [], y: [] };
+            return FunctionGrapher.sample(x => [x, curve.f(x)], [a, b], scale);
+        },
+
+        // First and second derivatives, symbolic where possible so that extrema are located to full precision.
+        derivatives: curve => {
+            if (!curve.derivatives) {
+                curve.derivatives = [1, 2].map(order => {
+                    try {
+                        let ast = curve.asts[0];
+                        for (let k = 0; k < order; k++) ast = SymbolicDiff.differentiate(ast).ast;
+                        const fn = MathExpression.compile(ast);
+                        return x => fn(x);
+                    } catch (e) {
+                        return x => NumericalCalculus.derivative(curve.f, x, order);
+                    }
+                });
+            }
+            return curve.derivatives;
+        },
+
+        // Sign changes of g on [a, b]: a scan of 800 steps that steps over points where g is undefined (NaN at a
+        // cusp) or exactly zero, then bisection. Brackets whose values are both within `noise` of zero are rounding
+        // noise, e.g. the second derivative of |x|. A sign change across a pole or a jump is not a root: the
+        // bisection then ends on a large |g|, beyond `tolerance`, or where the `valid` test (e.g. f finite) fails.
+        signChanges: (g, [a, b], { tolerance = Infinity, noise = 0, valid = () => true } = {}) => {
+            const roots = [], samples = 800;
+            let x0 = null, g0 = NaN, exact = null;
+            for (let i = 0; i <= samples; i++) {
+                const x1 = a + (b - a) * i / samples, g1 = g(x1);
+                if (!isFinite(g1) || g1 === 0) {
+                    exact = x1;
+                    continue;
+                }
+                if (x0 !== null && g0 * g1 < 0 && Math.max(Math.abs(g0), Math.abs(g1)) > noise) {
+                    let lo = x0, hi = x1, glo = g0;
+                    // A grid point where g vanishes or is undefined (x = 0 in a symmetric view) is kept as it is.
+                    if (exact !== null && exact > x0) lo = hi = exact;
+                    for (let k = 0; k < 60 && lo !== hi; k++) {
+                        const mid = (lo + hi) / 2, gmid = g(mid);
+                        if (glo * gmid <= 0) hi = mid; else { lo = mid; glo = gmid; }
+                    }
+                    const x = (lo + hi) / 2;
+                    if (!(Math.abs(g(x)) > tolerance) && valid(x)) roots.push(x);
+                }
+                x0 = x1; g0 = g1;
+            }
+            return roots;
+        },
+
+        // Zeros, extrema and inflection points of every graph, and intersections of every pair of graphs, inside the view.
+        analyze: (curves, view) => {
+            const graphs = curves.map((curve, index) => ({ curve, index })).filter(({ curve }) => curve.kind === 'function');
+            const yScale = view.y[1] - view.y[0], xScale = view.x[1] - view.x[0];
+            const points = [];
+            const interval = curve => {
+                const [a, b] = curve.range ? [Math.max(view.x[0], curve.range[0]), Math.min(view.x[1], curve.range[1])] : view.x;
+                return a < b ? [a, b] : null;
+            };
+            // f is "defined" at x when it is finite there and not part of a pole (huge compared with the view).
+            const defined = f => x => isFinite(f(x)) && Math.abs(f(x)) < 1e6 * Math.max(1, yScale);
+            // Cusps (|x|, x^(2/3)) and vertical inflections (cbrt(x)) count too: the derivative changes sign
+            // through a pole there, but unlike at a pole or a jump of f itself, f stays continuous.
+            const h = 1e-9 * xScale;
+            const continuous = f => x => Math.abs(f(x - h) - f(x)) < 1e-3 * yScale && Math.abs(f(x + h) - f(x)) < 1e-3 * yScale;
+            const add = (type, x, y, curveIndices) => {
+                const duplicate = points.find(p => p.type === type && Math.abs(p.x - x) < 1e-9 * xScale && p.curves.join() === curveIndices.join());
+                if (!duplicate) points.push({ type, x, y, curves: curveIndices });
+            };
+            graphs.forEach(({ curve, index }) => {
+                const range = interval(curve);
+                if (!range) return;
+                const { f } = curve, isDefined = defined(f);
+                const [d1, d2] = FunctionGrapher.derivatives(curve);
+                const step = (range[1] - range[0]) / 1600;
+                const valid = x => isDefined(x) && continuous(f)(x);
+                FunctionGrapher.signChanges(f, range, { tolerance: 1e-6 * yScale, valid: isDefined }).forEach(x => add('zero', x, 0, [index]));
+                FunctionGrapher.signChanges(d1, range, { noise: 1e-10 * yScale / xScale, valid }).forEach(x => {
+                    add(f(x - step) > f(x) ? 'minimum' : 'maximum', x, f(x), [index]);
+                    // A zero where the graph only touches the axis has no sign change of its own.
+                    if (Math.abs(f(x)) < 1e-8 * Math.max(1, yScale)) add('zero', x, 0, [index]);
+                });
+                FunctionGrapher.signChanges(d2, range, { noise: 1e-10 * yScale / xScale ** 2, valid }).forEach(x => add('inflection', x, f(x), [index]));
+            });
+            graphs.forEach(({ curve: first, index: i }, k) => graphs.slice(k + 1).forEach(({ curve: second, index: j }) => {
+                const [a1, b1] = interval(first) || [0, -1], [a2, b2] = interval(second) || [0, -1];
+                const range = [Math.max(a1, a2), Math.min(b1, b2)];
+                if (range[0] >= range[1]) return;
+                const difference = x => first.f(x) - second.f(x);
+                const valid = x => [first.f, second.f].every(f => defined(f)(x) && continuous(f)(x));
+                FunctionGrapher.signChanges(difference, range, { tolerance: 1e-6 * yScale, valid }).forEach(x => add('intersection', x, first.f(x), [i, j]));
+            }));
+            return points.sort((p, q) => p.x - q.x);
+        }
+    };
+
+    return { FunctionGrapher };
+});
@@ -0,0 +1,301 @@
+/**
+ * math/limits.js - Limits
+ * One- and two-sided limits by series expansion, L'Hôpital's rule and Richardson extrapolation.
+ * No DOM access: loaded by index.html ahead of script.js, and require()d by the tests in test/.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(Object.assign({}, require('./expression'), require('./symbolic'), require('./taylor')));
+    else Object.assign(root, factory(root));
+})(this, ({ MathExpression, SymbolicAlgebra, SymbolicDiff, TaylorSeries }) => {
+    // One-sided limits are computed in the variable t → 0⁺ with x = c ± t (or x = ±1/t at infinity).
+    // Three methods are tried in turn: a generalized power series c_0 t^v + c_1 t^(v+1) + … (v may be
+    // negative or fractional, so poles and square roots are covered), L'Hôpital's rule on 0/0, ∞/∞ and
+    // 0·∞ forms, and finally Richardson extrapolation of f sampled at t = h, h/2, h/4, ….
+    const LimitEvaluator = {
+        ORDER: 12,
+        TOLERANCE: 1e-10,
+        MAX_DEPTH: 6,
+        METHOD_NAMES: { series: '级数展开', lhopital: '洛必达法则', rules: '极限运算法则', richardson: 'Richardson 外推' },
+
+        // Accepts ∞, +∞, -∞, inf, infinity or any constant expression.
+        parsePoint: text => {
+            const trimmed = text.trim().toLowerCase().replace(/\s+/g, '');
+            const infinity = /^([+-]?)(∞|inf|infinity)$/.exec(trimmed);
+            if (infinity) return infinity[1] === '-' ? -Infinity : Infinity;
+            const value = MathExpression.evaluate(text);
+            if (!isFinite(value)) throw new Error('考察点 c 必须是实数或 ±∞。');
+            return value;
+        },
+
+        Series: {
+            zero: () => ({ v: Infinity, c: TaylorSeries.constant(0, LimitEvaluator.ORDER) }),
+            isZero: a => a.v === Infinity,
+            scaleOf: a => Math.max(0, ...a.c.filter(isFinite).map(Math.abs)),
+            // Drops leading coefficients that are rounding noise relative to `scale`; unknown (NaN) ones cannot be dropped.
+            normalize: (a, scale = LimitEvaluator.Series.scaleOf(a)) => {
+                const tolerance = LimitEvaluator.TOLERANCE * scale;
+                let shift = 0;
+                while (shift < a.c.length && Math.abs(a.c[shift]) <= tolerance) shift++;
+                if (shift === a.c.length) return LimitEvaluator.Series.zero();
+                if (!isFinite(a.c[shift])) throw new Error('级数精度不足。');
+                if (shift === 0) return a;
+                return { v: a.v + shift, c: a.c.slice(shift).concat(Array(shift).fill(NaN)) };
+            },
+            constant: value => LimitEvaluator.Series.normalize({ v: 0, c: TaylorSeries.constant(value, LimitEvaluator.ORDER) }),
+            isConstant: a => a.v === Infinity || (a.v === 0 && a.c.every((c, k) => k === 0 || c === 0)),
+            valueOf: a => {
+                if (a.v === Infinity || a.v > 0) return 0;
+                return a.v === 0 ? a.c[0] : Math.sign(a.c[0]) * Infinity;
+            },
+            add: (a, b) => {
+                const L = LimitEvaluator.Series;
+                if (L.isZero(a)) return b;
+                if (L.isZero(b)) return a;
+                const [low, high] = a.v <= b.v ? [a, b] : [b, a];
+                const gap = high.v - low.v;
+                // Exponents on different lattices (e.g. √t + t): only the terms before the higher series starts are known.
+                if (Math.abs(gap - Math.round(gap)) > 1e-9) return { v: low.v, c: low.c.map((c, k) => k < gap ? c : NaN) };
+                const shift = Math.round(gap);
+                const sum = low.c.map((c, k) => k < shift ? c : c + high.c[k - shift]);
+                return L.normalize({ v: low.v, c: sum }, Math.max(L.scaleOf(a), L.scaleOf(b)));
+            },
+            scale: (a, s) => ({ v: a.v, c: TaylorSeries.scale(a.c, s) }),
+            mul: (a, b) => {
+                const L = LimitEvaluator.Series;
+                if (L.isZero(a) || L.isZero(b)) return L.zero();
+                return { v: a.v + b.v, c: TaylorSeries.mul(a.c, b.c) };
+            },
+            div: (a, b) => {
+                const L = LimitEvaluator.Series;
+                if (L.isZero(b)) throw new Error('除数恒为 0。');
+                if (L.isZero(a)) return L.zero();
+                return { v: a.v - b.v, c: TaylorSeries.div(a.c, b.c) };
+            },
+            pow: (a, p) => {
+                const L = LimitEvaluator.Series;
+                if (L.isZero(a)) {
+                    if (p > 0) return L.zero();
+                    throw new Error('0 的非正数次幂无定义。');
+                }
+                if (!Number.isInteger(p) && a.c[0] < 0) throw new Error('负数的非整数次幂无定义。');
+                return { v: a.v * p, c: TaylorSeries.pow(a.c, p) };
+            },
+            // Ordinary Taylor coefficients in t; only possible when the series stays bounded with integer powers.
+            toTaylor: a => {
+                if (a.v === Infinity) return TaylorSeries.constant(0, LimitEvaluator.ORDER);
+                if (a.v < 0 || !Number.isInteger(a.v)) throw new Error('参数不是 t 的幂级数。');
+                return Array(a.v).fill(0).concat(a.c).slice(0, LimitEvaluator.ORDER + 1);
+            },
+            // Value approached by a and the side it approaches from (+1 above, -1 below, 0 if constant).
+            approach: a => {
+                if (a.v === Infinity) return { value: 0, side: 0 };
+                if (a.v < 0) throw new Error('参数趋于无穷。');
+                if (a.v > 0) return { value: 0, side: Math.sign(a.c[0]) };
+                const tolerance = LimitEvaluator.TOLERANCE * LimitEvaluator.Series.scaleOf(a);
+                const next = a.c.slice(1).find(c => !(Math.abs(c) <= tolerance));
+                if (next !== undefined && !isFinite(next)) throw new Error('级数精度不足。');
+                return { value: a.c[0], side: next === undefined ? 0 : Math.sign(next) };
+            },
+            call: (name, [a, b]) => {
+                const L = LimitEvaluator.Series;
+                switch (name) {
+                    case 'sqrt': return L.pow(a, 0.5);
+                    case 'cbrt': return a.c[0] < 0 ? L.scale(L.pow(L.scale(a, -1), 1 / 3), -1) : L.pow(a, 1 / 3);
+                    case 'root': {
+                        if (!L.isConstant(b)) throw new Error('根指数必须是常数。');
+                        const n = L.valueOf(b);
+                        return a.c[0] < 0 && Math.abs(n % 2) === 1 ? L.scale(L.pow(L.scale(a, -1), 1 / n), -1) : L.pow(a, 1 / n);
+                    }
+                    // Through Series.div, so that poles such as tan at π/2 become negative powers instead of errors.
+                    case 'tan': return L.div(L.call('sin', [a]), L.call('cos', [a]));
+                    case 'tanh': return L.div(L.call('sinh', [a]), L.call('cosh', [a]));
+                    // t > 0, so the sign of the leading term is the sign of the whole series near the point.
+                    case 'abs': return L.isZero(a) ? a : L.scale(a, Math.sign(a.c[0]));
+                    case 'floor': case 'ceil': case 'sign': case 'factorial': {
+                        // Nudging toward the approach side picks the correct branch of a jump.
+                        const { value, side } = L.approach(a);
+                        return L.constant(MathExpression.FUNCTIONS[name](value + side * 1e-9 * Math.max(1, Math.abs(value))));
+                    }
+                    default:
+                        return L.normalize({ v: 0, c: TaylorSeries.call(name, [L.toTaylor(a), b && L.toTaylor(b)], LimitEvaluator.ORDER) });
+                }
+            },
+            expand: (ast, c, side) => {
+                const L = LimitEvaluator.Series, n = LimitEvaluator.ORDER;
+                const variable = () => {
+                    if (!isFinite(c)) return { v: -1, c: TaylorSeries.constant(Math.sign(c), n) };
+                    if (c === 0) return { v: 1, c: TaylorSeries.constant(side, n) };
+                    return { v: 0, c: TaylorSeries.constant(c, n).map((value, k) => k === 1 ? side : value) };
+                };
+                const series = node => {
+                    switch (node.type) {
+                        case 'number': return L.constant(node.value);
+                        case 'symbol': return node.name === 'x' ? variable() : L.constant(MathExpression.evaluate(node));
+                        case 'unary': return L.scale(series(node.arg), -1);
+                        case 'binary': {
+                            const a = series(node.left), b = series(node.right);
+                            switch (node.op) {
+                                case '+': return L.add(a, b);
+                                case '-': return L.add(a, L.scale(b, -1));
+                                case '*': return L.mul(a, b);
+                                case '/': return L.div(a, b);
+                                case '^':
+                                    if (L.isConstant(b)) return L.pow(a, L.valueOf(b));
+                                    return L.call('exp', [L.mul(b, L.call('ln', [a]))]);
+                            }
+                            break;
+                        }
+                        case 'call': return L.call(node.name, node.args.map(series));
+                    }
+                    throw new Error('无法展开该表达式。');
+                };
+                return series(ast);
+            }
+        },
+
+        // Samples f at t = h/2^k and extrapolates assuming f ≈ L + a t^p + b t^2p + …, with p estimated from the data.
+        richardson: (f, c, side) => {
+            const count = 20, tail = 10;
+            const point = t => isFinite(c) ? c + side * t * Math.max(1, Math.abs(c)) : Math.sign(c) / t;
+            const ys = Array.from({ length: count }, (_, k) => f(point(0.12 / 2 ** k))).slice(count - tail);
+            if (ys.some(isNaN)) return { kind: 'undefined' };
+            if (ys.slice(-4).every(y => y === Infinity) || ys.slice(-4).every(y => y === -Infinity)) return { kind: 'infinite', value: ys[tail - 1] };
+            if (ys.some(y => !isFinite(y))) return { kind: 'none' };
+
+            const diffs = ys.slice(1).map((y, i) => ys[i] - y);
+            const last = ys[tail - 1], scale = Math.max(1, Math.abs(last));
+            if (diffs.slice(-4).every(d => Math.abs(d) <= 1e-14 * scale)) return { kind: 'finite', value: last, error: 0 };
+            const ratios = diffs.slice(-5, -1).map((d, i) => d / diffs[diffs.length - 4 + i]).filter(r => r > 0).sort((a, b) => a - b);
+            const p = ratios.length ? Math.log2(ratios[Math.floor(ratios.length / 2)]) : NaN;
+            if (p > 0.2 && p < 10) {
+                let row = ys.slice();
+                let best = { value: last, error: Math.abs(diffs[diffs.length - 1]) };
+                for (let j = 1; j <= 4 && row.length > 2; j++) {
+                    const factor = 2 ** (j * p) - 1;
+                    row = row.slice(1).map((y, i) => y + (y - row[i]) / factor);
+                    const error = Math.abs(row[row.length - 1] - row[row.length - 2]);
+                    if (error < best.error) best = { value: row[row.length - 1], error };
+                }
+                if (best.error <= 1e-6 * Math.max(1, Math.abs(best.value))) return { kind: 'finite', ...best };
+            }
+
+            // Without a usable expansion (e.g. x·sin(1/x)) fall back to how the spread of the samples evolves.
+            const spread = values => Math.max(...values) - Math.min(...values);
+            const early = spread(ys.slice(0, tail / 2)), late = spread(ys.slice(tail / 2));
+            if (late <= 1e-7 * scale || late <= 0.1 * early) {
+                const error = spread(ys.slice(-3));
+                return { kind: 'finite', value: Math.abs(last) <= error ? 0 : last, error };
+            }
+            const growing = ys.every(y => Math.sign(y) === Math.sign(last)) && diffs.every((d, i) => Math.abs(ys[i + 1]) > Math.abs(ys[i]) && (i === 0 || Math.abs(d) >= 0.8 * Math.abs(diffs[i - 1])));
+            if (growing) return { kind: 'infinite', value: Math.sign(last) * Infinity };
+            const monotone = diffs.every(d => d >= 0) || diffs.every(d => d <= 0);
+            if (!monotone && late >= 0.5 * early) return { kind: 'none', reason: '函数值持续振荡' };
+            throw new Error('数值外推无法确定该极限，请尝试化简表达式。');
+        },
+
+        // Returns { kind: 'finite' | 'infinite' | 'none' | 'undefined', value, method, steps }.
+        oneSided: (ast, c, side, depth = 0) => {
+            const L = LimitEvaluator.Series, S = SymbolicAlgebra;
+            try {
+                const value = L.valueOf(L.expand(ast, c, side));
+                if (!isNaN(value)) return { kind: isFinite(value) ? 'finite' : 'infinite', value, method: 'series', steps: [] };
+            } catch (e) {
+                // Not expandable here (essential singularity, logarithm at 0, …): fall through to the other methods.
+            }
+
+            if (depth < LimitEvaluator.MAX_DEPTH && ast.type === 'binary' && (ast.op === '/' || ast.op === '*')) {
+                const limitOf = node => {
+                    try { return LimitEvaluator.oneSided(node, c, side, depth + 1); } catch (e) { return { kind: 'unknown' }; }
+                };
+                const left = limitOf(ast.left), right = limitOf(ast.right);
+                const isZero = r => r.kind === 'finite' && r.value === 0, isInfinite = r => r.kind === 'infinite';
+                const tex = MathExpression.toLatex;
+                if (ast.op === '/' && ((isZero(left) && isZero(right)) || (isInfinite(left) && isInfinite(right)))) {
+                    const next = S.simplify(S.bin('/', SymbolicDiff.differentiate(ast.left).ast, SymbolicDiff.differentiate(ast.right).ast));
+                    const form = isZero(left) ? '\\frac{0}{0}' : '\\frac{\\infty}{\\infty}';
+                    const result = LimitEvaluator.oneSided(next, c, side, depth + 1);
+                    return { ...result, method: 'lhopital', steps: [{ form, latex: `\\frac{\\left(${tex(ast.left)}\\right)'}{\\left(${tex(ast.right)}\\right)'} = ${tex(next)}` }].concat(result.steps) };
+                }
+                if (ast.op === '/' && left.kind === 'finite' && isInfinite(right)) return { kind: 'finite', value: 0, method: 'rules', steps: [] };
+                if (ast.op === '*' && ((isZero(left) && isInfinite(right)) || (isInfinite(left) && isZero(right)))) {
+                    const [zeroPart, infinitePart] = isZero(left) ? [ast.left, ast.right] : [ast.right, ast.left];
+                    const quotient = S.bin('/', infinitePart, S.bin('/', S.num(1), zeroPart));
+                    const result = LimitEvaluator.oneSided(quotient, c, side, depth + 1);
+                    return { ...result, steps: [{ form: '0 \\cdot \\infty', latex: `${tex(ast)} = ${tex(quotient)}` }].concat(result.steps) };
+                }
+            }
+            // f^g = exp(g ln f) turns 1^∞, 0^0 and ∞^0 into a limit of the exponent.
+            if (depth < LimitEvaluator.MAX_DEPTH && ast.type === 'binary' && ast.op === '^' && S.dependsOn(ast.right, 'x')) {
+                const exponent = S.bin('*', ast.right, S.call('ln', ast.left));
+                const result = LimitEvaluator.oneSided(exponent, c, side, depth + 1);
+                const value = result.kind === 'finite' ? Math.exp(result.value) : result.kind === 'infinite' ? (result.value > 0 ? Infinity : 0) : NaN;
+                if (!isNaN(value)) return { ...result, kind: isFinite(value) ? 'finite' : 'infinite', value, steps: [{ form: 'f^g', latex: `${MathExpression.toLatex(ast)} = e^{${MathExpression.toLatex(exponent)}}` }].concat(result.steps) };
+            }
+            if (depth < LimitEvaluator.MAX_DEPTH && ast.type === 'call' && ast.name === 'exp') {
+                const result = LimitEvaluator.oneSided(ast.args[0], c, side, depth + 1);
+                if (result.kind === 'finite' || result.kind === 'infinite') {
+                    const value = Math.exp(result.value);
+                    return { ...result, kind: isFinite(value) ? 'finite' : 'infinite', value };
+                }
+            }
+
+            const numeric = LimitEvaluator.richardson(MathExpression.compile(ast), c, side);
+            return { ...numeric, method: 'richardson', steps: [] };
+        },
+
+        // direction is 'both', 'right' or 'left'; at ±∞ only the one meaningful side is used.
+        evaluate: (source, c, direction = 'both') => {
+            const ast = typeof source === 'string' ? MathExpression.parse(source) : source;
+            const sides = !isFinite(c) ? [1] : direction === 'both' ? [-1, 1] : [direction === 'right' ? 1 : -1];
+            const results = sides.map(side => ({ side, ...LimitEvaluator.oneSided(ast, c, side) }));
+            const sideName = side => side < 0 ? '左' : '右';
+            const undefinedSide = results.find(r => r.kind === 'undefined');
+            if (undefinedSide) return { kind: 'none', reason: isFinite(c) ? `函数在 c 的${sideName(undefinedSide.side)}侧无定义` : '函数在该方向上无定义', sides: results };
+            const none = results.find(r => r.kind === 'none');
+            if (none) return { kind: 'none', reason: none.reason || '极限不存在', sides: results };
+            const [first, second] = results;
+            if (second) {
+                const agree = first.kind === second.kind && (first.kind === 'infinite' ? first.value === second.value : Math.abs(first.value - second.value) <= 1e-6 * Math.max(1, Math.abs(first.value)));
+                if (!agree) return { kind: 'none', reason: '左右极限不相等', sides: results };
+            }
+            const method = results.find(r => r.method === 'richardson') || results.find(r => r.method === 'lhopital') || first;
+            return { kind: first.kind, value: first.value, method: method.method, steps: method.steps, sides: results };
+        },
+
+        // Largest δ (or, at infinity, smallest N = 1/δ) found on a sample grid such that 0 < |x - c| < δ ⇒ |f(x) - L| < ε.
+        findDelta: (f, c, limit, epsilon, sides, maxDelta) => {
+            const point = (t, side) => isFinite(c) ? c + side * t : Math.sign(c) / t;
+            const violates = t => sides.some(side => {
+                const y = f(point(t, side));
+                return !isNaN(y) && !(Math.abs(y - limit) < epsilon);
+            });
+            const grid = Array.from({ length: 400 }, (_, i) => maxDelta * (i + 1) / 400)
+                .concat(Array.from({ length: 40 }, (_, k) => maxDelta / 400 / 2 ** (k + 1)))
+                .sort((a, b) => a - b);
+            const firstBad = grid.findIndex(violates);
+            if (firstBad === -1) return maxDelta;
+            if (firstBad === 0) return 0;
+            let good = grid[firstBad - 1], bad = grid[firstBad];
+            for (let i = 0; i < 40; i++) {
+                const mid = (good + bad) / 2;
+                if (violates(mid)) bad = mid; else good = mid;
+            }
+            return good;
+        },
+
+        limitLatex: (c, direction) => {
+            if (!isFinite(c)) return `\\lim_{x \\to ${c > 0 ? '+' : '-'}\\infty}`;
+            const sup = direction === 'right' ? '^{+}' : direction === 'left' ? '^{-}' : '';
+            return `\\lim_{x \\to ${MathExpression.numberToLatex(c)}${sup}}`;
+        },
+
+        valueLatex: (value, approximate) => {
+            if (!isFinite(value)) return value > 0 ? '+\\infty' : '-\\infty';
+            const rounded = parseFloat(value.toPrecision(approximate ? 8 : 12));
+            const fraction = SymbolicAlgebra.Frac.fromNumber(rounded);
+            return fraction.inexact || approximate ? MathExpression.numberToLatex(rounded) : MathExpression.toLatex(SymbolicAlgebra.Frac.toNode(fraction));
+        }
+    };
+
+    return { LimitEvaluator };
+});
@@ -0,0 +1,181 @@
+/**
+ * math/linear-algebra.js - Linear algebra
+ * Gaussian elimination, inverses, determinants, rank and least squares over exact rationals or floats.
+ * No DOM access: loaded by index.html ahead of script.js, and require()d by the tests in test/.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(Object.assign({}, require('./expression'), require('./equations')));
+    else Object.assign(root, factory(root));
+})(this, ({ MathExpression, ExactRoots }) => {
+    // Elimination is written once against a field interface: exact BigInt rationals when every entry is
+    // rational, floating point with partial pivoting otherwise.
+    const LinearAlgebra = {
+        fields: {
+            rational: {
+                exact: true,
+                zero: () => ExactRoots.Q.make(0),
+                one: () => ExactRoots.Q.make(1),
+                parse: text => {
+                    const parts = text.replace(/^\+/, '').split('/');
+                    const fractions = parts.map(ExactRoots.toFraction);
+                    if (parts.length > 2 || fractions.some(f => !f)) return null;
+                    if (parts.length === 2 && fractions[1].n === 0n) throw new Error(`“${text}” 的分母为 0。`);
+                    return parts.length === 2 ? ExactRoots.Q.div(fractions[0], fractions[1]) : fractions[0];
+                },
+                add: (a, b) => ExactRoots.Q.add(a, b),
+                sub: (a, b) => ExactRoots.Q.sub(a, b),
+                mul: (a, b) => ExactRoots.Q.mul(a, b),
+                div: (a, b) => ExactRoots.Q.div(a, b),
+                neg: a => ExactRoots.Q.scale(a, -1),
+                isZero: a => a.n === 0n,
+                isRoundoff: difference => difference.n === 0n,
+                isOne: a => a.n === 1n && a.d === 1n,
+                magnitude: a => Math.abs(ExactRoots.Q.value(a)),
+                toLatex: a => ExactRoots.fracLatex(a)
+            },
+            // Zero tests are relative: against the matrix scale passed in by rref, and for a difference a - b
+            // against the size of a and b, so tiny but genuine entries such as 10⁻¹² survive.
+            real: {
+                exact: false,
+                EPSILON: 2.220446049250313e-16,
+                zero: () => 0,
+                one: () => 1,
+                parse: text => {
+                    const value = MathExpression.evaluate(text);
+                    if (!isFinite(value)) throw new Error(`“${text}” 不是有限实数。`);
+                    return value;
+                },
+                add: (a, b) => a + b,
+                sub: (a, b) => a - b,
+                mul: (a, b) => a * b,
+                div: (a, b) => a / b,
+                neg: a => -a,
+                isZero: (a, tolerance = 0) => Math.abs(a) <= tolerance,
+                isRoundoff: (difference, a, b) => Math.abs(difference) <= 4 * LinearAlgebra.fields.real.EPSILON * (Math.abs(a) + Math.abs(b)),
+                isOne: a => Math.abs(a - 1) <= 4 * LinearAlgebra.fields.real.EPSILON,
+                magnitude: a => Math.abs(a),
+                toLatex: a => String(parseFloat(a.toPrecision(6))).replace(/e([+-]\d+)/, (_, exp) => `\\times 10^{${parseInt(exp)}}`)
+            }
+        },
+
+        // Rows are separated by new lines or ';', entries by spaces or commas, and a '|' starts the
+        // right-hand side. Returns { A, B, field } with B an empty-column matrix when there is no '|'.
+        parse: text => {
+            const lines = text.split(/[\n;]/).map(line => line.trim()).filter(line => line);
+            if (lines.length === 0) throw new Error('请输入矩阵。');
+            const cells = lines.map(line => line.split('|').map(part => part.trim().split(/[\s,]+/).filter(s => s)));
+            if (cells.some(row => row.length > 2)) throw new Error('每行最多只能有一个竖线 “|”。');
+            const width = cells[0][0].length, augmented = cells[0].length === 2 ? cells[0][1].length : 0;
+            cells.forEach((row, i) => {
+                if (row[0].length !== width || (row[1] ? row[1].length : 0) !== augmented) throw new Error(`第 ${i + 1} 行的元素个数与第一行不一致。`);
+            });
+            if (width === 0) throw new Error('系数矩阵不能为空。');
+            const flat = cells.flatMap(row => row.flat());
+            const field = flat.every(entry => LinearAlgebra.fields.rational.parse(entry)) ? LinearAlgebra.fields.rational : LinearAlgebra.fields.real;
+            const read = entries => entries.map(entry => field.parse(entry));
+            return { A: cells.map(row => read(row[0])), B: cells.map(row => read(row[1] || [])), field };
+        },
+
+        matrixLatex: (rows, field, split = null) => {
+            const width = rows[0] ? rows[0].length : 0;
+            const spec = split !== null && split < width ? 'c'.repeat(split) + '|' + 'c'.repeat(width - split) : 'c'.repeat(width);
+            return `\\left[\\begin{array}{${spec}}${rows.map(row => row.map(field.toLatex).join(' & ')).join(' \\\\ ')}\\end{array}\\right]`;
+        },
+        // c · symbol as a signed LaTeX term, dropping unit coefficients.
+        termLatex: (field, c, symbol) => {
+            if (field.isOne(c)) return symbol;
+            if (field.isOne(field.neg(c))) return `-${symbol}`;
+            return `${field.toLatex(c)}${symbol}`;
+        },
+
+        // Gauss–Jordan elimination on the first `columns` columns. Each recorded step lists the row
+        // operations applied for one pivot and the matrix afterwards; `determinant` is only meaningful for
+        // a square coefficient block. Over the reals an entry counts as zero below ε · size · max|a_ij|.
+        rref: (matrix, field, columns = matrix[0].length, record = true) => {
+            const rows = matrix.map(row => row.slice());
+            const tolerance = field.exact ? 0 : field.EPSILON * Math.max(rows.length, columns) * Math.max(...rows.flat().map(field.magnitude));
+            const steps = [], pivots = [];
+            let determinant = field.one(), r = 0;
+            const snapshot = operations => { if (record) steps.push({ operations, latex: LinearAlgebra.matrixLatex(rows, field, columns) }); };
+            for (let c = 0; c < columns && r < rows.length; c++) {
+                let best = -1;
+                for (let i = r; i < rows.length; i++) {
+                    if (field.isZero(rows[i][c], tolerance)) continue;
+                    if (best < 0 || (!field.exact && field.magnitude(rows[i][c]) > field.magnitude(rows[best][c]))) best = i;
+                    if (field.exact) break;
+                }
+                if (best < 0) continue;
+                const operations = [];
+                if (best !== r) {
+                    [rows[r], rows[best]] = [rows[best], rows[r]];
+                    determinant = field.neg(determinant);
+                    operations.push(`R_{${r + 1}} \\leftrightarrow R_{${best + 1}}`);
+                }
+                const pivot = rows[r][c];
+                if (!field.isOne(pivot)) {
+                    determinant = field.mul(determinant, pivot);
+                    const inverse = field.div(field.one(), pivot);
+                    rows[r] = rows[r].map(v => field.mul(v, inverse));
+                    operations.push(`R_{${r + 1}} \\leftarrow ${LinearAlgebra.termLatex(field, inverse, `R_{${r + 1}}`)}`);
+                }
+                rows[r][c] = field.one();
+                for (let i = 0; i < rows.length; i++) {
+                    const factor = rows[i][c];
+                    if (i === r || field.isZero(factor)) continue;
+                    rows[i] = rows[i].map((v, j) => {
+                        const product = field.mul(factor, rows[r][j]), updated = field.sub(v, product);
+                        return field.isRoundoff(updated, v, product) ? field.zero() : updated;
+                    });
+                    operations.push(`R_{${i + 1}} \\leftarrow ${ExactRoots.joinTerms([`R_{${i + 1}}`, LinearAlgebra.termLatex(field, field.neg(factor), `R_{${r + 1}}`)])}`);
+                }
+                pivots.push(c);
+                r++;
+                if (operations.length) snapshot(operations);
+            }
+            // What is left below the pivot rows is negligible in the eliminated columns.
+            rows.slice(r).forEach(row => row.fill(field.zero(), 0, columns));
+            if (pivots.length < columns) determinant = field.zero();
+            return { rows, pivots, steps, determinant, rank: pivots.length, tolerance };
+        },
+
+        transpose: M => M[0].map((_, j) => M.map(row => row[j])),
+        multiply: (field, X, Y) => X.map(row => Y[0].map((_, j) => row.reduce((sum, v, k) => field.add(sum, field.mul(v, Y[k][j])), field.zero()))),
+
+        // General solution of A x = B (one right-hand side): particular solution plus free parameters t_k.
+        solveSystem: (field, A, b) => {
+            const n = A[0].length;
+            const reduced = LinearAlgebra.rref(A.map((row, i) => [...row, b[i]]), field, n);
+            const inconsistent = reduced.rows.slice(reduced.rank).some(row => !field.isZero(row[n], reduced.tolerance));
+            if (inconsistent) return { ...reduced, consistent: false };
+            const free = Array.from({ length: n }, (_, j) => j).filter(j => !reduced.pivots.includes(j));
+            const parameter = j => `t_{${free.indexOf(j) + 1}}`;
+            const solution = Array.from({ length: n }, (_, j) => {
+                if (free.includes(j)) return { value: field.zero(), latex: parameter(j) };
+                const row = reduced.rows[reduced.pivots.indexOf(j)];
+                const constant = row[n];
+                const terms = free.filter(f => !field.isZero(row[f])).map(f => LinearAlgebra.termLatex(field, field.neg(row[f]), parameter(f)));
+                return { value: constant, latex: ExactRoots.joinTerms([field.isZero(constant) && terms.length ? '' : field.toLatex(constant), ...terms]) };
+            });
+            return { ...reduced, consistent: true, free: free.length, solution };
+        },
+
+        inverse: (field, A) => {
+            const n = A.length;
+            const augmented = A.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => i === j ? field.one() : field.zero())]);
+            const reduced = LinearAlgebra.rref(augmented, field, n);
+            return { ...reduced, inverse: reduced.rank === n ? reduced.rows.map(row => row.slice(n)) : null };
+        },
+
+        // Normal equations AᵀA x = Aᵀb, which are always consistent.
+        leastSquares: (field, A, b) => {
+            const At = LinearAlgebra.transpose(A);
+            const AtA = LinearAlgebra.multiply(field, At, A), Atb = LinearAlgebra.multiply(field, At, b.map(v => [v])).map(row => row[0]);
+            const result = LinearAlgebra.solveSystem(field, AtA, Atb);
+            const fitted = A.map(row => row.reduce((sum, v, j) => field.add(sum, field.mul(v, result.solution[j].value)), field.zero()));
+            const residual = fitted.reduce((sum, v, i) => { const e = field.sub(b[i], v); return field.add(sum, field.mul(e, e)); }, field.zero());
+            return { ...result, AtA, Atb, residual };
+        }
+    };
+
+    return { LinearAlgebra };
+});
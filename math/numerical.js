@@ -0,0 +1,213 @@
+/**
+ * math/numerical.js - Numerical calculus
+ * Finite-difference derivatives and adaptive quadrature.
+ * No DOM access: loaded by index.html ahead of script.js, and require()d by the tests in test/.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else Object.assign(root, factory());
+})(this, () => {
+    const NumericalCalculus = {
+        EPSILON: 2.220446049250313e-16,
+        // Central difference for the n-th derivative with a step balancing truncation and rounding error.
+        derivative: (f, x, order = 1) => {
+            const h = Math.pow(NumericalCalculus.EPSILON, 1 / (order + 2)) * Math.max(1, Math.abs(x));
+            let sum = 0, binomial = 1;
+            for (let k = 0; k <= order; k++) {
+                sum += (k % 2 === 0 ? 1 : -1) * binomial * f(x + (order / 2 - k) * h);
+                binomial = binomial * (order - k) / (k + 1);
+            }
+            return sum / Math.pow(h, order);
+        },
+        // Adaptive Simpson quadrature with Richardson correction.
+        integrate: (f, a, b, tolerance = 1e-10, maxDepth = 50) => {
+            const simpson = (fa, fm, fb, width) => width / 6 * (fa + 4 * fm + fb);
+            const recurse = (lo, hi, flo, fmid, fhi, whole, tol, depth) => {
+                const mid = (lo + hi) / 2, leftMid = (lo + mid) / 2, rightMid = (mid + hi) / 2;
+                const fLeftMid = f(leftMid), fRightMid = f(rightMid);
+                const left = simpson(flo, fLeftMid, fmid, mid - lo), right = simpson(fmid, fRightMid, fhi, hi - mid);
+                const delta = left + right - whole;
+                if (depth <= 0 || Math.abs(delta) <= 15 * tol || !isFinite(delta)) return left + right + delta / 15;
+                return recurse(lo, mid, flo, fLeftMid, fmid, left, tol / 2, depth - 1) + recurse(mid, hi, fmid, fRightMid, fhi, right, tol / 2, depth - 1);
+            };
+            if (a === b) return 0;
+            const fa = f(a), fb = f(b), fm = f((a + b) / 2);
+            return recurse(a, b, fa, fm, fb, simpson(fa, fm, fb, b - a), tolerance, maxDepth);
+        },
+        // Gauss–Kronrod 7/15 abscissae and weights on [0, 1] (QUADPACK); the 7-point Gauss rule uses the odd ones.
+        KRONROD_NODES: [0.991455371120812639, 0.949107912342758525, 0.864864423359769073, 0.741531185599394440, 0.586087235467691130, 0.405845151377397167, 0.207784955007898468, 0],
+        KRONROD_WEIGHTS: [0.022935322010529225, 0.063092092629978553, 0.104790010322250184, 0.140653259715525919, 0.169004726639267903, 0.190350578064785410, 0.204432940075298892, 0.209482141084727828],
+        GAUSS_WEIGHTS: [0.129484966168869693, 0.279705391489276668, 0.381830050505118945, 0.417959183673469388],
+        // Globally adaptive Gauss–Kronrod: the subinterval with the largest |K15 - G7| is bisected until the
+        // summed estimate meets the relative tolerance. Unlike `integrate`, a failure is reported, not hidden:
+        // converged is false when a sample is not finite or the estimate is still too large after maxIntervals.
+        integrateWithError: (f, a, b, tolerance = 1e-12, maxIntervals = 500) => {
+            const { KRONROD_NODES: nodes, KRONROD_WEIGHTS: kronrod, GAUSS_WEIGHTS: gauss } = NumericalCalculus;
+            const rule = (lo, hi) => {
+                const center = (lo + hi) / 2, half = (hi - lo) / 2;
+                let k = 0, g = 0;
+                nodes.forEach((t, i) => {
+                    const sum = t === 0 ? f(center) : f(center - half * t) + f(center + half * t);
+                    k += kronrod[i] * sum;
+                    if (i % 2 === 1) g += gauss[(i - 1) / 2] * sum;
+                });
+                return { lo, hi, value: k * half, error: Math.abs(k - g) * half };
+            };
+            const intervals = [rule(a, b)];
+            for (;;) {
+                const value = intervals.reduce((s, i) => s + i.value, 0), error = intervals.reduce((s, i) => s + i.error, 0);
+                if (!isFinite(value) || !isFinite(error)) return { value: NaN, error: Infinity, converged: false };
+                if (error <= tolerance * Math.max(1, Math.abs(value))) return { value, error, converged: true };
+                if (intervals.length >= maxIntervals) return { value, error, converged: false };
+                const worst = intervals.reduce((w, i, index) => i.error > intervals[w].error ? index : w, 0);
+                const { lo, hi } = intervals[worst], mid = (lo + hi) / 2;
+                intervals.splice(worst, 1, rule(lo, mid), rule(mid, hi));
+            }
+        },
+        // Bisection on every sign change of f over a uniform grid in (a, b).
+        findRoots: (f, a, b, samples = 400) => {
+            const roots = [];
+            const step = (b - a) / samples;
+            let x0 = a, f0 = f(a);
+            for (let i = 1; i <= samples; i++) {
+                const x1 = a + i * step, f1 = f(x1);
+                if (f0 === 0) roots.push(x0);
+                else if (isFinite(f0) && isFinite(f1) && f0 * f1 < 0) {
+                    let lo = x0, hi = x1, flo = f0;
+                    for (let k = 0; k < 60; k++) {
+                        const mid = (lo + hi) / 2, fmid = f(mid);
+                        if (flo * fmid <= 0) hi = mid; else { lo = mid; flo = fmid; }
+                    }
+                    roots.push((lo + hi) / 2);
+                }
+                x0 = x1; f0 = f1;
+            }
+            return roots;
+        },
+
+        QUADRATURE_RULES: {
+            left: '左端点矩形', right: '右端点矩形', midpoint: '中点矩形', trapezoid: '梯形法则',
+            simpson: '辛普森法则', 'adaptive-simpson': '自适应辛普森', 'gauss-legendre': '高斯-勒让德'
+        },
+        // The sum each rule evaluates, for the LaTeX export; adaptive Simpson has no fixed closed form.
+        QUADRATURE_LATEX: {
+            left: '\\Delta x \\sum_{i=0}^{n-1} f(x_i)',
+            right: '\\Delta x \\sum_{i=1}^{n} f(x_i)',
+            midpoint: '\\Delta x \\sum_{i=0}^{n-1} f\\left(\\frac{x_i + x_{i+1}}{2}\\right)',
+            trapezoid: '\\frac{\\Delta x}{2} \\left[f(x_0) + 2 \\sum_{i=1}^{n-1} f(x_i) + f(x_n)\\right]',
+            simpson: '\\frac{\\Delta x}{3} \\left[f(x_0) + 4 \\sum_{i \\text{ 奇}} f(x_i) + 2 \\sum_{i \\text{ 偶}} f(x_i) + f(x_n)\\right]',
+            'gauss-legendre': '\\frac{b-a}{2} \\sum_{i=1}^{n} w_i f\\left(\\frac{b-a}{2} t_i + \\frac{a+b}{2}\\right)'
+        },
+        gaussLegendreCache: {},
+        // Nodes/weights on [-1, 1] via Newton's method on P_n, started from the Chebyshev-like guess.
+        gaussLegendreNodes: n => {
+            if (NumericalCalculus.gaussLegendreCache[n]) return NumericalCalculus.gaussLegendreCache[n];
+            const nodes = [], weights = [];
+            for (let i = 0; i < n; i++) {
+                let x = Math.cos(Math.PI * (i + 0.75) / (n + 0.5)), derivative = 1;
+                for (let iter = 0; iter < 100; iter++) {
+                    let p0 = 1, p1 = x;
+                    for (let k = 2; k <= n; k++) [p0, p1] = [p1, ((2 * k - 1) * x * p1 - (k - 1) * p0) / k];
+                    derivative = n * (x * p1 - p0) / (x * x - 1);
+                    const dx = p1 / derivative;
+                    x -= dx;
+                    if (Math.abs(dx) < 1e-16) break;
+                }
+                nodes.push(x);
+                weights.push(2 / ((1 - x * x) * derivative * derivative));
+            }
+            const result = { nodes: nodes.reverse(), weights: weights.reverse() };
+            NumericalCalculus.gaussLegendreCache[n] = result;
+            return result;
+        },
+        // One rule, one resolution. `n` is the subinterval count, the node count for Gauss-Legendre,
+        // or a precision level (tolerance 10^(-n/4)) for adaptive Simpson. Shapes are closed polygons for plotting.
+        quadrature: (f, a, b, n, rule) => {
+            let evaluations = 0;
+            const F = x => { evaluations++; return f(x); };
+            const shapes = [], samples = [];
+            const rectangle = (x0, x1, height) => ({ x: [x0, x0, x1, x1, x0], y: [0, height, height, 0, 0] });
+            const parabola = (x0, x2, f0, f1, f2) => {
+                const xm = (x0 + x2) / 2, h = (x2 - x0) / 2, xs = [x0], ys = [0];
+                for (let i = 0; i <= 12; i++) {
+                    const x = x0 + (x2 - x0) * i / 12, t = (x - xm) / h;
+                    xs.push(x);
+                    ys.push(f1 + (f2 - f0) / 2 * t + (f0 - 2 * f1 + f2) / 2 * t * t);
+                }
+                return { x: xs.concat([x2, x0]), y: ys.concat([0, 0]) };
+            };
+            let value = 0, h = (b - a) / n;
+            switch (rule) {
+                case 'left': case 'right': case 'midpoint': {
+                    const offset = { left: 0, right: 1, midpoint: 0.5 }[rule];
+                    for (let i = 0; i < n; i++) {
+                        const x0 = a + i * h, xi = x0 + offset * h, fi = F(xi);
+                        value += fi * h;
+                        shapes.push(rectangle(x0, x0 + h, fi));
+                        samples.push({ x: xi, y: fi });
+                    }
+                    break;
+                }
+                case 'trapezoid': {
+                    let f0 = F(a);
+                    samples.push({ x: a, y: f0 });
+                    for (let i = 0; i < n; i++) {
+                        const x0 = a + i * h, x1 = x0 + h, f1 = F(x1);
+                        value += (f0 + f1) / 2 * h;
+                        shapes.push({ x: [x0, x0, x1, x1, x0], y: [0, f0, f1, 0, 0] });
+                        samples.push({ x: x1, y: f1 });
+                        f0 = f1;
+                    }
+                    break;
+                }
+                case 'simpson': {
+                    if (n % 2 === 1) n++;
+                    h = (b - a) / n;
+                    const ys = Array.from({ length: n + 1 }, (_, i) => F(a + i * h));
+                    for (let i = 0; i < n; i += 2) {
+                        value += h / 3 * (ys[i] + 4 * ys[i + 1] + ys[i + 2]);
+                        shapes.push(parabola(a + i * h, a + (i + 2) * h, ys[i], ys[i + 1], ys[i + 2]));
+                    }
+                    ys.forEach((y, i) => samples.push({ x: a + i * h, y }));
+                    break;
+                }
+                case 'adaptive-simpson': {
+                    const tolerance = Math.pow(10, -n / 4) * Math.max(1, Math.abs(b - a));
+                    const recurse = (lo, hi, flo, fmid, fhi, whole, tol, depth) => {
+                        const mid = (lo + hi) / 2, fLeftMid = F((lo + mid) / 2), fRightMid = F((mid + hi) / 2);
+                        const left = (mid - lo) / 6 * (flo + 4 * fLeftMid + fmid), right = (hi - mid) / 6 * (fmid + 4 * fRightMid + fhi);
+                        const delta = left + right - whole;
+                        if (depth <= 0 || Math.abs(delta) <= 15 * tol || !isFinite(delta)) {
+                            shapes.push(parabola(lo, mid, flo, fLeftMid, fmid), parabola(mid, hi, fmid, fRightMid, fhi));
+                            samples.push({ x: lo, y: flo }, { x: (lo + mid) / 2, y: fLeftMid }, { x: mid, y: fmid }, { x: (mid + hi) / 2, y: fRightMid }, { x: hi, y: fhi });
+                            return left + right + delta / 15;
+                        }
+                        return recurse(lo, mid, flo, fLeftMid, fmid, left, tol / 2, depth - 1) + recurse(mid, hi, fmid, fRightMid, fhi, right, tol / 2, depth - 1);
+                    };
+                    const fa = F(a), fm = F((a + b) / 2), fb = F(b);
+                    value = recurse(a, b, fa, fm, fb, (b - a) / 6 * (fa + 4 * fm + fb), tolerance, 30);
+                    return { value, evaluations, shapes, samples, tolerance };
+                }
+                case 'gauss-legendre': {
+                    // Each node gets a bar whose width is its weight; the bars tile [a, b] and each contains its node.
+                    const { nodes, weights } = NumericalCalculus.gaussLegendreNodes(n);
+                    const half = (b - a) / 2;
+                    let left = a;
+                    nodes.forEach((t, i) => {
+                        const xi = a + half * (t + 1), fi = F(xi), width = weights[i] * half;
+                        value += fi * width;
+                        shapes.push(rectangle(left, left + width, fi));
+                        samples.push({ x: xi, y: fi });
+                        left += width;
+                    });
+                    break;
+                }
+                default:
+                    throw new Error(`未知的积分法则: ${rule}`);
+            }
+            return { value, evaluations, shapes, samples, n };
+        }
+    };
+
+    return { NumericalCalculus };
+});
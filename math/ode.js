@@ -0,0 +1,193 @@
+/**
+ * math/ode.js - Ordinary differential equations
+ * Parses first-order equations y' = f(x, y) and small systems, integrates them with Euler, improved Euler, RK4 and
+ * adaptive Dormand–Prince RK45, samples direction fields and measures how each method's error shrinks with the step.
+ * No DOM access: loaded by index.html ahead of script.js, and require()d by the tests in test/.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./expression'));
+    else Object.assign(root, factory(root));
+})(this, ({ MathExpression }) => {
+    // Dormand–Prince 5(4): nodes, stage weights, the 5th-order weights (also the last stage, so its slope is the
+    // next step's first) and the difference between the 5th- and 4th-order weights, which estimates the error.
+    const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+    const DP_A = [
+        [],
+        [1 / 5],
+        [3 / 40, 9 / 40],
+        [44 / 45, -56 / 15, 32 / 9],
+        [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+        [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+        [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+    ];
+    const DP_E = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+
+    // y + Σ h·w_i·k_i, skipping zero weights.
+    const combine = (y, h, weights, ks) => y.map((value, j) => weights.reduce((sum, w, i) => w ? sum + h * w * ks[i][j] : sum, value));
+
+    const ODESolver = {
+        METHODS: { euler: '欧拉法', heun: '改进欧拉法', rk4: '四阶龙格-库塔法 (RK4)', rk45: '自适应 RK45' },
+        STOP_REASONS: { undefined: '解在此处无定义或趋于无穷', outside: '解离开了绘图区域', step: '步长过小，解可能在此处爆破', steps: '步数超过上限' },
+        ORDERS: { euler: 1, heun: 2, rk4: 4, rk45: 5 },
+        MAX_EQUATIONS: 4,
+
+        // One equation per line: "y' = f(x, y)", "dy/dx = f(x, y)" or, for a single equation, just "f(x, y)".
+        // A single equation in y is a function of x; a system (or an equation in x) is a function of t.
+        parse: text => {
+            const lines = text.split(/\r?\n/).map((line, i) => ({ text: line.trim(), number: i + 1 })).filter(line => line.text && !line.text.startsWith('#'));
+            if (!lines.length) throw new Error('请输入微分方程。');
+            if (lines.length > ODESolver.MAX_EQUATIONS) throw new Error(`方程组最多包含 ${ODESolver.MAX_EQUATIONS} 个方程。`);
+            let independent = null;
+            const equations = lines.map(({ text: line, number }) => {
+                const prime = /^([a-zA-Z]\w*)\s*'\s*=(.*)$/.exec(line), leibniz = /^d([a-zA-Z]\w*)\s*\/\s*d([a-zA-Z]\w*)\s*=(.*)$/.exec(line);
+                if (prime) return { variable: prime[1], source: prime[2], number };
+                if (leibniz) {
+                    if (independent && independent !== leibniz[2]) throw new Error(`第 ${number} 行：所有方程必须对同一个自变量求导。`);
+                    independent = leibniz[2];
+                    return { variable: leibniz[1], source: leibniz[3], number };
+                }
+                if (lines.length > 1 || line.includes('=')) throw new Error(`第 ${number} 行：应写成 “y' = f(x, y)” 的形式。`);
+                return { variable: 'y', source: line, number };
+            });
+            const variables = equations.map(eq => eq.variable);
+            independent = independent || (variables.length === 1 && variables[0] !== 'x' ? 'x' : 't');
+            variables.forEach((name, i) => {
+                if (name === independent) throw new Error(`第 ${equations[i].number} 行：未知函数 ${name} 与自变量同名。`);
+                if (variables.indexOf(name) !== i) throw new Error(`第 ${equations[i].number} 行：未知函数 ${name} 重复出现。`);
+            });
+            const params = [independent, ...variables];
+            const compiled = equations.map(({ source, number }) => {
+                try {
+                    const ast = MathExpression.parse(source);
+                    return { ast, fn: MathExpression.compile(ast, params) };
+                } catch (e) {
+                    throw new Error(`第 ${number} 行：${e.message}`);
+                }
+            });
+            return {
+                independent, variables,
+                asts: compiled.map(c => c.ast),
+                f: (t, y) => compiled.map(c => c.fn(t, ...y)),
+                // A field that does not involve t can be drawn once for every t.
+                autonomous: !compiled.some(c => JSON.stringify(c.ast).includes(`"name":"${independent}"`))
+            };
+        },
+
+        toLatex: system => system.variables.map((name, i) => `${name}' = ${MathExpression.toLatex(system.asts[i])}`).join(',\\quad '),
+
+        steppers: {
+            euler: (f, t, y, h) => combine(y, h, [1], [f(t, y)]),
+            heun: (f, t, y, h) => {
+                const k1 = f(t, y), k2 = f(t + h, combine(y, h, [1], [k1]));
+                return combine(y, h, [1 / 2, 1 / 2], [k1, k2]);
+            },
+            rk4: (f, t, y, h) => {
+                const k1 = f(t, y);
+                const k2 = f(t + h / 2, combine(y, h / 2, [1], [k1]));
+                const k3 = f(t + h / 2, combine(y, h / 2, [1], [k2]));
+                const k4 = f(t + h, combine(y, h, [1], [k3]));
+                return combine(y, h, [1 / 6, 1 / 3, 1 / 3, 1 / 6], [k1, k2, k3, k4]);
+            }
+        },
+
+        // Integrates y' = f(t, y) from (t0, y0) to t1 (which may lie before t0). Fixed-step methods take
+        // ceil(|t1 - t0| / h) equal steps; RK45 starts with h and keeps the local error below `tolerance`, relative
+        // to max(1, |y|). The run stops early, keeping the point that failed the test, when y stops being finite or
+        // inside(t, y) turns false, so a curve can be followed to the edge of the view.
+        integrate: (f, t0, y0, t1, { method = 'rk4', h = 0.1, tolerance = 1e-6, inside = () => true, maxSteps = 20000 } = {}) => {
+            let evaluations = 0;
+            const g = (t, y) => { evaluations++; return f(t, y); };
+            const ts = [t0], ys = [y0.slice()];
+            let t = t0, y = y0.slice(), stopped = null, rejected = 0;
+            const record = (tNext, yNext) => {
+                t = tNext;
+                y = yNext;
+                ts.push(t);
+                ys.push(y);
+                if (!y.every(isFinite)) stopped = 'undefined';
+                else if (!inside(t, y)) stopped = 'outside';
+            };
+            const span = t1 - t0, direction = Math.sign(span);
+            if (method !== 'rk45') {
+                const n = Math.min(maxSteps, Math.max(1, Math.ceil(Math.abs(span) / h))), step = span / n;
+                if (span === 0) return { t: ts, y: ys, evaluations, steps: 0, rejected, stopped };
+                for (let i = 1; i <= n && !stopped; i++) record(i === n ? t1 : t0 + i * step, ODESolver.steppers[method](g, t, y, step));
+                return { t: ts, y: ys, evaluations, steps: ts.length - 1, rejected, stopped };
+            }
+            let step = direction * Math.min(Math.abs(h), Math.abs(span)), k1 = g(t, y);
+            while (direction * (t1 - t) > 0 && !stopped && ts.length <= maxSteps) {
+                const last = direction * (t + step - t1) >= 0;
+                if (last) step = t1 - t;
+                const ks = [k1];
+                for (let s = 1; s < 7; s++) ks.push(g(t + DP_C[s] * step, combine(y, step, DP_A[s], ks)));
+                const next = combine(y, step, DP_A[6], ks);
+                const error = Math.max(...y.map((value, j) => Math.abs(step * DP_E.reduce((sum, e, i) => sum + e * ks[i][j], 0)) / (tolerance * Math.max(1, Math.abs(value), Math.abs(next[j])))));
+                if (error <= 1) {
+                    record(last ? t1 : t + step, next);
+                    k1 = ks[6];
+                } else rejected++;
+                // Safety factor 0.9, growth limited to 5× and shrinking to 0.2× (also when f is undefined: error is NaN).
+                step *= error === 0 ? 5 : error <= Infinity ? Math.min(5, Math.max(0.2, 0.9 * error ** -0.2)) : 0.2;
+                if (!stopped && Math.abs(step) < 1e-12 * Math.max(1, Math.abs(t))) stopped = 'step';
+            }
+            if (!stopped && direction * (t1 - t) > 0) stopped = 'steps';
+            return { t: ts, y: ys, evaluations, steps: ts.length - 1, rejected, stopped };
+        },
+
+        // Short segments of the field on an n × n grid of the view { x: [a, b], y: [c, d] }, as one polyline with
+        // null breaks. For an equation in y the segment has slope f(x, y); for a system the first two components
+        // of f (evaluated at t = 0 and zero for the rest) give a direction, and `tips` marks the end it points to.
+        field: (system, view, n = 21) => {
+            const xs = [], ys = [], tips = [];
+            const [dx, dy] = [(view.x[1] - view.x[0]) / n, (view.y[1] - view.y[0]) / n];
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    const x = view.x[0] + (i + 0.5) * dx, y = view.y[0] + (j + 0.5) * dy;
+                    const [u, v] = system.variables.length === 1
+                        ? [1, system.f(x, [y])[0]]
+                        : system.f(0, [x, y, ...Array(system.variables.length - 2).fill(0)]);
+                    // Lengths are measured in grid cells so that the segments look the same on any aspect ratio.
+                    const length = Math.hypot(u / dx, v / dy);
+                    if (!isFinite(length) || length === 0) continue;
+                    const [ex, ey] = [0.35 * u / length, 0.35 * v / length];
+                    xs.push(x - ex, x + ex, null);
+                    ys.push(y - ey, y + ey, null);
+                    tips.push(0, 1, 0);
+                }
+            }
+            return { x: xs, y: ys, tips };
+        },
+
+        // Error at t0 + length of every method over a range of step sizes, against an RK45 run at a tight tolerance.
+        // Fixed-step methods halve h from length / 2; RK45 tightens its tolerance and is placed at its average step.
+        // The observed order is the least-squares slope of log(error) against log(h) above the rounding floor.
+        convergence: (f, t0, y0, length, { halvings = 12, floor = 1e-12 } = {}) => {
+            const t1 = t0 + length;
+            const reference = ODESolver.integrate(f, t0, y0, t1, { method: 'rk45', h: length / 100, tolerance: 1e-14, maxSteps: 200000 });
+            if (reference.stopped) throw new Error('该区间内解不存在或趋于无穷，无法比较误差。');
+            const exact = reference.y[reference.y.length - 1];
+            const errorOf = run => run.stopped ? Infinity : Math.max(...run.y[run.y.length - 1].map((value, j) => Math.abs(value - exact[j])));
+            const scale = Math.max(1, ...exact.map(Math.abs));
+            return {
+                reference: exact,
+                methods: Object.keys(ODESolver.METHODS).map(method => {
+                    const runs = method === 'rk45'
+                        ? Array.from({ length: 10 }, (_, k) => ODESolver.integrate(f, t0, y0, t1, { method, h: length / 10, tolerance: 10 ** -(k + 1) }))
+                        : Array.from({ length: halvings }, (_, k) => ODESolver.integrate(f, t0, y0, t1, { method, h: Math.abs(length) / 2 ** (k + 1) }));
+                    const points = runs.map(run => ({ h: Math.abs(length) / run.steps, error: errorOf(run), evaluations: run.evaluations }))
+                        .filter(p => isFinite(p.error) && p.error > 0);
+                    const fit = points.filter(p => p.error > floor * scale && p.error < 0.1 * scale);
+                    let order = null;
+                    if (method !== 'rk45' && fit.length >= 3) {
+                        const lx = fit.map(p => Math.log(p.h)), ly = fit.map(p => Math.log(p.error));
+                        const mx = lx.reduce((s, v) => s + v, 0) / lx.length, my = ly.reduce((s, v) => s + v, 0) / ly.length;
+                        order = lx.reduce((s, v, i) => s + (v - mx) * (ly[i] - my), 0) / lx.reduce((s, v) => s + (v - mx) ** 2, 0);
+                    }
+                    return { method, points, order };
+                })
+            };
+        }
+    };
+
+    return { ODESolver };
+});
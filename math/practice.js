@@ -0,0 +1,360 @@
+/**
+ * math/practice.js - Practice problems
+ * Randomly generated exercises per topic, answer checking and progress bookkeeping.
+ * No DOM access: loaded by index.html ahead of script.js, and require()d by the tests in test/.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./expression'), require('./symbolic'), require('./limits'), require('./equations'), require('./sequences')));
+    } else Object.assign(root, factory(root));
+})(this, ({ MathExpression, SymbolicAlgebra, SymbolicDiff, LimitEvaluator, EquationSolvers, ExactRoots, SequenceAnalyzer }) => {
+    // Every problem is built from a template with small random integers, so its answer is known in closed
+    // form; the solvers of the other pages then supply the worked solution (derivative steps, exact roots,
+    // the recognized sequence). Answers are compared numerically: an expression at sample points, a number
+    // or a set of roots to a relative 10⁻⁶, so any equivalent way of writing the answer is accepted.
+    const tex = source => MathExpression.toLatex(source);
+    const int = (rng, lo, hi) => lo + Math.floor(rng() * (hi - lo + 1));
+    const pick = (rng, items) => items[Math.floor(rng() * items.length)];
+    const nonZero = (rng, lo, hi) => {
+        let value;
+        do value = int(rng, lo, hi); while (value === 0);
+        return value;
+    };
+    // c·body as source text: "-x^2", "3sin(x)", "4/x"; later terms carry their sign, " - 2x".
+    const term = (c, body, leading) => {
+        const magnitude = Math.abs(c) === 1 && body && body[0] !== '/' ? body : `${Math.abs(c)}${body}`;
+        return leading ? `${c < 0 ? '-' : ''}${magnitude}` : ` ${c < 0 ? '-' : '+'} ${magnitude}`;
+    };
+    const combine = pairs => pairs.filter(([c]) => c !== 0).map(([c, body], i) => term(c, body, i === 0)).join('') || '0';
+    const power = k => k === 0 ? '' : k === 1 ? 'x' : `x^${k}`;
+    const polynomial = coeffs => combine(coeffs.map((c, i) => [c, power(coeffs.length - 1 - i)]));
+    const kx = k => term(k, 'x', true);
+    const expand = roots => roots.reduce((coeffs, r) => coeffs.concat(0).map((c, i) => c - r * (coeffs[i - 1] || 0)), [1]);
+    const close = (actual, expected) => Math.abs(actual - expected) <= 1e-6 * Math.max(1, Math.abs(expected));
+    const evaluateNumber = text => {
+        const value = MathExpression.evaluate(text);
+        if (!isFinite(value)) throw new Error(`“${text}” 不是一个实数。`);
+        return value;
+    };
+    // "f'(x) = …", "x_1 = …": only the part after the last "=" is the answer.
+    const strip = text => text.replace(/^[^=]*=/, '').trim();
+
+    const Practice = {
+        TOPICS: { derivative: '导数', limits: '极限', integral: '定积分', 'equation-solver': '多项式方程', polyfit: '数列找规律' },
+        // Derivatives are compared here; points where the expected derivative is undefined are skipped.
+        SAMPLE_POINTS: [-2.3, -1.7, -0.9, -0.4, 0.3, 0.8, 1.3, 1.9, 2.6, 3.1],
+        TERMS: 6,
+
+        // Park–Miller generator, so a seed reproduces a problem. Small seeds start with tiny values, hence
+        // the few discarded draws.
+        random: seed => {
+            let state = (Math.floor(Math.abs(seed)) % 2147483646) + 1;
+            const next = () => (state = state * 16807 % 2147483647) / 2147483647;
+            for (let i = 0; i < 4; i++) next();
+            return next;
+        },
+
+        // Each template maps a random source to the data its topic's builder turns into a problem.
+        TEMPLATES: {
+            derivative: [
+                rng => polynomial([nonZero(rng, -5, 5), int(rng, -6, 6), int(rng, -6, 6), int(rng, -9, 9)]),
+                rng => combine([[nonZero(rng, -4, 4), `sin(${kx(int(rng, 1, 4))})`], [nonZero(rng, -4, 4), `cos(${kx(int(rng, 1, 4))})`]]),
+                rng => `${power(int(rng, 1, 3))} e^(${kx(nonZero(rng, -3, 3))})`,
+                rng => `${power(int(rng, 1, 3))} ln(x)`,
+                rng => `ln(${polynomial([1, 0, int(rng, 1, 9)])})`,
+                rng => `sqrt(${polynomial([int(rng, 1, 4), 0, int(rng, 1, 9)])})`,
+                rng => {
+                    const a = nonZero(rng, -5, 5);
+                    let b;
+                    do b = nonZero(rng, -5, 5); while (b === a);
+                    return `(${polynomial([1, a])})/(${polynomial([1, b])})`;
+                },
+                rng => `e^(${term(nonZero(rng, -2, 2), 'x^2', true)})`
+            ],
+            limits: [
+                rng => {
+                    const a = nonZero(rng, -5, 5), factor = polynomial([1, -a]), other = polynomial([1, a]);
+                    const source = `(x^2 - ${a * a})/(${factor})`;
+                    return {
+                        source, c: a, value: 2 * a,
+                        steps: [
+                            { text: '直接代入得到 0/0 型。把分子因式分解，约去公因式：', latex: `${tex(source)} = \\frac{(${tex(factor)})(${tex(other)})}{${tex(factor)}} = ${tex(other)}` },
+                            { text: '约分后的函数在该点连续，直接代入：', latex: `L = ${a} + ${a < 0 ? `(${a})` : a} = ${2 * a}` }
+                        ]
+                    };
+                },
+                rng => {
+                    let k;
+                    do k = nonZero(rng, -5, 5); while (Math.abs(k) < 2);
+                    const source = `sin(${kx(k)})/x`;
+                    return {
+                        source, c: 0, value: k,
+                        steps: [{ text: '凑出重要极限 sin u / u → 1 (u → 0)，其中 u = ' + kx(k) + '：', latex: `${tex(source)} = ${k} \\cdot ${tex(`sin(${kx(k)})/(${kx(k)})`)} \\to ${k} \\cdot 1 = ${k}` }]
+                    };
+                },
+                rng => {
+                    const k = int(rng, 1, 4), source = `(1 - cos(${kx(k)}))/x^2`;
+                    return {
+                        source, c: 0, value: k * k / 2,
+                        steps: [{ text: '利用等价无穷小 1 - cos u ～ u²/2 (u → 0)：', latex: `${tex(source)} \\sim ${tex(`(${kx(k)})^2/(2x^2)`)} = ${LimitEvaluator.valueLatex(k * k / 2)}` }]
+                    };
+                },
+                rng => {
+                    const k = nonZero(rng, -4, 4), source = `(e^(${kx(k)}) - 1)/x`;
+                    return {
+                        source, c: 0, value: k,
+                        steps: [{ text: '利用等价无穷小 e^u - 1 ～ u (u → 0)：', latex: `${tex(source)} \\sim ${tex(`${kx(k)}/x`)} = ${k}` }]
+                    };
+                },
+                rng => {
+                    const k = int(rng, 1, 5), source = `ln(1 + ${kx(k)})/x`;
+                    return {
+                        source, c: 0, value: k,
+                        steps: [{ text: '利用等价无穷小 ln(1 + u) ～ u (u → 0)：', latex: `${tex(source)} \\sim ${tex(`${kx(k)}/x`)} = ${k}` }]
+                    };
+                },
+                rng => {
+                    const a = nonZero(rng, -5, 5), b = int(rng, -5, 5), c = nonZero(rng, -5, 5), d = int(rng, 1, 9);
+                    const source = `(${polynomial([a, b, 0])})/(${polynomial([c, 0, d])})`;
+                    const divided = `(${combine([[a, ''], [b, '/x']])})/(${combine([[c, ''], [d, '/x^2']])})`;
+                    return {
+                        source, c: Infinity, value: a / c, valueLatex: ExactRoots.fracLatex(ExactRoots.Q.make(a, c)),
+                        steps: [
+                            { text: '∞/∞ 型。分子分母同除以最高次幂 x²：', latex: `${tex(source)} = ${tex(divided)}` },
+                            { text: '当 x → +∞ 时 1/x 与 1/x² 都趋于 0：', latex: `L = \\frac{${a}}{${c}} = ${ExactRoots.fracLatex(ExactRoots.Q.make(a, c))}` }
+                        ]
+                    };
+                },
+                rng => {
+                    const a = int(rng, 1, 4), source = `(sqrt(x + ${a * a}) - ${a})/x`;
+                    return {
+                        source, c: 0, value: 1 / (2 * a),
+                        steps: [
+                            { text: '0/0 型。分子有理化：', latex: `${tex(source)} = ${tex(`(x + ${a * a} - ${a * a})/(x(sqrt(x + ${a * a}) + ${a}))`)} = ${tex(`1/(sqrt(x + ${a * a}) + ${a})`)}` },
+                            { text: '代入 x = 0：', latex: `L = \\frac{1}{${a} + ${a}} = ${LimitEvaluator.valueLatex(1 / (2 * a))}` }
+                        ]
+                    };
+                },
+                rng => {
+                    const k = int(rng, 1, 3), source = `(1 + ${k}/x)^x`, limit = k === 1 ? 'e' : `e^{${k}}`;
+                    return {
+                        source, c: Infinity, value: Math.exp(k), valueLatex: limit,
+                        steps: [{
+                            text: k === 1 ? '1^∞ 型，正是重要极限 (1 + 1/x)^x → e：' : `1^∞ 型。化为重要极限 (1 + 1/u)^u → e (u → +∞)，其中 u = x/${k}：`,
+                            latex: k === 1 ? `${tex(source)} \\to e` : `${tex(source)} = \\left[${tex(`(1 + 1/(x/${k}))^(x/${k})`)}\\right]^{${k}} \\to ${limit}`
+                        }]
+                    };
+                }
+            ],
+            integral: [
+                rng => {
+                    const p = nonZero(rng, -3, 3), q = int(rng, -4, 4), r = int(rng, -5, 5), a = int(rng, -2, 1), b = a + int(rng, 1, 3);
+                    const value = p * (b ** 3 - a ** 3) / 3 + q * (b ** 2 - a ** 2) / 2 + r * (b - a);
+                    return { f: polynomial([p, q, r]), F: combine([[p, 'x^3/3'], [q, 'x^2/2'], [r, 'x']]), a: `${a}`, b: `${b}`, value, how: '逐项用幂函数的积分公式' };
+                },
+                rng => {
+                    const k = int(rng, 1, 5);
+                    const [fn, antiderivative, sign, b, value] = pick(rng, [['sin', 'cos', -1, 'pi', 2], ['cos', 'sin', 1, 'pi/2', 1], ['sin', 'cos', -1, 'pi/2', 1]]);
+                    return { f: term(k, `${fn}(x)`, true), F: term(sign * k, `${antiderivative}(x)`, true), a: '0', b, value: k * value, how: '基本积分公式' };
+                },
+                rng => {
+                    const k = int(rng, 1, 3);
+                    return {
+                        f: `e^(${kx(k)})`, F: k === 1 ? 'e^x' : `e^(${kx(k)})/${k}`, a: '0', b: '1', value: (Math.exp(k) - 1) / k,
+                        valueLatex: k === 1 ? 'e - 1' : `\\frac{e^{${k}} - 1}{${k}}`, how: '基本积分公式'
+                    };
+                },
+                rng => {
+                    const k = int(rng, 2, 9);
+                    return { f: '1/x', F: 'ln(x)', a: '1', b: `${k}`, value: Math.log(k), valueLatex: `\\ln ${k}`, how: '基本积分公式' };
+                },
+                rng => {
+                    const b = int(rng, 1, 2);
+                    return { f: '2x e^(x^2)', F: 'e^(x^2)', a: '0', b: `${b}`, value: Math.exp(b * b) - 1, valueLatex: b === 1 ? 'e - 1' : 'e^{4} - 1', how: '换元 u = x²' };
+                },
+                () => ({ f: 'x cos(x)', F: 'x sin(x) + cos(x)', a: '0', b: 'pi/2', value: Math.PI / 2 - 1, valueLatex: '\\frac{\\pi}{2} - 1', how: '分部积分' }),
+                rng => {
+                    const [a, b, value, valueLatex] = pick(rng, [['0', '1', Math.PI / 4, '\\frac{\\pi}{4}'], ['-1', '1', Math.PI / 2, '\\frac{\\pi}{2}'], ['0', 'sqrt(3)', Math.PI / 3, '\\frac{\\pi}{3}']]);
+                    return { f: '1/(1 + x^2)', F: 'atan(x)', a, b, value, valueLatex, how: '基本积分公式' };
+                }
+            ],
+            'equation-solver': [
+                rng => {
+                    const lead = pick(rng, [1, 1, 2, -1]);
+                    return expand([int(rng, -6, 6), int(rng, -6, 6)]).map(c => lead * c);
+                },
+                rng => {
+                    const r = 2 * int(rng, -3, 3) + 1, s = int(rng, -4, 4);
+                    return [2, -(r + 2 * s), r * s];
+                },
+                rng => {
+                    const p = int(rng, -3, 3), q = pick(rng, [2, 3, 5, 6, 7]);
+                    return [1, -2 * p, p * p - q];
+                },
+                rng => expand([int(rng, -4, 4), int(rng, -4, 4), int(rng, -4, 4)])
+            ],
+            polyfit: [
+                rng => {
+                    const first = int(rng, -10, 10), d = nonZero(rng, -7, 7);
+                    return n => first + (n - 1) * d;
+                },
+                rng => {
+                    const a = nonZero(rng, -3, 3), b = int(rng, -5, 5), c = int(rng, -5, 5);
+                    return n => a * n * n + b * n + c;
+                },
+                rng => {
+                    const a = nonZero(rng, -3, 3), [p, q] = pick(rng, [[2, 1], [3, 1], [-2, 1], [-3, 1], [1, 2]]);
+                    const { Q } = SequenceAnalyzer;
+                    return n => Q.mul(Q.make(a), Q.pow(Q.make(p, q), n - 1));
+                },
+                rng => {
+                    const first = int(rng, 1, 4), second = int(rng, 1, 6);
+                    const terms = [first, second];
+                    return n => {
+                        while (terms.length < n) terms.push(terms[terms.length - 1] + terms[terms.length - 2]);
+                        return terms[n - 1];
+                    };
+                },
+                rng => {
+                    const k = int(rng, 2, 3), c = int(rng, -5, 5);
+                    return n => n ** k + c;
+                },
+                rng => {
+                    const c = int(rng, 1, 3);
+                    return n => c * Number(SequenceAnalyzer.factorial(n));
+                }
+            ]
+        },
+
+        // Turn a template's output into { latex, label, hint, answer, answerLatex, steps }; null rejects it.
+        BUILDERS: {
+            derivative: source => {
+                const result = SymbolicDiff.differentiate(source);
+                return {
+                    statement: '求下列函数的导数：', latex: `f(x) = ${tex(source)}`, label: "f'(x) =",
+                    hint: '输入关于 x 的表达式，例如 6x - 2cos(2x)；与标准答案等价的写法都算正确。',
+                    answer: { type: 'expression', f: MathExpression.compile(result.ast) },
+                    answerLatex: `f'(x) = ${result.latex}`,
+                    steps: result.steps.map(step => ({ text: `${step.rule}：`, latex: step.latex }))
+                };
+            },
+            limits: ({ source, c, value, valueLatex, steps }) => ({
+                statement: '求下列极限：', latex: `L = ${LimitEvaluator.limitLatex(c, 'both')} ${tex(source)}`, label: 'L =',
+                hint: '输入精确值或小数，例如 3/2、e^2、sqrt(2)。',
+                answer: { type: 'number', value },
+                answerLatex: `L = ${valueLatex || LimitEvaluator.valueLatex(value)}`,
+                steps
+            }),
+            integral: ({ f, F, a, b, value, valueLatex, how }) => {
+                const result = valueLatex || LimitEvaluator.valueLatex(value);
+                // A sum is bracketed: ∫ (3x² + 1) dx.
+                const integrand = / [+-] /.test(f.replace(/\([^()]*\)/g, '')) ? `\\left(${tex(f)}\\right)` : tex(f);
+                return {
+                    statement: '计算下列定积分：', latex: `I = \\int_{${tex(a)}}^{${tex(b)}} ${integrand} \\,dx`, label: 'I =',
+                    hint: '输入精确值或小数，例如 14/3、e - 1、pi/4。',
+                    answer: { type: 'number', value },
+                    answerLatex: `I = ${result}`,
+                    steps: [
+                        { text: `${how}，求出一个原函数：`, latex: `F(x) = ${MathExpression.toLatex(SymbolicAlgebra.simplify(MathExpression.parse(F)))}` },
+                        { text: '由牛顿-莱布尼茨公式：', latex: `I = F\\left(${tex(b)}\\right) - F\\left(${tex(a)}\\right) = ${result}` }
+                    ]
+                };
+            },
+            'equation-solver': coeffs => {
+                const polynomialLatex = tex(polynomial(coeffs));
+                const exact = ExactRoots.solve(coeffs);
+                const values = EquationSolvers.solve(coeffs).filter(root => root.imag === 0).map(root => root.real);
+                const roots = exact.roots.filter(root => root.imag === 0);
+                const rootsLatex = roots.map((root, i) => `x_{${i + 1}} = ${root.latex}`).join(',\\quad ');
+                const steps = [];
+                if (coeffs.length === 3) {
+                    const [a, b, c] = coeffs, discriminant = b * b - 4 * a * c, paren = v => v < 0 ? `(${v})` : `${v}`;
+                    steps.push({ text: '计算判别式：', latex: `\\Delta = b^{2} - 4ac = ${paren(b)}^{2} - 4 \\cdot ${paren(a)} \\cdot ${paren(c)} = ${discriminant}` });
+                    steps.push({
+                        text: discriminant > 0 ? 'Δ > 0，方程有两个不相等的实根。由求根公式：' : 'Δ = 0，方程有一个二重实根。由求根公式：',
+                        latex: `x = \\frac{-b \\pm \\sqrt{\\Delta}}{2a} = \\frac{${-b} \\pm \\sqrt{${discriminant}}}{${2 * a}}`
+                    });
+                } else {
+                    steps.push({ text: '由有理根定理，首项系数为 1 时整数根只能是常数项的因数。逐一代入试根，再用综合除法降次：', latex: exact.factored ? `${polynomialLatex} = ${exact.factored}` : polynomialLatex });
+                }
+                steps.push({ text: roots.some(root => root.multiplicity > 1) ? '所以全部不同的实根为（重根只写一次）：' : '所以全部实根为：', latex: rootsLatex });
+                return {
+                    statement: '求下列方程的全部实根：', latex: `${polynomialLatex} = 0`, label: 'x =',
+                    hint: '输入全部不同的实根，用逗号分隔，例如 -2, 1/2, 1 + sqrt(3)；重根只写一次。',
+                    answer: { type: 'roots', values },
+                    answerLatex: rootsLatex,
+                    steps
+                };
+            },
+            // The answer is the analyzer's prediction, so a template whose first terms it reads differently
+            // (e.g. a Fibonacci-like start that happens to fit a polynomial) is rejected and redrawn.
+            polyfit: nth => {
+                const { Q } = SequenceAnalyzer, N = Practice.TERMS;
+                const toQ = v => typeof v === 'number' ? Q.make(v) : v;
+                const terms = Array.from({ length: N }, (_, i) => toQ(nth(i + 1)));
+                const analysis = SequenceAnalyzer.analyze(terms);
+                const next = analysis.next(N + 1);
+                if (!SequenceAnalyzer.equal(next, toQ(nth(N + 1)))) return null;
+                const nextLatex = `a_{${N + 1}} = ${ExactRoots.fracLatex(next)}`;
+                return {
+                    statement: '找出下列数列的规律，写出下一项：', latex: `${terms.map(ExactRoots.fracLatex).join(',\\ ')},\\ \\ldots`, label: `a_{${N + 1}} =`,
+                    hint: '输入一个数，分数可以写成 1/2。',
+                    answer: { type: 'number', value: Q.value(next) },
+                    answerLatex: nextLatex,
+                    steps: [
+                        { text: `识别结果：${analysis.kind}。通项公式：`, latex: analysis.formula + (analysis.detail ? `\\quad (${analysis.detail})` : '') },
+                        { text: `代入 n = ${N + 1}：`, latex: nextLatex }
+                    ]
+                };
+            }
+        },
+
+        generate: (topic, rng = Math.random) => {
+            if (!Practice.TEMPLATES[topic]) throw new Error(`未知的练习主题: ${topic}`);
+            for (let attempt = 0; attempt < 50; attempt++) {
+                const problem = Practice.BUILDERS[topic](pick(rng, Practice.TEMPLATES[topic])(rng));
+                if (problem) return { topic, ...problem };
+            }
+            throw new Error('无法生成题目，请重试。');
+        },
+
+        CHECKERS: {
+            expression: (answer, text) => {
+                const f = MathExpression.compile(strip(text));
+                const points = Practice.SAMPLE_POINTS.filter(x => isFinite(answer.f(x)));
+                return points.every(x => close(f(x), answer.f(x)));
+            },
+            number: (answer, text) => close(evaluateNumber(strip(text)), answer.value),
+            // Distinct real roots in any order; a root typed twice counts once.
+            roots: (answer, text) => {
+                const values = strip(text).split(/[,，;；]/).map(strip).filter(s => s).map(evaluateNumber);
+                const distinct = values.filter((v, i) => values.findIndex(w => close(w, v)) === i);
+                return distinct.length === answer.values.length && answer.values.every(r => distinct.some(v => close(v, r)));
+            }
+        },
+
+        // { valid: false, message } for input that cannot be read, which does not count as an attempt.
+        check: (problem, input) => {
+            if (!input.trim()) return { valid: false, message: '请先输入答案。' };
+            try {
+                return { valid: true, correct: Practice.CHECKERS[problem.answer.type](problem.answer, input) };
+            } catch (e) {
+                return { valid: false, message: e.message };
+            }
+        },
+
+        // Progress per topic: { attempts, correct, streak, best }. Returns an updated copy.
+        record: (progress, topic, correct) => {
+            const entry = { attempts: 0, correct: 0, streak: 0, best: 0, ...progress[topic] };
+            entry.attempts++;
+            if (correct) {
+                entry.correct++;
+                entry.streak++;
+                entry.best = Math.max(entry.best, entry.streak);
+            } else entry.streak = 0;
+            return { ...progress, [topic]: entry };
+        }
+    };
+
+    return { Practice };
+});
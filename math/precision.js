@@ -0,0 +1,555 @@
+/**
+ * math/precision.js - Arbitrary-precision constants and expressions
+ * Everything is native BigInt fixed point: a value x is carried as floor(x · 10^P). The series are summed
+ * by binary splitting, which turns N terms into O(log N) levels of large multiplications. Expressions are
+ * evaluated with BigNumber.js, passed in by the caller. Runs in precision-worker.js and under the tests.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else Object.assign(root, factory());
+})(this, () => {
+    const GUARD_DIGITS = 12;
+
+    const pow10 = n => 10n ** BigInt(n);
+
+    // floor(√n), recursing on the top half of the bits so that only the last Newton steps run at full size.
+    function isqrt(n) {
+        if (n < 0n) throw new Error('不能对负数开平方。');
+        if (n < 1n << 52n) return BigInt(Math.floor(Math.sqrt(Number(n))));
+        const shift = BigInt(Math.floor((n.toString(2).length - 1) / 4));
+        let x = (isqrt(n >> (2n * shift)) + 1n) << shift;
+        while (true) {
+            const y = (x + n / x) >> 1n;
+            if (y >= x) return x;
+            x = y;
+        }
+    }
+
+    // Σ_{k<N} a(k)/b(k) · p(0)…p(k) / (q(0)…q(k)) by binary splitting (Haible & Papanikolaou). Returns
+    // { P, Q, B, T } with the sum equal to T / (B·Q). `digitsPerTerm` only drives the progress estimate.
+    function binarySplit(series, n1, n2, digitsPerTerm) {
+        if (n2 - n1 === 1) {
+            const p = series.p(n1);
+            if (n1 % 64 === 0) HighPrecision.onProgress(n2, n2 * digitsPerTerm);
+            return { P: p, Q: series.q(n1), B: series.b(n1), T: series.a(n1) * p };
+        }
+        const m = (n1 + n2) >> 1;
+        const L = binarySplit(series, n1, m, digitsPerTerm), R = binarySplit(series, m, n2, digitsPerTerm);
+        return { P: L.P * R.P, Q: L.Q * R.Q, B: L.B * R.B, T: R.B * R.Q * L.T + L.B * L.P * R.T };
+    }
+
+    // floor(10^P · scale · Σ) for a series whose terms shrink by at least `digitsPerTerm` decimal digits each.
+    function sumSeries(series, P, digitsPerTerm, scale = [1n, 1n]) {
+        const terms = Math.ceil(P / digitsPerTerm) + 2;
+        const { Q, B, T } = binarySplit(series, 0, terms, digitsPerTerm);
+        return T * scale[0] * pow10(P) / (B * Q * scale[1]);
+    }
+
+    const one = () => 1n;
+
+    // Chudnovsky: 1/π = 12 Σ (-1)^k (6k)! (13591409 + 545140134k) / ((3k)! (k!)³ 640320^(3k+3/2)).
+    function computePi(P) {
+        const series = {
+            a: k => 13591409n + 545140134n * BigInt(k), b: one,
+            p: k => k === 0 ? 1n : -BigInt(6 * k - 5) * BigInt(2 * k - 1) * BigInt(6 * k - 1),
+            q: k => k === 0 ? 1n : BigInt(k) ** 3n * 10939058860032000n
+        };
+        const { Q, B, T } = binarySplit(series, 0, Math.ceil(P / 14.18) + 2, 14.18);
+        return 426880n * isqrt(10005n * pow10(2 * P)) * B * Q / T;
+    }
+
+    // e = Σ 1/k!; the number of terms N is the first with log10 N! > P.
+    function computeE(P) {
+        let terms = 1, logFactorial = 0;
+        while (logFactorial <= P + 2) logFactorial += Math.log10(++terms);
+        const series = { a: one, b: one, p: one, q: k => k === 0 ? 1n : BigInt(k) };
+        const { Q, B, T } = binarySplit(series, 0, terms, P / terms);
+        return T * pow10(P) / (B * Q);
+    }
+
+    // atanh(1/x) = Σ 1/((2k+1) x^(2k+1)).
+    function atanhInverse(x, P) {
+        const X = BigInt(x);
+        const series = { a: one, b: k => BigInt(2 * k + 1), p: one, q: k => k === 0 ? X : X * X };
+        return sumSeries(series, P, 2 * Math.log10(x));
+    }
+
+    // ln 2 = 18 atanh(1/26) - 2 atanh(1/4801) + 8 atanh(1/8749).
+    function computeLn2(P) {
+        return 18n * atanhInverse(26, P) - 2n * atanhInverse(4801, P) + 8n * atanhInverse(8749, P);
+    }
+
+    // ζ(3) = 1/64 Σ (-1)^k (205k² + 250k + 77) (k!)^10 / ((2k+1)!)^5 (Amdeberhan–Zeilberger).
+    function computeZeta3(P) {
+        const series = {
+            a: k => 205n * BigInt(k) ** 2n + 250n * BigInt(k) + 77n, b: one,
+            p: k => k === 0 ? 1n : -(BigInt(k) ** 5n),
+            q: k => k === 0 ? 1n : 32n * BigInt(2 * k + 1) ** 5n
+        };
+        return sumSeries(series, P, Math.log10(1024), [1n, 64n]);
+    }
+
+    // G = 1/64 Σ_{n≥1} (-1)^(n-1) 256^n (40n² - 24n + 3) ((2n)!)³ (n!)² / (n³ (2n-1) ((4n)!)²) (Lupaş),
+    // indexed here from k = n - 1.
+    function computeCatalan(P) {
+        const series = {
+            a: k => 40n * BigInt(k + 1) ** 2n - 24n * BigInt(k + 1) + 3n,
+            b: k => BigInt(k + 1) ** 3n * BigInt(2 * k + 1),
+            p: k => k === 0 ? 32n : -32n * BigInt(2 * k + 1) * BigInt(k + 1) ** 3n,
+            q: k => k === 0 ? 9n : BigInt(4 * k + 1) ** 2n * BigInt(4 * k + 3) ** 2n
+        };
+        return sumSeries(series, P, Math.log10(4), [1n, 64n]);
+    }
+
+    // Brent–McMillan: with u_k = (n^k / k!)², γ = Σ u_k H_k / Σ u_k - ln n + O(e^(-4n)). Here n = 2^m so that
+    // ln n = m ln 2. The split over (a, b] tracks T = Q Σ u_k/u_a, C = D (H_b - H_a) and
+    // V = D Q Σ (u_k/u_a)(H_k - H_a), where Q = Π j² and D = Π j.
+    function computeGamma(P) {
+        const m = Math.max(1, Math.ceil(Math.log2(P * Math.LN10 / 4 + 1)));
+        const n2 = 1n << BigInt(2 * m), terms = Math.ceil(3.5912 * 2 ** m) + 2;
+        const logN = BigInt(m) * computeLn2(P);
+        const split = (a, b) => {
+            if (b - a === 1) {
+                const j = BigInt(b);
+                if (b % 64 === 0) HighPrecision.onProgress(b, P * b / terms);
+                return { P: n2, Q: j * j, D: j, C: 1n, T: n2, V: n2 };
+            }
+            const mid = (a + b) >> 1;
+            const L = split(a, mid), R = split(mid, b);
+            return {
+                P: L.P * R.P, Q: L.Q * R.Q, D: L.D * R.D, C: L.C * R.D + R.C * L.D,
+                T: L.T * R.Q + L.P * R.T,
+                V: L.V * R.D * R.Q + L.P * L.C * R.T * R.D + L.P * R.V * L.D
+            };
+        };
+        const { Q, D, T, V } = split(0, terms);
+        return V * pow10(P) / (D * (Q + T)) - logN;
+    }
+
+    // Parses "2", "0.5", "7/3" or "1e6" into an exact positive fraction [numerator, denominator].
+    function parseRadicand(text) {
+        const match = String(text).trim().match(/^(\d+)(?:\.(\d+))?(?:[eE]([+-]?\d+))?(?:\/(\d+)(?:\.(\d+))?)?$/);
+        if (!match) throw new Error(`无法识别的被开方数 “${text}”，请输入正的整数、小数或分数。`);
+        const [, intPart, fracPart = '', exponent = '0', denInt, denFrac = ''] = match;
+        let num = BigInt(intPart + fracPart), den = pow10(fracPart.length);
+        const e = parseInt(exponent);
+        if (Math.abs(e) > 1000) throw new Error('被开方数的指数过大。');
+        if (e >= 0) num *= pow10(e); else den *= pow10(-e);
+        if (denInt !== undefined) {
+            num *= pow10(denFrac.length);
+            den *= BigInt(denInt + denFrac);
+        }
+        if (num === 0n || den === 0n) throw new Error('被开方数必须是正数。');
+        return [num, den];
+    }
+
+    // √(num/den) = √(num·den) / den. Returns floor(√(num·den) · 10^P) too, for certification.
+    function computeSqrt([num, den], P) {
+        const root = isqrt(num * den * pow10(2 * P));
+        return { root, value: root / den };
+    }
+
+    const CONSTANTS = {
+        pi: { compute: computePi, prefix: '3.14159265358979323846264338327950288419716939937510' },
+        e: { compute: computeE, prefix: '2.71828182845904523536028747135266249775724709369995' },
+        phi: { compute: P => (pow10(P) + computeSqrt([5n, 1n], P).value) / 2n, prefix: '1.61803398874989484820458683436563811772030917980576' },
+        ln2: { compute: computeLn2, prefix: '0.69314718055994530941723212145817656807550013436025' },
+        gamma: { compute: computeGamma, prefix: '0.57721566490153286060651209008240243104215933593992' },
+        catalan: { compute: computeCatalan, prefix: '0.91596559417721901505460351493238411077414937428167' },
+        zeta3: { compute: computeZeta3, prefix: '1.20205690315959428539973816151144999076498629234049' }
+    };
+
+    // floor(x · 10^(digits + GUARD_DIGITS)) → decimal string rounded half up (or truncated) to `digits` places.
+    function toDecimalString(scaled, digits, roundHalfUp = true) {
+        const rounded = roundHalfUp ? ((scaled / pow10(GUARD_DIGITS - 1)) + 5n) / 10n : scaled / pow10(GUARD_DIGITS);
+        const text = rounded.toString().padStart(digits + 1, '0');
+        return `${text.slice(0, text.length - digits)}.${text.slice(text.length - digits)}`;
+    }
+
+    // --- Expression mode ---
+    // The page parses the expression (MathExpression.parse with keepLiterals) and posts the AST. It is
+    // evaluated with BigNumber, every intermediate rounded to W significant digits, together with a bound on
+    // the accumulated error; W is raised until the bound guarantees the requested digits.
+    function createEvaluator(BigNumber, W) {
+        const BN = BigNumber.clone({ DECIMAL_PLACES: W, POW_PRECISION: W, EXPONENTIAL_AT: 1e9, RANGE: 1e9 });
+        const ONE = new BN(1), TWO = new BN(2);
+        const round = x => x.precision(W);
+        const constants = {};
+        // BigInt binary-splitting results, with extra digits to absorb argument reduction by large multiples.
+        const constant = (name, extra = 0) => {
+            const key = `${name}:${extra}`;
+            if (!constants[key]) {
+                const P = W + extra + 10;
+                constants[key] = new BN(CONSTANTS[name].compute(P).toString()).shiftedBy(-P).precision(W + extra);
+            }
+            return constants[key];
+        };
+
+        const div = (a, b) => {
+            if (b.isZero()) throw new Error('除数为零。');
+            if (a.isZero()) return a;
+            BN.config({ DECIMAL_PLACES: Math.max(0, W + 2 - (a.e - b.e)) });
+            return round(a.div(b));
+        };
+        const sqrt = x => {
+            if (x.isNegative()) throw new Error('负数不能开平方。');
+            if (x.isZero()) return x;
+            BN.config({ DECIMAL_PLACES: Math.max(0, W + 2 - Math.floor(x.e / 2)) });
+            return round(x.sqrt());
+        };
+        const times = (a, b) => round(a.times(b));
+        const negligible = (term, sum) => term.isZero() || (!sum.isZero() && term.e < sum.e - W - 2);
+        // Σ term_n where term_n = term_{n-1} · next(n); stops once terms no longer change the sum.
+        const series = (first, next) => {
+            let term = first, sum = first;
+            for (let n = 1; ; n++) {
+                term = next(term, n);
+                if (negligible(term, sum)) return sum;
+                sum = round(sum.plus(term));
+            }
+        };
+        const halvings = () => Math.ceil(Math.sqrt(W) / 2);
+
+        // e^x = 2^k · (e^(r / 2^s))^(2^s) with x = k ln 2 + r, |r| ≤ ln 2 / 2.
+        const exp = x => {
+            if (x.isZero()) return ONE;
+            if (x.abs().gt(1e8)) throw new Error('exp 的参数过大，结果超出范围。');
+            const ln2 = constant('ln2', Math.max(0, x.e) + 2);
+            const k = x.div(ln2).integerValue(BN.ROUND_HALF_EVEN);
+            const s = halvings();
+            const r = div(round(x.minus(ln2.times(k))), TWO.pow(s));
+            let y = series(ONE, (term, n) => div(times(term, r), new BN(n)));
+            for (let i = 0; i < s; i++) y = times(y, y);
+            return k.isZero() ? y : times(y, TWO.pow(k.toNumber()));
+        };
+        // ln x: 2 atanh((x-1)/(x+1)) near 1, where absolute error would cost relative digits; elsewhere the
+        // Halley iteration y ← y + 2(x - e^y)/(x + e^y), which triples the correct digits per step.
+        const ln = x => {
+            if (!x.isPositive() || x.isZero()) throw new Error('对数的真数必须为正数。');
+            if (x.eq(1)) return new BN(0);
+            if (x.minus(1).abs().lt(0.1)) {
+                const z = div(x.minus(1), x.plus(1)), z2 = times(z, z);
+                let power = z;
+                return times(TWO, series(z, (term, n) => {
+                    power = times(power, z2);
+                    return div(power, new BN(2 * n + 1));
+                }));
+            }
+            const mantissa = Number(x.shiftedBy(-x.e).toPrecision(17));
+            let y = new BN(Math.log(mantissa) + x.e * Math.LN10);
+            let previous = Infinity;
+            for (let i = 0; i < 60; i++) {
+                const ey = exp(y);
+                const correction = div(times(TWO, x.minus(ey)), x.plus(ey));
+                y = round(y.plus(correction));
+                // exp(y) is itself only good to about W digits, so the corrections stop shrinking near 10^(y.e - W).
+                if (correction.isZero() || correction.e < y.e - W + 3 || correction.e >= previous - 1) return y;
+                previous = correction.e;
+            }
+            throw new Error('ln 迭代未收敛。');
+        };
+
+        // [sin x, cos x]: x is reduced by multiples of π/2, halved s times, expanded in Taylor series and
+        // doubled back with sin 2a = 2 sin a cos a, cos 2a = 1 - 2 sin² a.
+        const sinCos = x => {
+            const halfPi = constant('pi', Math.max(0, x.e) + 2).times(0.5);
+            const k = x.div(halfPi).integerValue(BN.ROUND_HALF_EVEN);
+            const s = halvings();
+            const a = div(round(x.minus(halfPi.times(k))), TWO.pow(s));
+            const a2 = times(a, a);
+            let sin = series(a, (term, n) => div(times(term, a2), new BN((2 * n) * (2 * n + 1))).negated());
+            let cos = series(ONE, (term, n) => div(times(term, a2), new BN((2 * n - 1) * (2 * n))).negated());
+            for (let i = 0; i < s; i++) [sin, cos] = [times(TWO, times(sin, cos)), round(ONE.minus(times(TWO, times(sin, sin))))];
+            const quadrant = k.mod(4).plus(4).mod(4).toNumber();
+            return [[sin, cos], [cos, sin.negated()], [sin.negated(), cos.negated()], [cos.negated(), sin]][quadrant];
+        };
+        // atan x = 2 atan(x / (1 + √(1 + x²))) until |x| is small, then x - x³/3 + x⁵/5 - ….
+        const atan = x => {
+            if (x.isZero()) return x;
+            if (x.abs().gt(1)) {
+                const angle = round(constant('pi').times(0.5).minus(atan(div(ONE, x.abs()))));
+                return x.isNegative() ? angle.negated() : angle;
+            }
+            const threshold = new BN(10).pow(-Math.max(2, Math.floor(Math.sqrt(W) / 4)));
+            let s = 0;
+            while (x.abs().gt(threshold)) {
+                x = div(x, ONE.plus(sqrt(ONE.plus(times(x, x)))));
+                s++;
+            }
+            const x2 = times(x, x);
+            let power = x;
+            const sum = series(x, (term, n) => {
+                power = times(power, x2).negated();
+                return div(power, new BN(2 * n + 1));
+            });
+            return times(sum, TWO.pow(s));
+        };
+        const asin = x => {
+            if (x.abs().gt(1)) throw new Error('asin 的参数必须在 [-1, 1] 内。');
+            if (x.abs().eq(1)) return round(constant('pi').times(0.5).times(x.s));
+            return atan(div(x, sqrt(ONE.minus(times(x, x)))));
+        };
+        const pow = (a, b) => {
+            if (b.isInteger() && b.abs().lte(1e6)) {
+                if (a.isZero() && !b.isPositive()) throw new Error('0 的非正数次幂无定义。');
+                const power = a.pow(b.abs().toNumber());
+                return b.isNegative() ? div(ONE, power) : round(power);
+            }
+            if (a.isZero()) {
+                if (b.isPositive()) return a;
+                throw new Error('0 的非正数次幂无定义。');
+            }
+            if (a.isNegative()) throw new Error('负数的非整数次幂不是实数。');
+            return exp(times(b, ln(a)));
+        };
+        const root = (x, n) => {
+            if (!n.isInteger() || n.isZero()) throw new Error('root(x, n) 中的 n 必须是非零整数。');
+            if (x.isZero()) return x;
+            if (x.isNegative()) {
+                if (n.mod(2).isZero()) throw new Error('负数不能开偶次方。');
+                return root(x.negated(), n).negated();
+            }
+            return exp(div(ln(x), n));
+        };
+        const factorial = n => {
+            if (!n.isInteger() || n.isNegative() || n.gt(10000)) throw new Error('阶乘只支持 0 到 10000 的整数。');
+            let product = 1n;
+            for (let i = 2n; i <= BigInt(n.toNumber()); i++) product *= i;
+            return round(new BN(product.toString()));
+        };
+
+        // --- Error bounds ---
+        // Every value is a ball { x, r }: the exact result lies within 10^r of x (r = -Infinity when x is exact,
+        // Infinity when nothing can be said, e.g. after dividing by an interval that contains 0). Radii are
+        // propagated through each operation by the usual first-order bounds; the elementary functions add an
+        // allowance of 10^K units in the W-th digit for their own rounding, K covering the digits lost to the
+        // squarings and doublings that undo their argument reduction.
+        const UNBOUNDED = { x: new BN(0), r: Infinity };
+        const exact = x => ({ x, r: -Infinity });
+        const unit = (x, K = 0) => x.isZero() ? -Infinity : x.e - W + 1 + K;
+        const rounded = value => { const x = round(value); return { x, r: x.eq(value) ? -Infinity : unit(x) }; };
+        // log10 of a product and of a sum of radii given as logarithms, the sum rounded up.
+        const prod = (l1, l2) => l1 === -Infinity || l2 === -Infinity ? -Infinity : l1 + l2;
+        const sum = (...rs) => {
+            const top = Math.max(...rs);
+            return isFinite(top) ? top + Math.log10(rs.reduce((acc, r) => acc + 10 ** (r - top), 0)) + 1e-9 : top;
+        };
+        // log10(|x| - 10^r), or -Infinity when the ball contains 0.
+        const below = ({ x, r }) => {
+            const l = log10Abs(x);
+            return r < l ? l + Math.log10(-Math.expm1((r - l) * Math.LN10)) - 1e-9 : -Infinity;
+        };
+        const containsZero = a => below(a) === -Infinity;
+        const doublings = halvings();
+        const K = { exp: Math.ceil(doublings * Math.log10(2)) + 3, sinCos: Math.ceil(doublings * Math.log10(4)) + 3, atan: Math.ceil(Math.log10(W)) + 5 };
+        K.ln = K.exp + 3;
+
+        const neg = a => ({ x: a.x.negated(), r: a.r });
+        const add = (a, b) => { const c = rounded(a.x.plus(b.x)); return { x: c.x, r: sum(a.r, b.r, c.r) }; };
+        const sub = (a, b) => add(a, neg(b));
+        const mul = (a, b) => {
+            const c = rounded(a.x.times(b.x));
+            return { x: c.x, r: sum(prod(log10Abs(a.x), b.r), prod(log10Abs(b.x), a.r), prod(a.r, b.r), c.r) };
+        };
+        // |a/b - a'/b'| ≤ (|a|·r_b + |b|·r_a) / (|b|·(|b| - r_b)).
+        const quotient = (a, b) => {
+            if (b.r === -Infinity && b.x.isZero()) throw new Error('除数为零。');
+            if (containsZero(b)) return UNBOUNDED;
+            const y = div(a.x, b.x), lb = log10Abs(b.x);
+            return { x: y, r: sum(sum(prod(log10Abs(a.x), b.r), prod(lb, a.r)) - lb - below(b), unit(y, 1)) };
+        };
+        // |√a - √a'| ≤ min(√|a - a'|, |a - a'| / √a); a ball reaching below 0 is clipped to it.
+        const squareRoot = a => {
+            if (a.x.isNegative() && containsZero(a)) return { x: new BN(0), r: (Math.log10(2) + a.r) / 2 };
+            const y = sqrt(a.x);
+            if (a.r === -Infinity && y.times(y).eq(a.x)) return exact(y);
+            return { x: y, r: sum(Math.min(a.r / 2, a.r - log10Abs(a.x) / 2), unit(y, 1)) };
+        };
+        // |e^(x+δ) - e^x| ≤ e^x·|δ|·e^|δ|.
+        const expBall = a => {
+            if (a.r === -Infinity && a.x.isZero()) return exact(ONE);
+            const y = exp(a.x);
+            return { x: y, r: sum(prod(log10Abs(y), a.r) + 10 ** a.r * Math.LOG10E, unit(y, K.exp)) };
+        };
+        // |ln(x+δ) - ln x| ≤ |δ| / (x - |δ|).
+        const lnBall = a => {
+            if (a.r !== -Infinity && containsZero(a)) return UNBOUNDED;
+            const y = ln(a.x);
+            if (a.r === -Infinity && y.isZero()) return exact(y);
+            return { x: y, r: sum(a.r - below(a), unit(y, K.ln)) };
+        };
+        // sin and cos are 1-Lipschitz; their allowance is absolute, since the reduction leaves an absolute error.
+        const sinCosBall = a => {
+            if (a.r === -Infinity && a.x.isZero()) return [exact(new BN(0)), exact(ONE)];
+            return sinCos(a.x).map(y => ({ x: y, r: sum(a.r, -W + 1 + K.sinCos) }));
+        };
+        const atanBall = a => {
+            if (a.r === -Infinity && a.x.isZero()) return a;
+            const y = atan(a.x);
+            return { x: y, r: sum(a.r, unit(y, K.atan)) };
+        };
+        const piBall = () => ({ x: constant('pi'), r: unit(constant('pi')) });
+        const HALF = exact(new BN(0.5)), ONE_BALL = exact(ONE), TWO_BALL = exact(TWO);
+        const asinBall = a => {
+            const excess = a.x.abs().minus(1);
+            if (excess.isPositive() && !excess.isZero() && log10Abs(excess) > a.r) throw new Error('asin 的参数必须在 [-1, 1] 内。');
+            if (a.r === -Infinity && excess.isZero()) return mul(mul(piBall(), HALF), exact(new BN(a.x.s)));
+            return atanBall(quotient(a, squareRoot(sub(ONE_BALL, mul(a, a)))));
+        };
+        // a^n for an exact integer n: exact when a is an exact integer and a^n fits in W digits, otherwise
+        // |(a(1+ρ))^n - a^n| ≤ |a^n|·((1+ρ)^n - 1) for the relative radius ρ of a.
+        const integerPower = (a, n) => {
+            if (a.r === -Infinity && a.x.isZero()) return a;
+            if (a.r === -Infinity && a.x.isInteger() && n * (a.x.e + 1) <= W) return rounded(new BN((BigInt(a.x.toFixed()) ** BigInt(n)).toString()));
+            const y = round(a.x.pow(n)), relative = a.r - log10Abs(a.x);
+            let spread;
+            if (relative >= 0) return { x: y, r: Math.log10(2) + n * (Math.log10(2) + a.r) };
+            if (relative < -20) spread = Math.log10(n) + relative + 1e-9;
+            else spread = Math.log10(Math.expm1(n * Math.log1p(10 ** relative)));
+            return { x: y, r: sum(prod(log10Abs(y), spread), unit(y, Math.ceil(Math.log10(2 * Math.log2(n + 1) + 2)) + 1)) };
+        };
+        const powBall = (a, b) => {
+            if (b.r === -Infinity && b.x.isInteger() && b.x.abs().lte(1e6)) {
+                if (a.r === -Infinity && a.x.isZero() && !b.x.isPositive()) throw new Error('0 的非正数次幂无定义。');
+                if (b.x.isZero()) return ONE_BALL;
+                const power = integerPower(a, b.x.abs().toNumber());
+                return b.x.isNegative() ? quotient(ONE_BALL, power) : power;
+            }
+            if (a.x.isZero() && a.r === -Infinity) {
+                if (b.x.isPositive() && !containsZero(b)) return a;
+                throw new Error('0 的非正数次幂无定义。');
+            }
+            if (a.x.isNegative() && !containsZero(a)) throw new Error('负数的非整数次幂不是实数。');
+            return expBall(mul(b, lnBall(a)));
+        };
+        const rootBall = (a, n) => {
+            if (n.r !== -Infinity || !n.x.isInteger() || n.x.isZero()) throw new Error('root(x, n) 中的 n 必须是非零整数。');
+            if (a.r === -Infinity && a.x.isZero()) return a;
+            if (containsZero(a)) return n.x.isPositive() ? { x: new BN(0), r: (Math.log10(2) + a.r) / n.x.toNumber() } : UNBOUNDED;
+            if (a.x.isNegative()) {
+                if (n.x.mod(2).isZero()) throw new Error('负数不能开偶次方。');
+                return neg(rootBall(neg(a), n));
+            }
+            return expBall(quotient(lnBall(a), n));
+        };
+        // Integer-valued steps are exact unless the ball straddles a jump; the radius then spans the possible values.
+        const stepBall = mode => a => {
+            const y = a.x.integerValue(mode);
+            if (a.r === -Infinity) return exact(y);
+            const radius = new BN(`1e${Math.ceil(a.r)}`), lo = a.x.minus(radius).integerValue(mode), hi = a.x.plus(radius).integerValue(mode);
+            return lo.eq(hi) ? exact(y) : { x: y, r: log10Abs(hi.minus(lo)) };
+        };
+        const modBall = (a, b) => {
+            if (b.r === -Infinity && b.x.isZero()) throw new Error('除数为零。');
+            if (a.r === -Infinity && b.r === -Infinity) return rounded(a.x.mod(b.x));
+            const q = stepBall(BN.ROUND_DOWN)(quotient(a, b));
+            return q.r === -Infinity ? sub(a, mul(b, q)) : UNBOUNDED;
+        };
+        const factorialBall = n => {
+            // A factorial of an argument known only approximately cannot be bounded.
+            if (n.r !== -Infinity) return UNBOUNDED;
+            return rounded(factorial(n.x));
+        };
+        const ln10 = () => constants.ln10 || (constants.ln10 = lnBall(exact(new BN(10))));
+        const exponential = a => {
+            const ex = expBall(a);
+            return [ex, quotient(ONE_BALL, ex)];
+        };
+
+        const FUNCTIONS = {
+            sin: x => sinCosBall(x)[0], cos: x => sinCosBall(x)[1],
+            tan: x => { const [sin, cos] = sinCosBall(x); return quotient(sin, cos); },
+            asin: asinBall, acos: x => sub(mul(piBall(), HALF), asinBall(x)), atan: atanBall,
+            sinh: x => { const [ex, inverse] = exponential(x); return mul(sub(ex, inverse), HALF); },
+            cosh: x => { const [ex, inverse] = exponential(x); return mul(add(ex, inverse), HALF); },
+            tanh: x => { const e2x = expBall(mul(TWO_BALL, x)); return quotient(sub(e2x, ONE_BALL), add(e2x, ONE_BALL)); },
+            sqrt: squareRoot, cbrt: x => rootBall(x, exact(new BN(3))), exp: expBall, ln: lnBall,
+            log: x => quotient(lnBall(x), ln10()), lg: x => quotient(lnBall(x), ln10()),
+            abs: x => ({ x: x.x.abs(), r: x.r }), floor: stepBall(BN.ROUND_FLOOR), ceil: stepBall(BN.ROUND_CEIL),
+            sign: x => containsZero(x) && x.r !== -Infinity ? { x: new BN(x.x.isZero() ? 0 : x.x.s), r: Math.log10(2) } : exact(new BN(x.x.isZero() ? 0 : x.x.s)),
+            root: rootBall, factorial: factorialBall
+        };
+        const OPERATORS = { '+': add, '-': sub, '*': mul, '/': quotient, '%': modBall, '^': powBall };
+        const evaluate = node => {
+            switch (node.type) {
+                case 'number': return rounded(new BN(node.literal || String(node.value)));
+                case 'symbol':
+                    if (node.name === 'pi' || node.name === 'π') return piBall();
+                    if (node.name === 'e') return expBall(ONE_BALL);
+                    throw new Error(`未知变量: ${node.name}`);
+                case 'unary': return neg(evaluate(node.arg));
+                case 'binary': {
+                    if (!OPERATORS[node.op]) throw new Error(`未知运算符: ${node.op}`);
+                    const a = evaluate(node.left), b = evaluate(node.right);
+                    return a.r === Infinity || b.r === Infinity ? UNBOUNDED : OPERATORS[node.op](a, b);
+                }
+                case 'call': {
+                    if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, node.name)) throw new Error(`高精度模式不支持函数 ${node.name}`);
+                    const args = node.args.map(evaluate);
+                    return args.some(a => a.r === Infinity) ? UNBOUNDED : FUNCTIONS[node.name](...args);
+                }
+            }
+            throw new Error(`未知的语法节点: ${node.type}`);
+        };
+        return evaluate;
+    }
+
+    function log10Abs(x) {
+        return x.isZero() ? -Infinity : x.e + Math.log10(Number(x.abs().shiftedBy(-x.e).toPrecision(15)));
+    }
+
+    // Significant digits of x that are certain: rounded to d digits, x is within one unit of the d-th digit of
+    // the exact value, i.e. 10^r + ½·10^(e-d+1) < 10^(e-d+1).
+    function guaranteedDigits({ x, r }) {
+        if (r === -Infinity) return Infinity;
+        return Math.max(0, Math.ceil(x.e + 1 - r - Math.log10(2)) - 1);
+    }
+
+    // The guard digits are doubled until the error bound certifies the requested digits (at most five rounds).
+    function evaluateExpression(ast, digits, BigNumber) {
+        let guard = 10 + Math.ceil(digits / 10), value, guaranteed = 0;
+        for (let round = 1; round <= 5; round++) {
+            value = createEvaluator(BigNumber, digits + guard)(ast);
+            guaranteed = value.r === Infinity || value.r >= log10Abs(value.x) ? 0 : guaranteedDigits(value);
+            HighPrecision.onProgress(round, Math.min(guaranteed, digits), true);
+            if (guaranteed >= digits) break;
+            guard *= 2;
+        }
+        // Plain notation unless that would need long runs of leading or trailing zeros.
+        const format = (x, sd) => x.e < -7 || x.e >= sd ? x.toExponential(sd - 1) : x.toPrecision(sd);
+        if (guaranteed >= digits) return { result: format(value.x, digits), guaranteed: digits };
+        // No bound at all, e.g. tan(π/2): a divisor or logarithm argument could not be told apart from 0.
+        if (value.r === Infinity) return { result: null, guaranteed: 0, unbounded: true };
+        // Results like sin(π) whose error ball contains 0: only a bound on the magnitude is known.
+        if (value.r >= log10Abs(value.x)) return { result: '0', guaranteed: 0, bound: Math.floor(Math.max(log10Abs(value.x), value.r) + Math.log10(2)) + 1 };
+        return { result: guaranteed ? format(value.x, guaranteed) : null, guaranteed };
+    }
+
+    function compute(task, digits, value) {
+        const P = digits + GUARD_DIGITS;
+        if (task === 'sqrt') {
+            const [num, den] = parseRadicand(value);
+            const { root, value: scaled } = computeSqrt([num, den], P);
+            // There are no reference digits for an arbitrary radicand; r = floor(√N) is certified by r² ≤ N < (r+1)².
+            const N = num * den * pow10(2 * P);
+            if (root * root > N || (root + 1n) * (root + 1n) <= N) throw new Error('平方根校验失败。');
+            return toDecimalString(scaled, digits);
+        }
+        const constant = CONSTANTS[task];
+        if (!constant) throw new Error(`未知的计算任务: ${task}`);
+        const scaled = constant.compute(P);
+        // Rounding can carry through several trailing digits (…279|5 → …280), so the truncated digits are
+        // compared instead, less the last one, which the guard digits may still leave one unit low.
+        const truncated = toDecimalString(scaled, digits, false);
+        const known = constant.prefix.slice(0, Math.min(constant.prefix.length, truncated.length - 1));
+        if (!truncated.startsWith(known)) throw new Error('结果与已知的前 50 位不符，计算有误。');
+        return toDecimalString(scaled, digits);
+    }
+
+    // onProgress(iterations, digits, force) is replaced by the worker to post throttled progress messages.
+    const HighPrecision = {
+        GUARD_DIGITS, CONSTANTS, isqrt, parseRadicand, computeSqrt, toDecimalString, compute, createEvaluator, evaluateExpression,
+        onProgress: () => {}
+    };
+    return { HighPrecision };
+});
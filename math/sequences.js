@@ -0,0 +1,247 @@
+/**
+ * math/sequences.js - Sequences and regression
+ * Exact recognition of integer and rational sequences, and least-squares polynomial fits.
+ * No DOM access: loaded by index.html ahead of script.js, and require()d by the tests in test/.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./equations'));
+    else Object.assign(root, factory(root));
+})(this, ({ ExactRoots }) => {
+    // Recognizes a_1 … a_N exactly over Q, trying the simplest families first: low-degree polynomials,
+    // geometric, c·n^k, c·(n+s)!, higher-degree polynomials and linear recurrences (Berlekamp–Massey).
+    // Each detector must leave at least one term unused by the fit to verify it; when none does, the
+    // Newton divided-difference interpolant through all N terms is the fallback.
+    const SequenceAnalyzer = {
+        Q: ExactRoots.Q,
+        isZero: a => a.n === 0n,
+        equal: (a, b) => a.n === b.n && a.d === b.d,
+        powerBase: r => r.d === 1n && r.n >= 0n ? `${r.n}` : `\\left(${ExactRoots.fracLatex(r)}\\right)`,
+        offset: (s, variable = 'n') => s === 0 ? variable : `(${variable} ${s < 0 ? '-' : '+'} ${Math.abs(s)})`,
+        factorial: k => { let f = 1n; for (let i = 2n; i <= BigInt(k); i++) f *= i; return f; },
+        // Forward differences Δ^k a_1 for k = 0 … N-1.
+        differences: terms => {
+            const table = [terms];
+            while (table[table.length - 1].length > 1) {
+                const row = table[table.length - 1];
+                table.push(row.slice(1).map((v, i) => SequenceAnalyzer.Q.sub(v, row[i])));
+            }
+            return table;
+        },
+        // Σ Δ^k a_1 · C(n-1, k) expanded into powers of n, lowest first.
+        newtonToMonomial: leading => {
+            const { Q } = SequenceAnalyzer;
+            let result = [Q.make(0)], basis = [Q.make(1)];
+            leading.forEach((delta, k) => {
+                if (k > 0) {
+                    const root = Q.make(k);
+                    basis = basis.map((c, i) => Q.div(Q.sub(i > 0 ? basis[i - 1] : Q.make(0), Q.mul(c, root)), Q.make(k))).concat([Q.div(basis[basis.length - 1], Q.make(k))]);
+                }
+                result = basis.map((c, i) => Q.add(result[i] || Q.make(0), Q.mul(c, delta)));
+            });
+            return result;
+        },
+        polynomialLatex: coeffs => ExactRoots.joinTerms(coeffs.map((c, k) => c.n === 0n ? '' : ExactRoots.termLatex(c, k === 0 ? '' : k === 1 ? 'n' : `n^{${k}}`)).reverse()) || '0',
+        polynomial: (terms, maxDegree) => {
+            const table = SequenceAnalyzer.differences(terms);
+            const degree = table.findIndex((row, k) => k > 0 && row.every(SequenceAnalyzer.isZero)) - 1;
+            if (degree < 0 || degree > maxDegree) return null;
+            const coeffs = SequenceAnalyzer.newtonToMonomial(table.slice(0, degree + 1).map(row => row[0]));
+            const { Q } = SequenceAnalyzer;
+            return {
+                kind: degree === 0 ? '常数数列' : degree === 1 ? '等差数列' : `${degree} 次多项式`,
+                detail: degree === 1 ? `d = ${ExactRoots.fracLatex(table[1][0])}` : null,
+                formula: `a_n = ${SequenceAnalyzer.polynomialLatex(coeffs)}`,
+                next: n => coeffs.reduceRight((acc, c) => Q.add(Q.scale(acc, n), c), Q.make(0))
+            };
+        },
+        geometric: terms => {
+            const { Q } = SequenceAnalyzer;
+            if (terms.some(SequenceAnalyzer.isZero)) return null;
+            const r = Q.div(terms[1], terms[0]);
+            if (!terms.every((t, i) => i === 0 || SequenceAnalyzer.equal(Q.div(t, terms[i - 1]), r))) return null;
+            return {
+                kind: '等比数列', detail: `q = ${ExactRoots.fracLatex(r)}`,
+                formula: `a_n = ${ExactRoots.termLatex(terms[0], `${SequenceAnalyzer.powerBase(r)}^{n-1}`)}`,
+                next: n => Q.mul(terms[0], Q.pow(r, n - 1))
+            };
+        },
+        // a_n = c·n^k for an integer k, read off from a_2 / a_1 = 2^k.
+        power: terms => {
+            const { Q } = SequenceAnalyzer;
+            if (terms.some(SequenceAnalyzer.isZero)) return null;
+            const ratio = Q.div(terms[1], terms[0]);
+            const magnitude = ratio.d === 1n ? ratio.n : ratio.n === 1n ? ratio.d : 0n;
+            const exponent = magnitude > 1n && (magnitude & (magnitude - 1n)) === 0n ? magnitude.toString(2).length - 1 : 0;
+            const k = ratio.d === 1n ? exponent : -exponent;
+            if (k === 0 || k === 1) return null;
+            const nPower = n => k > 0 ? Q.make(BigInt(n) ** BigInt(k)) : Q.make(1n, BigInt(n) ** BigInt(-k));
+            if (!terms.every((t, i) => SequenceAnalyzer.equal(t, Q.mul(terms[0], nPower(i + 1))))) return null;
+            const c = terms[0], denominator = `${c.d === 1n ? '' : c.d}${k === -1 ? 'n' : `n^{${-k}}`}`;
+            return {
+                kind: '幂次数列', detail: `k = ${k}`,
+                formula: `a_n = ${k > 0 ? ExactRoots.termLatex(c, `n^{${k}}`) : `${c.n < 0n ? '-' : ''}\\frac{${ExactRoots.babs(c.n)}}{${denominator}}`}`,
+                next: n => Q.mul(c, nPower(n))
+            };
+        },
+        // a_n = c·(n+s)! with integer s ≥ -1, i.e. a_{n+1} / a_n = n + 1 + s.
+        factorialPattern: terms => {
+            const { Q } = SequenceAnalyzer;
+            if (terms.some(SequenceAnalyzer.isZero)) return null;
+            const first = Q.div(terms[1], terms[0]);
+            if (first.d !== 1n || first.n < 1n) return null;
+            const s = Number(first.n) - 2;
+            if (!terms.every((t, i) => i === 0 || SequenceAnalyzer.equal(Q.div(t, terms[i - 1]), Q.make(i + 1 + s)))) return null;
+            const c = Q.make(terms[0].n, terms[0].d * SequenceAnalyzer.factorial(1 + s));
+            return {
+                kind: '阶乘型数列', detail: null,
+                formula: `a_n = ${ExactRoots.termLatex(c, `${SequenceAnalyzer.offset(s)}!`)}`,
+                next: n => Q.scale(c, SequenceAnalyzer.factorial(n + s))
+            };
+        },
+        // Berlekamp–Massey over Q: the shortest C with Σ_{i=0}^{L} C_i a_{n-i} = 0 for every n ≥ L.
+        berlekampMassey: terms => {
+            const { Q } = SequenceAnalyzer;
+            let C = [Q.make(1)], B = [Q.make(1)], L = 0, m = 1, b = Q.make(1);
+            terms.forEach((term, n) => {
+                const d = C.slice(1).reduce((sum, c, i) => Q.add(sum, Q.mul(c, terms[n - 1 - i])), term);
+                if (d.n === 0n) { m++; return; }
+                const factor = Q.div(d, b), previous = C.slice();
+                const length = Math.max(C.length, B.length + m);
+                C = Array.from({ length }, (_, i) => Q.sub(C[i] || Q.make(0), i >= m && B[i - m] ? Q.mul(factor, B[i - m]) : Q.make(0)));
+                if (2 * L <= n) { L = n + 1 - L; B = previous; b = d; m = 1; }
+                else m++;
+            });
+            return { coefficients: C.slice(1, L + 1).concat(Array(Math.max(0, L + 1 - C.length)).fill(Q.make(0))).map(c => Q.scale(c, -1)), order: L };
+        },
+        recurrence: terms => {
+            const { Q } = SequenceAnalyzer;
+            const { coefficients, order } = SequenceAnalyzer.berlekampMassey(terms);
+            if (order === 0 || 2 * order >= terms.length) return null;
+            const rhs = ExactRoots.joinTerms(coefficients.map((c, i) => c.n === 0n ? '' : ExactRoots.termLatex(c, `a_{n-${i + 1}}`))) || '0';
+            const initial = terms.slice(0, order).map((t, i) => `a_{${i + 1}} = ${ExactRoots.fracLatex(t)}`).join(',\\ ');
+            const values = terms.slice();
+            return {
+                kind: `${order} 阶线性递推数列`, detail: null,
+                formula: `a_n = ${rhs} \\quad (n > ${order}),\\quad ${initial}`,
+                next: n => {
+                    while (values.length < n) values.push(coefficients.reduce((sum, c, i) => Q.add(sum, Q.mul(c, values[values.length - 1 - i])), Q.make(0)));
+                    return values[n - 1];
+                }
+            };
+        },
+        // Newton form Σ Δ^k a_1 / k! · (n-1)(n-2)…(n-k) through all N terms.
+        interpolate: terms => {
+            const { Q } = SequenceAnalyzer;
+            const leading = SequenceAnalyzer.differences(terms).map(row => row[0]);
+            const parts = leading.map((delta, k) => {
+                const c = Q.make(delta.n, delta.d * SequenceAnalyzer.factorial(k));
+                if (c.n === 0n) return '';
+                return ExactRoots.termLatex(c, Array.from({ length: k }, (_, j) => `(n - ${j + 1})`).join(''));
+            });
+            const coeffs = SequenceAnalyzer.newtonToMonomial(leading);
+            return {
+                kind: '未发现更简单的规律，使用牛顿插值多项式', detail: null,
+                formula: `a_n = ${ExactRoots.joinTerms(parts) || '0'}`,
+                next: n => coeffs.reduceRight((acc, c) => Q.add(Q.scale(acc, n), c), Q.make(0))
+            };
+        },
+        analyze: terms => {
+            const A = SequenceAnalyzer;
+            if (terms.length >= 3) {
+                const match = A.polynomial(terms, 1) || A.geometric(terms) || A.power(terms) || A.factorialPattern(terms) ||
+                    A.polynomial(terms, terms.length - 2) || A.recurrence(terms);
+                if (match) return match;
+            }
+            return A.interpolate(terms);
+        }
+    };
+
+    // Least-squares polynomial regression. The Vandermonde system is built in the centred, scaled variable
+    // u = (x - shift) / scale and solved by Householder QR, which stays well conditioned where the normal
+    // equations would not.
+    const PolynomialRegression = {
+        // Accepts "x, y" rows separated by commas, tabs, semicolons or spaces; a single column is read as
+        // y with x = 1, 2, …. A non-numeric first line is treated as a header.
+        parseCSV: text => {
+            const rows = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+            const points = [];
+            rows.forEach((line, i) => {
+                const cells = line.split(/[,;\t ]+/).filter(s => s);
+                const values = cells.map(Number);
+                if (values.some(v => !isFinite(v))) {
+                    if (i === 0) return;
+                    throw new Error(`第 ${i + 1} 行 “${line}” 不是有效的数字。`);
+                }
+                if (values.length === 1) points.push({ x: points.length + 1, y: values[0] });
+                else if (values.length === 2) points.push({ x: values[0], y: values[1] });
+                else throw new Error(`第 ${i + 1} 行应为 “x, y” 两列。`);
+            });
+            return points;
+        },
+        // Householder QR least squares for the (m × n) system M c = y.
+        solveLeastSquares: (M, y) => {
+            const m = M.length, n = M[0].length;
+            const R = M.map(row => row.slice()), b = y.slice();
+            for (let k = 0; k < n; k++) {
+                const norm = Math.hypot(...R.slice(k).map(row => row[k]));
+                if (norm === 0) continue;
+                const alpha = R[k][k] > 0 ? -norm : norm;
+                const v = R.map((row, i) => i < k ? 0 : row[k]);
+                v[k] -= alpha;
+                const vv = v.reduce((s, vi) => s + vi * vi, 0);
+                if (vv === 0) continue;
+                for (let j = k; j < n; j++) {
+                    const dot = v.reduce((s, vi, i) => s + vi * R[i][j], 0) * 2 / vv;
+                    for (let i = k; i < m; i++) R[i][j] -= dot * v[i];
+                }
+                const dot = v.reduce((s, vi, i) => s + vi * b[i], 0) * 2 / vv;
+                for (let i = k; i < m; i++) b[i] -= dot * v[i];
+            }
+            const c = new Array(n).fill(0);
+            for (let i = n - 1; i >= 0; i--) {
+                const sum = R[i].slice(i + 1, n).reduce((s, r, j) => s - r * c[i + 1 + j], b[i]);
+                c[i] = sum / R[i][i];
+            }
+            return c;
+        },
+        fit: (points, degree) => {
+            const xs = points.map(p => p.x), ys = points.map(p => p.y), n = points.length;
+            const distinct = new Set(xs).size;
+            if (n < 2) throw new Error('至少需要 2 个数据点。');
+            if (degree >= distinct) throw new Error(`次数必须小于不同 x 值的个数 (${distinct})。`);
+            const shift = xs.reduce((s, x) => s + x, 0) / n;
+            const scale = Math.max(...xs.map(x => Math.abs(x - shift))) || 1;
+            const basis = x => Array.from({ length: degree + 1 }, (_, k) => ((x - shift) / scale) ** k);
+            const scaled = PolynomialRegression.solveLeastSquares(xs.map(basis), ys);
+            const predict = x => basis(x).reduce((s, b, k) => s + b * scaled[k], 0);
+            // Expand Σ c_k ((x - shift)/scale)^k into ordinary powers of x for display.
+            const coefficients = new Array(degree + 1).fill(0);
+            scaled.forEach((c, k) => {
+                let binomial = 1;
+                for (let j = 0; j <= k; j++) {
+                    coefficients[j] += c * binomial * (-shift) ** (k - j) / scale ** k;
+                    binomial = binomial * (k - j) / (j + 1);
+                }
+            });
+            const fitted = xs.map(predict), residuals = ys.map((y, i) => y - fitted[i]);
+            const mean = ys.reduce((s, y) => s + y, 0) / n;
+            const ssRes = residuals.reduce((s, r) => s + r * r, 0), ssTot = ys.reduce((s, y) => s + (y - mean) ** 2, 0);
+            const r2 = ssTot === 0 ? 1 : 1 - ssRes / ssTot;
+            const adjustedR2 = n > degree + 1 ? 1 - (1 - r2) * (n - 1) / (n - degree - 1) : null;
+            return { coefficients, predict, fitted, residuals, r2, adjustedR2, rmse: Math.sqrt(ssRes / n) };
+        },
+        formatNumber: v => String(parseFloat(v.toPrecision(6))).replace(/e([+-]\d+)/, (_, exp) => `\\times 10^{${parseInt(exp)}}`),
+        toLatex: coefficients => {
+            const terms = coefficients.map((c, k) => ({ c, k })).reverse().filter(({ c }) => Math.abs(c) > 1e-12 * Math.max(...coefficients.map(Math.abs)));
+            if (!terms.length) return 'y = 0';
+            return 'y = ' + terms.map(({ c, k }, i) => {
+                const magnitude = PolynomialRegression.formatNumber(Math.abs(c));
+                const power = k === 0 ? '' : k === 1 ? 'x' : `x^{${k}}`;
+                const body = (magnitude === '1' && power ? '' : magnitude) + power;
+                return i === 0 ? (c < 0 ? '-' : '') + body : (c < 0 ? ' - ' : ' + ') + body;
+            }).join('');
+        }
+    };
+
+    return { SequenceAnalyzer, PolynomialRegression };
+});
@@ -0,0 +1,324 @@
+/**
+ * math/symbolic.js - Symbolic algebra and differentiation
+ * AST constructors, simplification and exact fractions, and the step-by-step derivative.
+ * No DOM access: loaded by index.html ahead of script.js, and require()d by the tests in test/.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./expression'));
+    else Object.assign(root, factory(root));
+})(this, ({ MathExpression }) => {
+    const SymbolicAlgebra = {
+        num: value => value < 0 ? { type: 'unary', op: '-', arg: { type: 'number', value: -value } } : { type: 'number', value },
+        sym: name => ({ type: 'symbol', name }),
+        bin: (op, left, right) => ({ type: 'binary', op, left, right }),
+        neg: arg => ({ type: 'unary', op: '-', arg }),
+        call: (name, ...args) => ({ type: 'call', name, args }),
+        key: node => JSON.stringify(node),
+        dependsOn: (node, variable) => {
+            switch (node.type) {
+                case 'symbol': return node.name === variable;
+                case 'unary': return SymbolicAlgebra.dependsOn(node.arg, variable);
+                case 'binary': return SymbolicAlgebra.dependsOn(node.left, variable) || SymbolicAlgebra.dependsOn(node.right, variable);
+                case 'call': return node.args.some(arg => SymbolicAlgebra.dependsOn(arg, variable));
+                default: return false;
+            }
+        },
+
+        // Exact rational coefficients {n, d}; non-rational floats are carried as {n: value, d: 1, inexact: true}.
+        Frac: {
+            gcd: (a, b) => { a = Math.abs(a); b = Math.abs(b); while (b) [a, b] = [b, a % b]; return a; },
+            make: (n, d = 1) => {
+                if (!Number.isInteger(n) || !Number.isInteger(d) || Math.abs(n) > 1e15 || Math.abs(d) > 1e15) return { n: n / d, d: 1, inexact: true };
+                if (d < 0) { n = -n; d = -d; }
+                const g = SymbolicAlgebra.Frac.gcd(n, d) || 1;
+                return { n: n / g, d: d / g };
+            },
+            fromNumber: value => {
+                if (Number.isInteger(value)) return SymbolicAlgebra.Frac.make(value, 1);
+                for (let d = 2; d <= 1000; d++) {
+                    const n = Math.round(value * d);
+                    if (Math.abs(n / d - value) < 1e-12 * Math.max(1, Math.abs(value))) return SymbolicAlgebra.Frac.make(n, d);
+                }
+                return { n: value, d: 1, inexact: true };
+            },
+            add: (a, b) => (a.inexact || b.inexact) ? { n: a.n / a.d + b.n / b.d, d: 1, inexact: true } : SymbolicAlgebra.Frac.make(a.n * b.d + b.n * a.d, a.d * b.d),
+            mul: (a, b) => (a.inexact || b.inexact) ? { n: (a.n / a.d) * (b.n / b.d), d: 1, inexact: true } : SymbolicAlgebra.Frac.make(a.n * b.n, a.d * b.d),
+            pow: (a, k) => {
+                let result = SymbolicAlgebra.Frac.make(1), base = k < 0 ? SymbolicAlgebra.Frac.make(a.d, a.n) : a;
+                for (let i = 0; i < Math.abs(k); i++) result = SymbolicAlgebra.Frac.mul(result, base);
+                return result;
+            },
+            toNode: f => {
+                if (f.d === 1) return SymbolicAlgebra.num(f.n);
+                const node = SymbolicAlgebra.bin('/', { type: 'number', value: Math.abs(f.n) }, { type: 'number', value: f.d });
+                return f.n < 0 ? SymbolicAlgebra.neg(node) : node;
+            },
+            // Recognizes n, -n and n/m literals so exponents like 1/2 stay exact.
+            fromNode: node => {
+                if (node.type === 'number') return SymbolicAlgebra.Frac.fromNumber(node.value);
+                if (node.type === 'unary') {
+                    const inner = SymbolicAlgebra.Frac.fromNode(node.arg);
+                    return inner && SymbolicAlgebra.Frac.mul(inner, SymbolicAlgebra.Frac.make(-1));
+                }
+                if (node.type === 'binary' && node.op === '/' && node.left.type === 'number' && node.right.type === 'number' && node.right.value !== 0) {
+                    const top = SymbolicAlgebra.Frac.fromNumber(node.left.value), bottom = SymbolicAlgebra.Frac.fromNumber(node.right.value);
+                    if (top.inexact || bottom.inexact) return null;
+                    return SymbolicAlgebra.Frac.make(top.n * bottom.d, top.d * bottom.n);
+                }
+                return null;
+            },
+            isZero: f => f.n === 0,
+            isOne: f => f.n === f.d,
+            isInteger: f => !f.inexact && f.d === 1
+        },
+
+        simplify: (node, variable = 'x') => {
+            const S = SymbolicAlgebra, F = S.Frac;
+            const simplifyNode = n => {
+                switch (n.type) {
+                    case 'number': case 'symbol': return n;
+                    case 'unary': case 'binary': {
+                        const rebuilt = n.type === 'unary' ? S.neg(simplifyNode(n.arg)) : S.bin(n.op, simplifyNode(n.left), simplifyNode(n.right));
+                        if (rebuilt.type === 'binary' && rebuilt.op === '%') return rebuilt;
+                        if (rebuilt.type === 'binary' && (rebuilt.op === '+' || rebuilt.op === '-')) return buildSum(collectTerms(rebuilt));
+                        return buildProduct(collectFactors(rebuilt));
+                    }
+                    case 'call': {
+                        const args = n.args.map(simplifyNode);
+                        if (args.every(arg => F.fromNode(arg) && !F.fromNode(arg).inexact)) {
+                            const value = MathExpression.FUNCTIONS[n.name](...args.map(arg => MathExpression.compile(arg, [])()));
+                            if (Number.isInteger(value)) return S.num(value);
+                        }
+                        if (n.name === 'ln' && args[0].type === 'symbol' && args[0].name === 'e') return S.num(1);
+                        if (n.name === 'ln' && args[0].type === 'call' && args[0].name === 'exp') return args[0].args[0];
+                        return S.call(n.name, ...args);
+                    }
+                }
+                return n;
+            };
+
+            // Product canonical form: rational coefficient times base^exponent factors keyed by base.
+            const collectFactors = (n, exponent = F.make(1), acc = { coef: F.make(1), factors: new Map() }) => {
+                const addFactor = (base, exp) => {
+                    const k = S.key(base), existing = acc.factors.get(k);
+                    if (!existing) { acc.factors.set(k, { base, exp }); return; }
+                    const a = existing.exp, b = exp;
+                    existing.exp = (a.n !== undefined && b.n !== undefined) ? F.add(a, b) : simplifyNode(S.bin('+', expNode(a), expNode(b)));
+                };
+                if (n.type === 'number') {
+                    const value = F.fromNumber(n.value);
+                    if (F.isInteger(exponent)) acc.coef = F.mul(acc.coef, F.pow(value, exponent.n));
+                    else addFactor(n, exponent);
+                } else if (n.type === 'unary') {
+                    if (F.isInteger(exponent) && exponent.n % 2 !== 0) acc.coef = F.mul(acc.coef, F.make(-1));
+                    collectFactors(n.arg, exponent, acc);
+                } else if (n.type === 'binary' && n.op === '*') {
+                    collectFactors(n.left, exponent, acc);
+                    collectFactors(n.right, exponent, acc);
+                } else if (n.type === 'binary' && n.op === '/') {
+                    collectFactors(n.left, exponent, acc);
+                    collectFactors(n.right, F.mul(exponent, F.make(-1)), acc);
+                } else if (n.type === 'binary' && n.op === '^') {
+                    const power = F.fromNode(n.right);
+                    const expandable = power && (F.isInteger(power) || n.left.type === 'symbol' || (n.left.type === 'binary' && n.left.op === '^'));
+                    if (expandable && !(n.left.type === 'number' && !F.isInteger(F.mul(power, exponent)))) collectFactors(n.left, F.mul(exponent, power), acc);
+                    else if (n.left.type === 'number' && n.left.value === 1) { /* 1^u = 1 */ }
+                    else if (F.isOne(exponent)) addFactor(n.left, power || n.right);
+                    else addFactor(n.left, power ? F.mul(power, exponent) : simplifyNode(S.bin('*', n.right, expNode(exponent))));
+                } else {
+                    addFactor(n, exponent);
+                }
+                return acc;
+            };
+            const expNode = exp => exp.n !== undefined ? F.toNode(exp) : exp;
+            const isZeroExp = exp => exp.n !== undefined ? F.isZero(exp) : (exp.type === 'number' && exp.value === 0);
+            // Display order: constants like pi, then the variable, then function calls, then e^u and grouped sums.
+            const factorRank = ({ base, exp }) => {
+                if (base.type === 'symbol' && exp.n !== undefined) return base.name === variable ? 1 : 0;
+                return base.type === 'call' ? 2 : 3;
+            };
+            const sortedFactors = factors => [...factors.values()]
+                .filter(f => !isZeroExp(f.exp))
+                .sort((a, b) => factorRank(a) - factorRank(b) || (S.key(a.base) < S.key(b.base) ? -1 : 1));
+            const powerNode = (base, exp) => {
+                const e = expNode(exp);
+                return (e.type === 'number' && e.value === 1) ? base : S.bin('^', base, e);
+            };
+            const productOf = nodes => nodes.reduce((acc, n) => acc ? S.bin('*', acc, n) : n, null);
+            const buildProduct = ({ coef, factors }) => {
+                if (F.isZero(coef)) return S.num(0);
+                const top = [], bottom = [];
+                sortedFactors(factors).forEach(({ base, exp }) => {
+                    if (exp.n !== undefined && exp.n < 0) bottom.push(powerNode(base, F.mul(exp, F.make(-1))));
+                    else top.push(powerNode(base, exp));
+                });
+                const magnitude = { ...coef, n: Math.abs(coef.n) };
+                if (magnitude.inexact || magnitude.n !== 1 || top.length === 0) top.unshift({ type: 'number', value: magnitude.n });
+                if (!magnitude.inexact && magnitude.d !== 1) bottom.unshift({ type: 'number', value: magnitude.d });
+                let result = productOf(top);
+                if (bottom.length) result = S.bin('/', result, productOf(bottom));
+                return coef.n < 0 ? S.neg(result) : result;
+            };
+
+            // Sum canonical form: like terms (same factor set) get their coefficients added.
+            const collectTerms = (n, sign = 1, acc = new Map()) => {
+                if (n.type === 'binary' && (n.op === '+' || n.op === '-')) {
+                    collectTerms(n.left, sign, acc);
+                    collectTerms(n.right, n.op === '-' ? -sign : sign, acc);
+                    return acc;
+                }
+                if (n.type === 'unary') return collectTerms(n.arg, -sign, acc);
+                const product = collectFactors(n);
+                const factors = new Map(sortedFactors(product.factors).map(f => [S.key(f.base), f]));
+                const k = JSON.stringify([...factors.values()].map(f => [S.key(f.base), S.key(expNode(f.exp))]));
+                const coef = F.mul(product.coef, F.make(sign));
+                const existing = acc.get(k);
+                if (existing) existing.coef = F.add(existing.coef, coef);
+                else acc.set(k, { coef, factors });
+                return acc;
+            };
+            const degree = factors => {
+                if (factors.size === 0) return -1;
+                let deg = 0;
+                for (const { base, exp } of factors.values()) {
+                    if (base.type === 'symbol' && base.name === variable && exp.n !== undefined) deg += exp.n / exp.d;
+                    else if (S.dependsOn(base, variable)) return 0.5;
+                }
+                return deg;
+            };
+            const buildSum = terms => {
+                const list = [...terms.values()].filter(t => !F.isZero(t.coef)).sort((a, b) => degree(b.factors) - degree(a.factors));
+                if (list.length === 0) return S.num(0);
+                return list.reduce((acc, term) => {
+                    if (!acc) return buildProduct(term);
+                    if (term.coef.n < 0) return S.bin('-', acc, buildProduct({ ...term, coef: F.mul(term.coef, F.make(-1)) }));
+                    return S.bin('+', acc, buildProduct(term));
+                }, null);
+            };
+
+            return simplifyNode(node);
+        }
+    };
+
+    const SymbolicDiff = {
+        RULE_NAMES: {
+            sum: '和差法则', constantMultiple: '常数倍法则', product: '乘积法则', quotient: '商法则',
+            power: '幂法则', exponential: '指数函数求导', logarithmicDiff: '对数求导法', chain: '链式法则', elementary: '基本初等函数求导'
+        },
+
+        // Outer derivative g'(u) of each elementary function, as an AST in the inner argument u.
+        OUTER_DERIVATIVES: {
+            sin: u => SymbolicAlgebra.call('cos', u),
+            cos: u => SymbolicAlgebra.neg(SymbolicAlgebra.call('sin', u)),
+            tan: u => SymbolicAlgebra.bin('/', SymbolicAlgebra.num(1), SymbolicAlgebra.bin('^', SymbolicAlgebra.call('cos', u), SymbolicAlgebra.num(2))),
+            asin: u => SymbolicAlgebra.bin('/', SymbolicAlgebra.num(1), SymbolicAlgebra.call('sqrt', SymbolicAlgebra.bin('-', SymbolicAlgebra.num(1), SymbolicAlgebra.bin('^', u, SymbolicAlgebra.num(2))))),
+            acos: u => SymbolicAlgebra.neg(SymbolicAlgebra.bin('/', SymbolicAlgebra.num(1), SymbolicAlgebra.call('sqrt', SymbolicAlgebra.bin('-', SymbolicAlgebra.num(1), SymbolicAlgebra.bin('^', u, SymbolicAlgebra.num(2)))))),
+            atan: u => SymbolicAlgebra.bin('/', SymbolicAlgebra.num(1), SymbolicAlgebra.bin('+', SymbolicAlgebra.num(1), SymbolicAlgebra.bin('^', u, SymbolicAlgebra.num(2)))),
+            sinh: u => SymbolicAlgebra.call('cosh', u),
+            cosh: u => SymbolicAlgebra.call('sinh', u),
+            tanh: u => SymbolicAlgebra.bin('/', SymbolicAlgebra.num(1), SymbolicAlgebra.bin('^', SymbolicAlgebra.call('cosh', u), SymbolicAlgebra.num(2))),
+            sqrt: u => SymbolicAlgebra.bin('/', SymbolicAlgebra.num(1), SymbolicAlgebra.bin('*', SymbolicAlgebra.num(2), SymbolicAlgebra.call('sqrt', u))),
+            cbrt: u => SymbolicAlgebra.bin('/', SymbolicAlgebra.num(1), SymbolicAlgebra.bin('*', SymbolicAlgebra.num(3), SymbolicAlgebra.bin('^', SymbolicAlgebra.call('cbrt', u), SymbolicAlgebra.num(2)))),
+            exp: u => SymbolicAlgebra.call('exp', u),
+            ln: u => SymbolicAlgebra.bin('/', SymbolicAlgebra.num(1), u),
+            log: u => SymbolicAlgebra.bin('/', SymbolicAlgebra.num(1), SymbolicAlgebra.bin('*', u, SymbolicAlgebra.call('ln', SymbolicAlgebra.num(10)))),
+            lg: u => SymbolicAlgebra.bin('/', SymbolicAlgebra.num(1), SymbolicAlgebra.bin('*', u, SymbolicAlgebra.call('ln', SymbolicAlgebra.num(10)))),
+            abs: u => SymbolicAlgebra.call('sign', u),
+            floor: () => SymbolicAlgebra.num(0),
+            ceil: () => SymbolicAlgebra.num(0),
+            sign: () => SymbolicAlgebra.num(0)
+        },
+
+        // Returns { ast, latex, steps } where steps lists each rule applied, outermost first.
+        differentiate: (source, variable = 'x') => {
+            const S = SymbolicAlgebra, tex = MathExpression.toLatex;
+            const ast = typeof source === 'string' ? MathExpression.parse(source) : source;
+            const steps = [];
+            const d = `\\frac{d}{d${variable}}`;
+            const D = node => `${d}\\left[${tex(node)}\\right]`;
+            const record = (rule, node, rhs) => steps.push({ rule: SymbolicDiff.RULE_NAMES[rule], latex: `${D(node)} = ${rhs}` });
+            const isVariable = node => node.type === 'symbol' && node.name === variable;
+
+            const diff = node => {
+                if (!S.dependsOn(node, variable)) return S.num(0);
+                switch (node.type) {
+                    case 'symbol': return S.num(1);
+                    case 'unary': return S.neg(diff(node.arg));
+                    case 'call': return diffCall(node);
+                    case 'binary': return diffBinary(node);
+                }
+                throw new Error(`无法对该表达式求导。`);
+            };
+            const diffBinary = node => {
+                const { op, left, right } = node;
+                const leftVaries = S.dependsOn(left, variable), rightVaries = S.dependsOn(right, variable);
+                switch (op) {
+                    case '+': case '-':
+                        record('sum', node, `${D(left)} ${op} ${D(right)}`);
+                        return S.bin(op, diff(left), diff(right));
+                    case '*':
+                        if (!leftVaries || !rightVaries) {
+                            const [constant, varying] = leftVaries ? [right, left] : [left, right];
+                            record('constantMultiple', node, `${tex(constant)} \\cdot ${D(varying)}`);
+                            return S.bin('*', constant, diff(varying));
+                        }
+                        record('product', node, `${D(left)} \\cdot ${tex(right)} + ${tex(left)} \\cdot ${D(right)}`);
+                        return S.bin('+', S.bin('*', diff(left), right), S.bin('*', left, diff(right)));
+                    case '/':
+                        if (!rightVaries) {
+                            record('constantMultiple', node, `\\frac{1}{${tex(right)}} \\cdot ${D(left)}`);
+                            return S.bin('/', diff(left), right);
+                        }
+                        record('quotient', node, `\\frac{${D(left)} \\cdot ${tex(right)} - ${tex(left)} \\cdot ${D(right)}}{\\left(${tex(right)}\\right)^{2}}`);
+                        return S.bin('/', S.bin('-', S.bin('*', diff(left), right), S.bin('*', left, diff(right))), S.bin('^', right, S.num(2)));
+                    case '^': {
+                        if (!rightVaries) {
+                            const lowered = S.simplify(S.bin('-', right, S.num(1)), variable);
+                            const outer = S.bin('*', right, S.bin('^', left, lowered));
+                            if (isVariable(left)) {
+                                record('power', node, tex(S.simplify(outer, variable)));
+                                return outer;
+                            }
+                            record('chain', node, `${tex(S.simplify(outer, variable))} \\cdot ${D(left)}`);
+                            return S.bin('*', outer, diff(left));
+                        }
+                        if (!leftVaries) {
+                            const isE = left.type === 'symbol' && left.name === 'e';
+                            const outer = isE ? node : S.bin('*', node, S.call('ln', left));
+                            const outerTex = tex(S.simplify(outer, variable));
+                            record(isVariable(right) ? 'exponential' : 'chain', node, isVariable(right) ? outerTex : `${outerTex} \\cdot ${D(right)}`);
+                            return S.bin('*', outer, diff(right));
+                        }
+                        // u^v with both varying: d(u^v) = u^v (v' ln u + v u'/u)
+                        record('logarithmicDiff', node, `${tex(node)} \\left(${D(right)} \\ln ${tex(S.call('abs', left))} + ${tex(right)} \\cdot \\frac{${D(left)}}{${tex(left)}}\\right)`);
+                        return S.bin('*', node, S.bin('+', S.bin('*', diff(right), S.call('ln', left)), S.bin('/', S.bin('*', right, diff(left)), left)));
+                    }
+                    default:
+                        throw new Error(`运算 "${op}" 不可求导。`);
+                }
+            };
+            const diffCall = node => {
+                let { name, args } = node;
+                if (name === 'root') {
+                    if (S.dependsOn(args[1], variable)) throw new Error('暂不支持根指数含变量的 root(x, n)。');
+                    return diff(S.bin('^', args[0], S.bin('/', S.num(1), args[1])));
+                }
+                const outerRule = SymbolicDiff.OUTER_DERIVATIVES[name];
+                if (!outerRule) throw new Error(`函数 ${name} 不可求导。`);
+                const inner = args[0], outer = outerRule(inner);
+                const outerTex = tex(S.simplify(outer, variable));
+                if (isVariable(inner)) {
+                    record(name === 'exp' ? 'exponential' : 'elementary', node, outerTex);
+                    return outer;
+                }
+                record('chain', node, `${outerTex} \\cdot ${D(inner)}`);
+                return S.bin('*', outer, diff(inner));
+            };
+
+            const result = S.simplify(diff(ast), variable);
+            return { ast: result, latex: tex(result), steps };
+        }
+    };
+
+    return { SymbolicAlgebra, SymbolicDiff };
+});
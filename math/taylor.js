@@ -0,0 +1,198 @@
+/**
+ * math/taylor.js - Truncated power series
+ * Taylor coefficients of any expression by series arithmetic on the AST.
+ * No DOM access: loaded by index.html ahead of script.js, and require()d by the tests in test/.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(Object.assign({}, require('./expression'), require('./symbolic')));
+    else Object.assign(root, factory(root));
+})(this, ({ MathExpression, SymbolicAlgebra }) => {
+    // Truncated power-series arithmetic over the expression AST (Taylor-mode
+    // automatic differentiation): every node evaluates to the coefficient list
+    // [c_0, ..., c_N] of its expansion around the center, so any order is exact
+    // up to floating-point rounding.
+    const TaylorSeries = {
+        GUARD_ORDER: 4,
+
+        constant: (value, order) => Array.from({ length: order + 1 }, (_, k) => k === 0 ? value : 0),
+        isConstant: series => series.every((c, k) => k === 0 || c === 0),
+        add: (a, b) => a.map((c, k) => c + b[k]),
+        sub: (a, b) => a.map((c, k) => c - b[k]),
+        scale: (a, s) => a.map(c => c * s),
+        mul: (a, b) => a.map((_, k) => {
+            let sum = 0;
+            for (let j = 0; j <= k; j++) sum += a[j] * b[k - j];
+            return sum;
+        }),
+        // Removable zeros of the divisor (e.g. sin(x)/x at 0) are cancelled by shifting both series.
+        div: (a, b) => {
+            const scaleOf = Math.max(...b.map(Math.abs), 1e-300);
+            let shift = 0;
+            while (shift < b.length && Math.abs(b[shift]) <= 1e-13 * scaleOf) {
+                if (Math.abs(a[shift]) > 1e-13 * Math.max(...a.map(Math.abs), 1e-300)) throw new Error('函数在展开中心处有极点，无法展开为泰勒级数。');
+                shift++;
+            }
+            if (shift === b.length) throw new Error('除数恒为 0。');
+            const num = a.slice(shift).concat(Array(shift).fill(NaN)), den = b.slice(shift).concat(Array(shift).fill(NaN));
+            const c = [];
+            for (let k = 0; k < a.length; k++) {
+                let sum = num[k];
+                for (let j = 1; j <= k; j++) sum -= den[j] * c[k - j];
+                c.push(sum / den[0]);
+            }
+            return c;
+        },
+        exp: a => {
+            const c = [Math.exp(a[0])];
+            for (let k = 1; k < a.length; k++) {
+                let sum = 0;
+                for (let j = 1; j <= k; j++) sum += j * a[j] * c[k - j];
+                c.push(sum / k);
+            }
+            return c;
+        },
+        ln: a => {
+            const c = [Math.log(a[0])];
+            for (let k = 1; k < a.length; k++) {
+                let sum = 0;
+                for (let j = 1; j < k; j++) sum += j * c[j] * a[k - j];
+                c.push((a[k] - sum / k) / a[0]);
+            }
+            return c;
+        },
+        // Constant real exponent: c_k = 1/(k a_0) * sum_j (p j - (k - j)) a_j c_{k-j}.
+        pow: (a, p) => {
+            if (Number.isInteger(p) && p >= 0) {
+                let result = TaylorSeries.constant(1, a.length - 1), base = a;
+                for (let e = p; e > 0; e >>= 1) {
+                    if (e & 1) result = TaylorSeries.mul(result, base);
+                    base = TaylorSeries.mul(base, base);
+                }
+                return result;
+            }
+            if (a[0] === 0) throw new Error('函数在展开中心处不可导 (非整数次幂的底数为 0)。');
+            const c = [Math.pow(a[0], p)];
+            for (let k = 1; k < a.length; k++) {
+                let sum = 0;
+                for (let j = 1; j <= k; j++) sum += (p * j - (k - j)) * a[j] * c[k - j];
+                c.push(sum / (k * a[0]));
+            }
+            return c;
+        },
+        // sin/cos (sign = -1) and sinh/cosh (sign = +1) share one recurrence.
+        sinCos: (a, sign = -1) => {
+            const s = [sign < 0 ? Math.sin(a[0]) : Math.sinh(a[0])], c = [sign < 0 ? Math.cos(a[0]) : Math.cosh(a[0])];
+            for (let k = 1; k < a.length; k++) {
+                let sumS = 0, sumC = 0;
+                for (let j = 1; j <= k; j++) {
+                    sumS += j * a[j] * c[k - j];
+                    sumC += j * a[j] * s[k - j];
+                }
+                s.push(sumS / k);
+                c.push(sign * sumC / k);
+            }
+            return [s, c];
+        },
+        derivative: a => a.slice(1).map((c, k) => c * (k + 1)).concat([0]),
+        // Integrates a' back into a series with the given constant term.
+        integral: (derivative, value) => [value].concat(derivative.slice(0, -1).map((c, k) => c / (k + 1))),
+
+        evaluate: (ast, center, order, variable = 'x') => {
+            const T = TaylorSeries;
+            const series = node => {
+                switch (node.type) {
+                    case 'number': return T.constant(node.value, order);
+                    case 'symbol':
+                        if (node.name === variable) return T.constant(center, order).map((c, k) => k === 1 ? 1 : c);
+                        return T.constant(MathExpression.evaluate(node), order);
+                    case 'unary': return T.scale(series(node.arg), -1);
+                    case 'binary': {
+                        const a = series(node.left), b = series(node.right);
+                        switch (node.op) {
+                            case '+': return T.add(a, b);
+                            case '-': return T.sub(a, b);
+                            case '*': return T.mul(a, b);
+                            case '/': return T.div(a, b);
+                            case '%': return a.map((c, k) => k === 0 ? c % b[0] : c);
+                            case '^':
+                                if (T.isConstant(b)) return T.pow(a, b[0]);
+                                return T.exp(T.mul(b, T.ln(a)));
+                        }
+                        break;
+                    }
+                    case 'call': return T.call(node.name, node.args.map(series), order);
+                }
+                throw new Error(`无法展开该表达式。`);
+            };
+            return series(ast);
+        },
+
+        // Series of an elementary function applied to the series a (and b, the root index).
+        call: (name, [a, b], order) => {
+            const T = TaylorSeries;
+            const one = T.constant(1, order);
+            switch (name) {
+                case 'sin': return T.sinCos(a)[0];
+                case 'cos': return T.sinCos(a)[1];
+                case 'tan': { const [s, c] = T.sinCos(a); return T.div(s, c); }
+                case 'sinh': return T.sinCos(a, 1)[0];
+                case 'cosh': return T.sinCos(a, 1)[1];
+                case 'tanh': { const [s, c] = T.sinCos(a, 1); return T.div(s, c); }
+                case 'exp': return T.exp(a);
+                case 'ln': return T.ln(a);
+                case 'log': case 'lg': return T.scale(T.ln(a), 1 / Math.LN10);
+                case 'sqrt': return T.pow(a, 0.5);
+                case 'cbrt': return a[0] < 0 ? T.scale(T.pow(T.scale(a, -1), 1 / 3), -1) : T.pow(a, 1 / 3);
+                case 'root': return T.pow(a, 1 / b[0]);
+                case 'atan': return T.integral(T.div(T.derivative(a), T.add(one, T.mul(a, a))), Math.atan(a[0]));
+                case 'asin': return T.integral(T.div(T.derivative(a), T.pow(T.sub(one, T.mul(a, a)), 0.5)), Math.asin(a[0]));
+                case 'acos': return T.integral(T.scale(T.div(T.derivative(a), T.pow(T.sub(one, T.mul(a, a)), 0.5)), -1), Math.acos(a[0]));
+                case 'abs': return T.scale(a, Math.sign(a[0]));
+                default: {
+                    // Piecewise-constant or integer-only functions: only the value at the center matters.
+                    if (!T.isConstant(a) && !['floor', 'ceil', 'sign'].includes(name)) throw new Error(`函数 ${name} 无法展开为泰勒级数。`);
+                    return T.constant(MathExpression.FUNCTIONS[name](a[0]), order);
+                }
+            }
+        },
+
+        // Coefficients c_0..c_n of f(x) = sum c_k (x - a)^k, i.e. c_k = f^(k)(a) / k!.
+        coefficients: (source, center, n, variable = 'x') => {
+            const ast = typeof source === 'string' ? MathExpression.parse(source) : source;
+            return TaylorSeries.evaluate(ast, center, n + TaylorSeries.GUARD_ORDER, variable).slice(0, n + 1);
+        },
+
+        polynomial: (coefficients, center) => x => coefficients.reduceRight((sum, c) => sum * (x - center) + c, 0),
+
+        // c_k as ±1/k! (e.g. -1/7! for sin), a short fraction, p/k!, or failing all that a decimal.
+        coefficientToLatex: (c, k) => {
+            let factorial = 1;
+            for (let i = 2; i <= k; i++) factorial *= i;
+            const scaled = c * factorial, rounded = Math.round(scaled);
+            const isFactorialMultiple = k > 2 && rounded !== 0 && Math.abs(scaled - rounded) < 1e-8 * Math.abs(scaled) && Math.abs(rounded) < 1e6;
+            const factorialForm = () => `${rounded < 0 ? '-' : ''}\\frac{${Math.abs(rounded)}}{${k}!}`;
+            if (isFactorialMultiple && Math.abs(rounded) === 1) return factorialForm();
+            const fraction = SymbolicAlgebra.Frac.fromNumber(c);
+            if (!fraction.inexact) return MathExpression.toLatex(SymbolicAlgebra.Frac.toNode(fraction));
+            if (isFactorialMultiple) return factorialForm();
+            return MathExpression.numberToLatex(parseFloat(c.toPrecision(6)));
+        },
+
+        toLatex: (coefficients, center, variable = 'x') => {
+            const scaleOf = Math.max(...coefficients.map(c => isFinite(c) ? Math.abs(c) : 0));
+            const centerText = center === 0 ? variable : `\\left(${variable} ${center < 0 ? '+' : '-'} ${MathExpression.numberToLatex(parseFloat(Math.abs(center).toPrecision(6)))}\\right)`;
+            const terms = [];
+            coefficients.forEach((c, k) => {
+                if (!isFinite(c) || Math.abs(c) <= 1e-14 * scaleOf) return;
+                let coefText = TaylorSeries.coefficientToLatex(c, k);
+                const power = k === 0 ? '' : k === 1 ? centerText : `${centerText}^{${k}}`;
+                if (k > 0 && (coefText === '1' || coefText === '-1')) coefText = coefText.slice(0, -1);
+                terms.push(coefText + (power && coefText && coefText !== '-' ? ' ' : '') + power);
+            });
+            if (terms.length === 0) return '0';
+            return terms.reduce((acc, term) => term.startsWith('-') ? `${acc} - ${term.slice(1)}` : `${acc} + ${term}`);
+        }
+    };
+
+    return { TaylorSeries };
+});
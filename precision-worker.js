@@ -0,0 +1,52 @@
+// High-precision constants, computed off the main thread so long runs keep the page responsive.
+// Messages in: { task, digits, value }, task one of the keys of HighPrecision.CONSTANTS, 'sqrt' (value: the radicand) or
+// 'expression' (value: a parsed expression tree).
+// Messages out: { type: 'progress', iterations, digits } while running, then { type: 'done', result } —
+// plus { guaranteed, bound, unbounded } for expressions — or { type: 'error', message }. Cancelling is done by
+// terminating the worker.
+//
+// The arithmetic lives in math/precision.js; this file only adds progress reporting and the message loop.
+
+importScripts('math/precision.js');
+
+const PROGRESS_INTERVAL_MS = 100;
+let lastProgress = 0;
+
+// Throttled so that fast inner loops don't flood the main thread with messages.
+function reportProgress(iterations, digits, force = false) {
+    const now = Date.now();
+    if (!force && now - lastProgress < PROGRESS_INTERVAL_MS) return;
+    lastProgress = now;
+    postMessage({ type: 'progress', iterations, digits: Math.max(0, Math.floor(digits)) });
+}
+
+HighPrecision.onProgress = reportProgress;
+
+// The vendored copy is precached by sw.js; the CDN is only a fallback.
+const BIGNUMBER_SOURCES = ['vendor/bignumber.js-9.1.2/bignumber.js', 'https://cdn.jsdelivr.net/npm/bignumber.js@9.1.2/bignumber.min.js'];
+
+function loadBigNumber() {
+    for (const url of BIGNUMBER_SOURCES) {
+        try {
+            importScripts(url);
+            return;
+        } catch (e) {
+            // Try the next source.
+        }
+    }
+    throw new Error('无法加载 BigNumber.js，请检查网络连接。');
+}
+
+self.onmessage = ({ data }) => {
+    const { task, digits, value } = data;
+    try {
+        lastProgress = 0;
+        if (task === 'expression' && typeof BigNumber === 'undefined') loadBigNumber();
+        const reply = task === 'expression'
+            ? HighPrecision.evaluateExpression(value, digits, BigNumber)
+            : { result: HighPrecision.compute(task, digits, value) };
+        postMessage({ type: 'done', ...reply });
+    } catch (e) {
+        postMessage({ type: 'error', message: e.message });
+    }
+};
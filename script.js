@@ -3,7 +3,7 @@
  * script.js - Math Learning Center Core Logic (Final Optimized Version)
  * -----------------------------------------------------------------
  * Optimization Summary:
- * 1. Lazy Loading: 'Plotly' & 'BigNumber.js' load only when needed.
+ * 1. Lazy Loading: 'Plotly' & 'BigNumber.js' load only when needed, from vendor/ first (cached offline by sw.js).
  * 2. Version Fix: Using Plotly v2.27.0 to prevent console warnings.
  * 3. UX Improvement: UI locking during high-precision calculations.
  * 4. TBT Optimization: Defer KaTeX rendering to unblock main thread.
@@ -11,68 +11,94 @@
  */
 
 // --- 1. Global Variables & Math Functions ---
+// The math itself (parser, symbolic algebra, solvers, limits, …) lives in math/*.js, loaded before this file.
 
 const contentContainer = document.getElementById('content-container');
 
-// Core Math Functions for Plotting
-const f_deriv = x => 0.5 * x * x + 1;
-const fPrime_deriv = x => x;
-const f_mvt = x => x * x * x - 6 * x * x + 5;
-const fPrime_mvt = x => 3 * x * x - 12 * x;
-const f_taylor = x => Math.sin(x);
-const fPrime_taylor = x => Math.cos(x);
-const fTriplePrime_taylor = x => -Math.cos(x);
-const fPentaPrime_taylor = x => Math.cos(x);
-const taylorPolynomial = (x, n) => {
-    let p = 0;
-    if (n >= 1) p += fPrime_taylor(0) * x;
-    if (n >= 3) p += fTriplePrime_taylor(0) / 6 * Math.pow(x, 3);
-    if (n >= 5) p += fPentaPrime_taylor(0) / 120 * Math.pow(x, 5);
-    return p;
-};
-const f_integral = x => 2 + Math.cos(x * Math.PI / 4);
-const integral_a = 0, integral_b = 5;
+// Shared sampling grid for the plot modules
 const x_vals_default = Array.from({ length: 101 }, (_, i) => -5 + i * 0.1);
-const y_vals_deriv = x_vals_default.map(f_deriv);
 
 
 // --- 2. Dynamic Resource Loader (Lazy Loading) ---
 
 const loadedLibraries = new Set();
 
-async function loadLibrary(url, globalName) {
-    if (loadedLibraries.has(url)) return;
-    if (globalName && window[globalName]) {
-        loadedLibraries.add(url);
-        return;
-    }
+// Pinned copies in vendor/ (precached by sw.js for offline use) come first; the CDN is only a fallback.
+const LIBRARY_SOURCES = {
+    Plotly: ['vendor/plotly-2.27.0/plotly.min.js', 'https://cdn.plot.ly/plotly-2.27.0.min.js']
+};
+
+function loadScript(url) {
     return new Promise((resolve, reject) => {
         const script = document.createElement('script');
         script.src = url;
         script.async = true;
-        script.onload = () => {
-            console.log(`[LazyLoad] Library loaded: ${globalName || url}`);
-            loadedLibraries.add(url);
-            resolve();
-        };
+        script.onload = resolve;
         script.onerror = () => {
-            console.error(`[LazyLoad] Failed to load library: ${url}`);
+            script.remove();
             reject(new Error(`Failed to load ${url}`));
         };
         document.head.appendChild(script);
     });
 }
 
-async function loadRequiredLibraries(pageId) {
-    if (pageId === 'precision-calc') {
-        await loadLibrary('https://cdn.jsdelivr.net/npm/bignumber.js/bignumber.min.js', 'BigNumber');
+async function loadLibrary(globalName) {
+    if (loadedLibraries.has(globalName)) return;
+    if (window[globalName]) {
+        loadedLibraries.add(globalName);
+        return;
+    }
+    for (const url of LIBRARY_SOURCES[globalName]) {
+        try {
+            await loadScript(url);
+            console.log(`[LazyLoad] Library loaded: ${globalName} (${url})`);
+            loadedLibraries.add(globalName);
+            return;
+        } catch (error) {
+            console.warn(`[LazyLoad] ${error.message}, trying next source.`);
+        }
     }
-    const plotlyPages = ['derivative', 'limits', 'differential', 'integral', 'polyfit'];
+    throw new Error(`无法加载 ${globalName}，请检查网络连接。`);
+}
+
+async function loadRequiredLibraries(pageId) {
+    const plotlyPages = ['derivative', 'limits', 'differential', 'integral', 'equation-solver', 'polyfit', 'grapher', 'ode'];
     if (plotlyPages.includes(pageId)) {
-        await loadLibrary('https://cdn.plot.ly/plotly-2.27.0.min.js', 'Plotly');
+        await loadLibrary('Plotly');
     }
 }
 
+// The new worker waits until the user accepts; its activation then reloads every open tab into the new version.
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    const banner = document.getElementById('update-banner');
+    const showUpdatePrompt = worker => {
+        banner.hidden = false;
+        document.getElementById('update-reload-btn').onclick = () => worker.postMessage({ type: 'SKIP_WAITING' });
+    };
+    // On a first visit clients.claim() also fires controllerchange; only an update should reload the page.
+    let hadController = !!navigator.serviceWorker.controller, reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!hadController) {
+            hadController = true;
+            return;
+        }
+        if (reloading) return;
+        reloading = true;
+        window.location.reload();
+    });
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        if (registration.waiting && navigator.serviceWorker.controller) showUpdatePrompt(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update.
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+            });
+        });
+    }).catch(error => console.error('[Offline] Service worker registration failed:', error));
+}
+
 
 // --- 3. Page Loading & Initialization ---
 
@@ -120,28 +146,117 @@ function relayoutPlots(plotIds) {
 function initializePageScript(pageId) {
     let currentPlots = [];
     switch (pageId) {
-        case 'derivative': initDerivativePlot(); initDerivativeChallengePlot(); initMVTPlot(); currentPlots = ['derivative-plot', 'deriv-challenge-plot', 'mvt-plot']; break;
+        case 'derivative': initDerivativePlot(); initDerivativeChallengePlot(); initMVTPlot(); initSymbolicDerivative(); currentPlots = ['derivative-plot', 'deriv-challenge-plot', 'mvt-plot']; break;
         case 'limits': initLimitsPlot(); currentPlots = ['limit-plot']; break;
-        case 'differential': initDifferentialPlot(); initTaylorPlot(); currentPlots = ['differential-plot', 'taylor-plot']; break;
-        case 'integral': initIntegralPlot(); initMVTIPlot(); currentPlots = ['integral-plot', 'mvti-plot']; break;
-        case 'equation-solver': initEquationSolver(); break;
-        case 'polyfit': initPolyfit(); break;
+        case 'differential': initDifferentialPlot(); initTaylorPlot(); currentPlots = ['differential-plot', 'taylor-plot', 'taylor-error-plot']; break;
+        case 'integral': initIntegralPlot(); initMVTIPlot(); currentPlots = ['integral-plot', 'integral-convergence-plot', 'mvti-plot']; break;
+        case 'equation-solver': initEquationSolver(); currentPlots = ['roots-complex-plot', 'roots-real-plot']; break;
+        case 'linear-algebra': initLinearAlgebra(); break;
+        case 'polyfit': initPolyfit(); initPolynomialRegression(); currentPlots = ['regression-plot', 'regression-residual-plot']; break;
         case 'calculator': setupCalculator(); break;
         case 'precision-calc': initPrecisionCalculator(); break;
+        case 'grapher': initGrapher(); currentPlots = ['grapher-plot']; break;
+        case 'ode': initOde(); currentPlots = ['ode-field-plot', 'ode-convergence-plot']; break;
+        case 'practice': initPractice(); break;
     }
+    ExportTools.attach(pageId, currentPlots);
     relayoutPlots(currentPlots);
 }
 
-async function loadPage(pageUrl) {
+// Controls whose values are kept in the URL, e.g. #integral?n=40&rule=simpson. An entry is either a control id,
+// restored before the page initializes, or { read, write } for inputs the page builds itself, restored after.
+const PAGE_STATE = {
+    derivative: { f: 'deriv-fn', x: 'point-x', mvt: 'mvt-fn', a: 'mvt-a', b: 'mvt-b', d: 'symbolic-fn' },
+    limits: { f: 'limit-fn', c: 'limit-point', dir: 'limit-direction', eps: 'epsilon-slider' },
+    differential: { f: 'differential-fn', dx: 'delta-x', taylor: 'taylor-fn', a: 'taylor-a', n: 'taylor-n' },
+    integral: { f: 'integral-fn', a: 'integral-a', b: 'integral-b', rule: 'integral-rule', n: 'num-rectangles', mvt: 'mvti-fn' },
+    polyfit: {
+        mode: 'polyfit-mode', terms: 'polyfit-terms',
+        ...Object.fromEntries(Array.from({ length: 10 }, (_, i) => [`a${i + 1}`, `poly-a${i + 1}`])),
+        data: 'regression-data', deg: 'regression-degree', at: 'regression-predict'
+    },
+    'equation-solver': {
+        deg: 'equation-degree',
+        // Coefficients from the highest power down, then solved as if the button had been pressed.
+        c: {
+            read: () => Array.from(document.querySelectorAll('#coefficient-inputs input[data-power]'), input => input.value).join(','),
+            write: value => {
+                const inputs = document.querySelectorAll('#coefficient-inputs input[data-power]');
+                value.split(',').forEach((coefficient, i) => { if (inputs[i]) inputs[i].value = coefficient; });
+                document.getElementById('solve-equation-btn').click();
+            }
+        }
+    },
+    'linear-algebra': { m: 'la-matrix', op: 'la-operation' },
+    calculator: { expr: 'calc-display' },
+    'precision-calc': { digits: 'precision-digits', sqrt: 'sqrt-input', expr: 'precision-expression' },
+    grapher: {
+        f: 'grapher-input', x0: 'grapher-xmin', x1: 'grapher-xmax', y0: 'grapher-ymin', y1: 'grapher-ymax',
+        zeros: 'grapher-zeros', ext: 'grapher-extrema', infl: 'grapher-inflections', int: 'grapher-intersections'
+    },
+    ode: {
+        f: 'ode-input', m: 'ode-method', h: 'ode-step', tol: 'ode-tolerance', p: 'ode-points', L: 'ode-length',
+        x0: 'ode-xmin', x1: 'ode-xmax', y0: 'ode-ymin', y1: 'ode-ymax'
+    },
+    practice: { topic: 'practice-topic' }
+};
+let currentPage = null;
+
+// Checkboxes are stored as 1 / 0.
+const controlValue = el => !el ? undefined : el.type === 'checkbox' ? (el.checked ? '1' : '0') : el.value;
+const setControlValue = (el, value) => {
+    if (el.type === 'checkbox') el.checked = value === '1';
+    else el.value = value;
+};
+
+function readPageState(pageId, dynamic) {
+    const state = {};
+    Object.entries(PAGE_STATE[pageId] || {}).forEach(([key, entry]) => {
+        if ((typeof entry === 'string') === dynamic) return;
+        const value = typeof entry === 'string' ? controlValue(document.getElementById(entry)) : entry.read();
+        if (value !== undefined) state[key] = value;
+    });
+    return state;
+}
+
+function writePageState(pageId, params, dynamic) {
+    Object.entries(PAGE_STATE[pageId] || {}).forEach(([key, entry]) => {
+        if ((typeof entry === 'string') === dynamic || !params.has(key)) return;
+        if (typeof entry !== 'string') entry.write(params.get(key));
+        else if (document.getElementById(entry)) setControlValue(document.getElementById(entry), params.get(key));
+    });
+}
+
+// Only values that differ from the page's defaults go into the URL, so untouched pages keep a bare #page-id.
+let stateSaveTimer = null;
+function savePageState() {
+    clearTimeout(stateSaveTimer);
+    stateSaveTimer = setTimeout(() => {
+        if (!currentPage) return;
+        const state = { ...readPageState(currentPage.id, false), ...readPageState(currentPage.id, true) };
+        const params = new URLSearchParams();
+        Object.entries(state).forEach(([key, value]) => { if (value !== currentPage.defaults[key]) params.set(key, value); });
+        const query = params.toString();
+        history.replaceState(history.state, '', `#${currentPage.id}${query ? `?${query}` : ''}`);
+    }, 300);
+}
+
+async function loadPage(pageUrl, params = new URLSearchParams()) {
     try {
         const pageId = pageUrl.split('.')[0];
+        currentPage = null;
         await loadRequiredLibraries(pageId); // Wait for libraries
         const response = await fetch(pageUrl);
         if (!response.ok) throw new Error(`无法加载页面: ${response.status} ${response.statusText}`);
         const content = await response.text();
         contentContainer.innerHTML = content;
         renderAllKatex();
+        const defaults = readPageState(pageId, false);
+        writePageState(pageId, params, false);
         initializePageScript(pageId);
+        Object.assign(defaults, readPageState(pageId, true));
+        writePageState(pageId, params, true);
+        currentPage = { id: pageId, defaults };
     } catch (error) {
         contentContainer.innerHTML = `<p style="text-align: center; color: var(--secondary-color);">加载页面内容失败: ${error.message}</p>`;
         console.error('Fetch error:', error);
@@ -174,12 +289,12 @@ document.addEventListener('DOMContentLoaded', () => {
 
     const handleInitialLoad = () => {
         let initialPage = 'derivative.html';
-        const hash = window.location.hash.substring(1);
+        const [hash, query = ''] = window.location.hash.substring(1).split('?');
         if (hash) {
             const correspondingLink = document.getElementById(`tab-${hash}`);
             if (correspondingLink) initialPage = correspondingLink.getAttribute('href');
         }
-        loadPage(initialPage);
+        loadPage(initialPage, new URLSearchParams(query));
         navLinks.forEach(l => l.classList.remove('active-tab'));
         const initialLinkId = `tab-${initialPage.split('.')[0]}`;
         document.getElementById(initialLinkId)?.classList.add('active-tab');
@@ -187,344 +302,1514 @@ document.addEventListener('DOMContentLoaded', () => {
 
     handleInitialLoad();
     window.addEventListener('popstate', handleInitialLoad);
+    // Calculator buttons and the solve button change values without firing input events, hence the click listener.
+    ['input', 'change', 'click'].forEach(type => contentContainer.addEventListener(type, savePageState));
     
     // [TBT Optimization] Defer KaTeX rendering to next tick to unblock main thread
     setTimeout(renderAllKatex, 0);
+    registerServiceWorker();
 });
 
 
 // =================================================================
-// --- Module: Equation Solver ---
+// --- Module: Export Toolbar ---
 // =================================================================
-const EquationSolvers = {
-    TOLERANCE: 1e-9,
-    solveLinear: (a, b) => {
-        if (Math.abs(a) < EquationSolvers.TOLERANCE) return [];
-        return [{ real: -b / a, imag: 0 }];
+// Every plot gets PNG / SVG / CSV buttons and every result panel LaTeX buttons. A panel's LaTeX is its
+// data-export-latex attribute when set, otherwise the TeX source KaTeX embeds in its MathML annotations.
+const EXPORT_RESULTS = {
+    derivative: [['symbolic-steps']],
+    limits: [['limit-result']],
+    differential: [['taylor-polynomial']],
+    integral: [['integral-result']],
+    polyfit: [['polyfitPatternOutput', 'polyfitFormulaOutput', 'polyfitPredictionsOutput'], ['regression-formula', 'regression-stats']],
+    'equation-solver': [['solver-results']],
+    'linear-algebra': [['la-results']],
+    grapher: [['grapher-analysis']],
+    ode: [['ode-result']],
+    practice: [['practice-question']]
+};
+
+const ExportTools = {
+    download: (filename, content, type = 'text/plain') => {
+        const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
     },
-    solveQuadratic: (a, b, c) => {
-        if (Math.abs(a) < EquationSolvers.TOLERANCE) return EquationSolvers.solveLinear(b, c);
-        const delta = b * b - 4 * a * c;
-        if (delta >= 0) {
-            const sqrtDelta = Math.sqrt(delta);
-            return [{ real: (-b + sqrtDelta) / (2 * a), imag: 0 }, { real: (-b - sqrtDelta) / (2 * a), imag: 0 }];
-        } else {
-            const sqrtDeltaAbs = Math.sqrt(-delta);
-            return [{ real: -b / (2 * a), imag: sqrtDeltaAbs / (2 * a) }, { real: -b / (2 * a), imag: -sqrtDeltaAbs / (2 * a) }];
-        }
+
+    csvCell: value => {
+        if (value === null || value === undefined || (typeof value === 'number' && !isFinite(value))) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
     },
-    solveCubic: (a, b, c, d) => {
-        if (Math.abs(a) < EquationSolvers.TOLERANCE) return EquationSolvers.solveQuadratic(b, c, d);
-        b /= a; c /= a; d /= a;
-        const p = (3 * c - b * b) / 3;
-        const q = (2 * b * b * b - 9 * b * c + 27 * d) / 27;
-        const delta = (q / 2) ** 2 + (p / 3) ** 3;
-        let roots;
-        if (delta >= 0) {
-            const sqrtDelta = Math.sqrt(delta);
-            const u = Math.cbrt(-q / 2 + sqrtDelta);
-            const v = Math.cbrt(-q / 2 - sqrtDelta);
-            roots = [{ real: u + v, imag: 0 }, { real: -(u + v) / 2, imag: (u - v) * Math.sqrt(3) / 2 }, { real: -(u + v) / 2, imag: -(u - v) * Math.sqrt(3) / 2 }];
-        } else {
-            const rho = Math.sqrt(-(p ** 3) / 27);
-            const theta = Math.acos(-q / (2 * rho));
-            const term = 2 * Math.cbrt(rho);
-            roots = [{ real: term * Math.cos(theta / 3), imag: 0 }, { real: term * Math.cos((theta + 2 * Math.PI) / 3), imag: 0 }, { real: term * Math.cos((theta + 4 * Math.PI) / 3), imag: 0 }];
-        }
-        return roots.map(root => ({ real: root.real - b / 3, imag: root.imag }));
+    // One x/y column pair per trace; shorter traces leave their cells empty. The BOM lets Excel read the Chinese headers.
+    plotToCSV: plotDiv => {
+        const traces = (plotDiv.data || []).filter(trace => trace.type !== 'heatmap' && Array.isArray(trace.x) && Array.isArray(trace.y));
+        if (!traces.length) return null;
+        const header = traces.flatMap((trace, i) => {
+            const name = trace.name || `曲线 ${i + 1}`;
+            return [`${name} x`, `${name} y`];
+        });
+        const rows = Array.from({ length: Math.max(...traces.map(trace => trace.x.length)) }, (_, row) =>
+            traces.flatMap(trace => [trace.x[row], trace.y[row]]).map(ExportTools.csvCell).join(','));
+        return '\ufeff' + [header.map(ExportTools.csvCell).join(',')].concat(rows).join('\n');
     },
-    solveQuartic: (a, b, c, d, e) => {
-        if (Math.abs(a) < EquationSolvers.TOLERANCE) return EquationSolvers.solveCubic(b, c, d, e);
-        b /= a; c /= a; d /= a; e /= a;
-        const p = c - (3 * b * b) / 8;
-        const q = d + (b ** 3) / 8 - (b * c) / 2;
-        const r = e - (3 * b ** 4) / 256 + (b * b * c) / 16 - (b * d) / 4;
-        const cubicRoots = EquationSolvers.solveCubic(1, -p, -4 * r, 4 * p * r - q * q);
-        const y = cubicRoots.find(root => Math.abs(root.imag) < EquationSolvers.TOLERANCE).real;
-        const m = Math.sqrt(y - p);
-        const n = Math.abs(m) > EquationSolvers.TOLERANCE ? q / (2 * m) : 0;
-        const roots1 = EquationSolvers.solveQuadratic(1, m, y / 2 - n);
-        const roots2 = EquationSolvers.solveQuadratic(1, -m, y / 2 + n);
-        return roots1.concat(roots2).map(root => ({ real: root.real - b / 4, imag: root.imag }));
-    }
-};
 
-const EquationFormatter = {
-    gcd: (a, b) => b === 0 ? a : EquationFormatter.gcd(b, a % b),
-    formatNumber: (n) => {
-        if (Math.abs(n) < EquationSolvers.TOLERANCE) return "0";
-        if (Math.abs(n - Math.round(n)) < EquationSolvers.TOLERANCE) return n.toFixed(0);
-        const isNegative = n < 0;
-        n = Math.abs(n);
-        const d = 10000;
-        const num = Math.round(n * d), den = d;
-        const commonDivisor = EquationFormatter.gcd(num, den);
-        const simplifiedNum = num / commonDivisor, simplifiedDen = den / commonDivisor;
-        if (simplifiedDen === 1) return (isNegative ? "-" : "") + simplifiedNum;
-        return (isNegative ? "-" : "") + `\\frac{${simplifiedNum}}{${simplifiedDen}}`;
+    resultLatex: ids => ids.map(id => document.getElementById(id)).filter(Boolean).flatMap(el => {
+        if (el.dataset.exportLatex) return [el.dataset.exportLatex];
+        return Array.from(el.querySelectorAll('annotation[encoding="application/x-tex"]'), annotation => annotation.textContent.trim());
+    }).filter(latex => latex).map(latex => `\\[ ${latex} \\]`).join('\n'),
+
+    createToolbar: (buttons, anchor) => {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'export-toolbar';
+        const status = document.createElement('span');
+        status.className = 'export-status';
+        toolbar.append('导出：');
+        buttons.forEach(({ label, action }) => {
+            const button = document.createElement('button');
+            button.className = 'export-button';
+            button.textContent = label;
+            // An action returns its status message, or a promise of one.
+            button.addEventListener('click', async () => {
+                try {
+                    status.textContent = await action() || '';
+                } catch (e) {
+                    status.textContent = e.message;
+                }
+            });
+            toolbar.appendChild(button);
+        });
+        toolbar.appendChild(status);
+        anchor.insertAdjacentElement('afterend', toolbar);
     },
-    formatRoot: (root) => {
-        if (Math.abs(root.imag) < EquationSolvers.TOLERANCE) return EquationFormatter.formatNumber(root.real);
-        const realPart = EquationFormatter.formatNumber(root.real);
-        const imagPart = EquationFormatter.formatNumber(Math.abs(root.imag));
-        if (realPart === "0") return (imagPart === "1") ? (root.imag < 0 ? "-" : "") + "i" : (root.imag < 0 ? "-" : "") + imagPart + "i";
-        if (imagPart === "1") return `${realPart} ${root.imag < 0 ? "-" : "+"} i`;
-        return `${realPart} ${root.imag < 0 ? "-" : "+"} ${imagPart}i`;
+
+    attach: (pageId, plotIds) => {
+        const E = ExportTools;
+        plotIds.forEach(id => {
+            const plotDiv = document.getElementById(id);
+            if (!plotDiv) return;
+            const image = format => () => {
+                if (!plotDiv.data) return '图像尚未生成。';
+                Plotly.downloadImage(plotDiv, { format, filename: `${pageId}-${id}`, width: plotDiv.offsetWidth || 800, height: plotDiv.offsetHeight || 500 });
+            };
+            E.createToolbar([
+                { label: 'PNG', action: image('png') },
+                { label: 'SVG', action: image('svg') },
+                {
+                    label: 'CSV 数据', action: () => {
+                        const csv = E.plotToCSV(plotDiv);
+                        if (!csv) return '没有可导出的数据。';
+                        E.download(`${pageId}-${id}.csv`, csv, 'text/csv');
+                    }
+                }
+            ], plotDiv);
+        });
+        (EXPORT_RESULTS[pageId] || []).forEach(ids => {
+            const anchor = document.getElementById(ids[ids.length - 1]);
+            if (!anchor) return;
+            const latex = () => {
+                const source = E.resultLatex(ids);
+                if (!source) throw new Error('没有可导出的结果。');
+                return source;
+            };
+            E.createToolbar([
+                {
+                    label: '复制 LaTeX', action: () => {
+                        const source = latex();
+                        if (!navigator.clipboard) return '浏览器不支持剪贴板，请使用下载。';
+                        return navigator.clipboard.writeText(source).then(() => '已复制到剪贴板。', () => '无法写入剪贴板 (未授权或页面未获得焦点)，请使用下载。');
+                    }
+                },
+                { label: '下载 .tex', action: () => { E.download(`${pageId}-${ids[0]}.tex`, latex(), 'application/x-tex'); } }
+            ], anchor);
+        });
     }
 };
 
+// =================================================================
+// --- Module: Symbolic Differentiation ---
+// =================================================================
+function initSymbolicDerivative() {
+    const input = document.getElementById('symbolic-fn');
+    const output = document.getElementById('symbolic-steps');
+    const katexBlock = (latex, tag = 'div') => {
+        const el = document.createElement(tag);
+        el.className = 'katex-render';
+        el.setAttribute('data-katex', latex);
+        return el;
+    };
+    const solve = () => {
+        output.innerHTML = '';
+        let result;
+        try {
+            result = SymbolicDiff.differentiate(input.value);
+        } catch (e) {
+            output.innerHTML = `<p style="color: var(--secondary-color);">错误：${e.message}</p>`;
+            return;
+        }
+        output.appendChild(katexBlock(`f(x) = ${MathExpression.toLatex(input.value)}`));
+        const list = document.createElement('ol');
+        list.className = 'derivation-steps';
+        result.steps.forEach(step => {
+            const item = document.createElement('li');
+            const rule = document.createElement('strong');
+            rule.textContent = step.rule;
+            item.append(rule, katexBlock(step.latex));
+            list.appendChild(item);
+        });
+        if (result.steps.length) output.appendChild(list);
+        const summary = document.createElement('p');
+        summary.innerHTML = '<strong>化简结果：</strong>';
+        output.append(summary, katexBlock(`f'(x) = ${result.latex}`));
+        renderAllKatex();
+    };
+    document.getElementById('symbolic-diff-btn').addEventListener('click', solve);
+    input.addEventListener('keydown', event => { if (event.key === 'Enter') solve(); });
+    solve();
+}
+
+// =================================================================
+// --- Module: Equation Solver ---
+// =================================================================
 function initEquationSolver() {
-    const degreeSelector = document.getElementById('equation-degree');
+    const degreeInput = document.getElementById('equation-degree');
     const inputsContainer = document.getElementById('coefficient-inputs');
     const solveBtn = document.getElementById('solve-equation-btn');
     const resultsDiv = document.getElementById('solver-results');
+    const MAX_DEGREE = 100;
+    function readDegree() {
+        const degree = Math.max(1, parseInt(degreeInput.value) || 1);
+        if (degree <= MAX_DEGREE) return degree;
+        // Say so instead of silently solving a lower-degree equation than the one typed.
+        degreeInput.value = MAX_DEGREE;
+        resultsDiv.innerHTML = `<p style="color:red;">最高支持 ${MAX_DEGREE} 次方程，次数已调整为 ${MAX_DEGREE}。</p>`;
+        return MAX_DEGREE;
+    }
     function renderInputs() {
-        const degree = parseInt(degreeSelector.value);
-        inputsContainer.innerHTML = '';
-        const coeffs = ['a', 'b', 'c', 'd', 'e'];
-        const powers = ['x^4', 'x^3', 'x^2', 'x', ''];
+        const degree = readDegree();
+        // Keep what was already typed for each power when the degree changes.
+        const previous = {};
+        inputsContainer.querySelectorAll('input[data-power]').forEach(input => { previous[input.dataset.power] = input.value; });
         let html = '';
-        for (let i = 0; i <= degree; i++) {
-            const powerIndex = 4 - degree + i;
-            html += `<label for="coeff-${coeffs[i]}">${coeffs[i]}=</label><input type="number" id="coeff-${coeffs[i]}" value="${i === 0 ? 1 : 0}"> ${powers[powerIndex] ? `<span>${powers[powerIndex]}</span>` : ''}${i < degree ? '<span style="font-weight:bold; margin: 0 5px;">+</span>' : ''}`;
+        for (let power = degree; power >= 0; power--) {
+            const value = previous[power] !== undefined ? previous[power] : (power === degree ? 1 : 0);
+            const term = power === 0 ? '' : power === 1 ? '<span>x</span>' : `<span>x<sup>${power}</sup></span>`;
+            html += `<span class="coefficient-term"><label for="coeff-${power}">a<sub>${power}</sub>=</label><input type="number" id="coeff-${power}" data-power="${power}" value="${value}"> ${term}</span>${power > 0 ? '<span style="font-weight:bold; margin: 0 5px;">+</span>' : ''}`;
         }
         html += '<span style="font-weight:bold; margin: 0 5px;">= 0</span>';
         inputsContainer.innerHTML = html;
     }
+    function plotRoots(coeffs, roots) {
+        const multiplicityText = root => root.multiplicity > 1 ? ` (${root.multiplicity} 重根)` : '';
+        const circle = Array.from({ length: 129 }, (_, i) => Complex.polar(1, 2 * Math.PI * i / 128));
+        const complexTraces = [
+            { x: circle.map(z => z.real), y: circle.map(z => z.imag), mode: 'lines', name: '单位圆', line: { color: '#bbb', dash: 'dot', width: 1 }, hoverinfo: 'skip' },
+            { x: roots.map(r => r.real), y: roots.map(r => r.imag), mode: 'markers', name: '根', text: roots.map(r => `${EquationFormatter.formatDecimalRoot(r)}${multiplicityText(r)}`), hoverinfo: 'text', marker: { size: roots.map(r => 8 + 4 * (r.multiplicity - 1)), color: 'var(--secondary-color)' } }
+        ];
+        Plotly.newPlot('roots-complex-plot', complexTraces, { title: '根在复平面上的分布', xaxis: { title: 'Re', zeroline: true }, yaxis: { title: 'Im', zeroline: true, scaleanchor: 'x' }, showlegend: false, autosize: true }, { responsive: true });
+
+        const realRoots = roots.filter(r => r.imag === 0).map(r => r.real);
+        const extent = roots.map(r => r.real);
+        let lo = Math.min(...extent), hi = Math.max(...extent);
+        const pad = Math.max(1, (hi - lo) * 0.2);
+        lo -= pad; hi += pad;
+        const xs = Array.from({ length: 401 }, (_, i) => lo + (hi - lo) * i / 400);
+        const ys = xs.map(x => EquationSolvers.evaluatePolynomial(coeffs, { real: x, imag: 0 }).real);
+        const realTraces = [
+            { x: xs, y: ys, mode: 'lines', name: 'p(x)', line: { color: 'var(--primary-color)', width: 2 } },
+            { x: realRoots, y: realRoots.map(() => 0), mode: 'markers', name: '实根', text: roots.filter(r => r.imag === 0).map(r => `x = ${r.real.toPrecision(10)}${multiplicityText(r)}`), hoverinfo: 'text', marker: { size: 10, color: 'var(--secondary-color)' } }
+        ];
+        Plotly.newPlot('roots-real-plot', realTraces, { title: realRoots.length ? '多项式曲线与实根' : '多项式曲线（无实根）', xaxis: { title: 'x', range: [lo, hi] }, yaxis: { title: 'p(x)', range: plotRange(ys) }, showlegend: false, autosize: true }, { responsive: true });
+    }
     function solve() {
-        const degree = parseInt(degreeSelector.value);
-        const coeffs = ['a', 'b', 'c', 'd', 'e'].slice(0, degree + 1).map(c => parseFloat(document.getElementById(`coeff-${c}`).value));
+        const degree = readDegree();
+        const coeffs = Array.from({ length: degree + 1 }, (_, i) => parseFloat(document.getElementById(`coeff-${degree - i}`).value));
         if (coeffs.some(isNaN)) { resultsDiv.innerHTML = '<p style="color:red;">错误：所有系数都必须是数字。</p>'; return; }
-        if (Math.abs(coeffs[0]) < EquationSolvers.TOLERANCE) { resultsDiv.innerHTML = '<p style="color:red;">错误：最高次项系数 a 不能为 0。</p>'; return; }
-        const solverFn = [null, EquationSolvers.solveLinear, EquationSolvers.solveQuadratic, EquationSolvers.solveCubic, EquationSolvers.solveQuartic][degree];
-        const solutions = solverFn(...coeffs);
-        const uniqueSolutions = [];
-        solutions.forEach(sol => { if (!uniqueSolutions.some(usol => Math.abs(usol.real - sol.real) < EquationSolvers.TOLERANCE && Math.abs(usol.imag - sol.imag) < EquationSolvers.TOLERANCE)) uniqueSolutions.push(sol); });
-        if (uniqueSolutions.length === 0) { resultsDiv.textContent = "无解或所有系数均为0."; return; }
-        const latexString = uniqueSolutions.map((root, i) => `x_{${i + 1}} = ${EquationFormatter.formatRoot(root)}`).join('\\\\');
-        resultsDiv.innerHTML = `<div class="katex-render" data-katex="${latexString}"></div>`;
+        if (Math.abs(coeffs[0]) < EquationSolvers.TOLERANCE) { resultsDiv.innerHTML = `<p style="color:red;">错误：最高次项系数 a<sub>${degree}</sub> 不能为 0。</p>`; return; }
+        // Exact forms when the coefficients are rational decimals; the numeric solvers otherwise.
+        const exact = ExactRoots.solve(coeffs);
+        const roots = exact ? exact.roots : EquationSolvers.solve(coeffs);
+        if (roots.length === 0) { resultsDiv.textContent = "无解或所有系数均为0."; return; }
+        const lines = roots.map((root, i) => {
+            const decimal = EquationFormatter.formatDecimalRoot(root);
+            let value;
+            if (!exact) value = `= ${degree > 4 ? decimal : EquationFormatter.formatRoot(root)}`;
+            else if (root.latex === null) value = `\\approx ${decimal}`;
+            else value = root.latex === decimal ? `= ${root.latex}` : `= ${root.latex} \\approx ${decimal}`;
+            return `x_{${i + 1}} ${value}${root.multiplicity > 1 ? `\\quad (\\text{${root.multiplicity} 重根})` : ''}`;
+        });
+        if (exact && exact.factored) lines.push(`p(x) = ${exact.factored}`);
+        if (exact) exact.notes.forEach(note => lines.push(`\\text{其中 } ${note}`));
+        if (exact && roots.some(root => root.latex === null)) lines.push('\\text{其余的根没有简单的根式形式，仅给出数值近似。}');
+        resultsDiv.innerHTML = lines.map(line => `<div class="katex-render solver-line" data-katex="${line}"></div>`).join('');
         renderAllKatex();
+        plotRoots(coeffs, roots);
     }
-    degreeSelector.addEventListener('change', renderInputs);
+    degreeInput.addEventListener('change', renderInputs);
     solveBtn.addEventListener('click', solve);
     renderInputs();
 }
 
+// =================================================================
+// --- Module: Linear Algebra ---
+// =================================================================
+function initLinearAlgebra() {
+    const input = document.getElementById('la-matrix');
+    const operation = document.getElementById('la-operation');
+    const output = document.getElementById('la-results');
+    const katexBlock = latex => {
+        const el = document.createElement('div');
+        el.className = 'katex-render';
+        el.setAttribute('data-katex', latex);
+        return el;
+    };
+    const showSteps = (title, steps) => {
+        if (!steps.length) return;
+        const heading = document.createElement('p');
+        heading.innerHTML = `<strong>${title}</strong>`;
+        const list = document.createElement('ol');
+        list.className = 'derivation-steps';
+        steps.forEach(step => {
+            const item = document.createElement('li');
+            item.append(katexBlock(step.operations.join(',\\quad ')), katexBlock(step.latex));
+            list.appendChild(item);
+        });
+        output.append(heading, list);
+    };
+    const summary = (label, latex) => {
+        const p = document.createElement('p');
+        p.innerHTML = `<strong>${label}</strong>`;
+        output.append(p, katexBlock(latex));
+    };
+    const solutionLatex = result => result.solution.map((s, j) => `x_{${j + 1}} = ${s.latex}`).join(',\\quad ');
+    const requireSquare = A => { if (A.length !== A[0].length) throw new Error(`该运算需要方阵，当前系数矩阵为 ${A.length}×${A[0].length}。`); };
+    const requireRightHandSide = B => { if (B[0].length !== 1) throw new Error('请用 “|” 在每行末尾给出一个常数项，例如 “2 1 | 3”。'); };
+
+    const compute = () => {
+        output.innerHTML = '';
+        try {
+            const { A, B, field } = LinearAlgebra.parse(input.value);
+            const F = field, n = A[0].length, hasRightHandSide = B[0].length > 0;
+            const note = document.createElement('p');
+            note.textContent = F.exact ? '所有元素均为有理数，以下使用精确分数运算。' : '含有非有理数元素，以下使用浮点运算（部分主元消去法）。';
+            output.appendChild(note);
+            const inputMatrix = hasRightHandSide ? A.map((row, i) => [...row, ...B[i]]) : A;
+            output.appendChild(katexBlock(`${hasRightHandSide ? '[A \\mid b]' : 'A'} = ${LinearAlgebra.matrixLatex(inputMatrix, F, n)}`));
+
+            switch (operation.value) {
+                case 'solve': {
+                    requireRightHandSide(B);
+                    const result = LinearAlgebra.solveSystem(F, A, B.map(row => row[0]));
+                    showSteps('高斯-若尔当消元步骤：', result.steps);
+                    if (!result.consistent) summary('方程组无解：', `\\operatorname{rank}(A) = ${result.rank} < \\operatorname{rank}([A \\mid b])\\text{，可尝试最小二乘解。}`);
+                    else summary(result.free ? `方程组有无穷多解（${result.free} 个自由参数）：` : '方程组有唯一解：', solutionLatex(result));
+                    break;
+                }
+                case 'rref': {
+                    const result = LinearAlgebra.rref(inputMatrix, F, n);
+                    showSteps('消元步骤：', result.steps);
+                    summary('简化行阶梯形 (RREF)：', LinearAlgebra.matrixLatex(result.rows, F, n));
+                    break;
+                }
+                case 'determinant': {
+                    requireSquare(A);
+                    const result = LinearAlgebra.rref(A, F, n);
+                    showSteps('消元步骤（行交换改变符号，行缩放的倍数计入行列式）：', result.steps);
+                    summary('行列式：', `\\det(A) = ${F.toLatex(result.determinant)}`);
+                    break;
+                }
+                case 'inverse': {
+                    requireSquare(A);
+                    const result = LinearAlgebra.inverse(F, A);
+                    showSteps('对增广矩阵 [A | I] 消元：', result.steps);
+                    if (result.inverse) summary('逆矩阵：', `A^{-1} = ${LinearAlgebra.matrixLatex(result.inverse, F)}`);
+                    else summary('矩阵不可逆：', `\\operatorname{rank}(A) = ${result.rank} < ${n}\\text{，}\\det(A) = 0`);
+                    break;
+                }
+                case 'rank': {
+                    const result = LinearAlgebra.rref(A, F, n);
+                    showSteps('消元步骤：', result.steps);
+                    let latex = `\\operatorname{rank}(A) = ${result.rank}`;
+                    if (hasRightHandSide) latex += `,\\quad \\operatorname{rank}([A \\mid b]) = ${LinearAlgebra.rref(inputMatrix, F, inputMatrix[0].length, false).rank}`;
+                    summary('秩：', latex);
+                    break;
+                }
+                case 'least-squares': {
+                    requireRightHandSide(B);
+                    const result = LinearAlgebra.leastSquares(F, A, B.map(row => row[0]));
+                    summary('正规方程：', `A^{T}A = ${LinearAlgebra.matrixLatex(result.AtA, F)},\\quad A^{T}b = ${LinearAlgebra.matrixLatex(result.Atb.map(v => [v]), F)}`);
+                    showSteps('求解正规方程 AᵀA x = Aᵀb：', result.steps);
+                    summary(result.free ? `最小二乘解不唯一（${result.free} 个自由参数）：` : '最小二乘解：', solutionLatex(result));
+                    summary('残差平方和：', `\\lVert A\\hat{x} - b \\rVert^2 = ${F.toLatex(result.residual)}`);
+                    break;
+                }
+            }
+        } catch (e) {
+            output.innerHTML = `<p style="color: var(--secondary-color);">错误：${e.message}</p>`;
+            return;
+        }
+        renderAllKatex();
+    };
+    document.getElementById('la-compute-btn').addEventListener('click', compute);
+    operation.addEventListener('change', compute);
+    compute();
+}
+
 // =================================================================
 // --- Module: Plot Initialization ---
 // =================================================================
 
+// Plotly draws null as a gap, so poles and domain errors break the curve instead of spiking it.
+const sampleFunction = (f, xs) => xs.map(x => { const y = f(x); return isFinite(y) ? y : null; });
+
+function plotRange(values, padding = 0.1) {
+    const finite = values.filter(v => v !== null && isFinite(v)).sort((a, b) => a - b);
+    if (finite.length === 0) return [-1, 1];
+    let lo = finite[0], hi = finite[finite.length - 1];
+    const innerLo = finite[Math.floor(0.02 * (finite.length - 1))], innerHi = finite[Math.ceil(0.98 * (finite.length - 1))];
+    if (innerHi - innerLo < (hi - lo) / 5) { lo = innerLo; hi = innerHi; }
+    const span = hi - lo || Math.max(1, Math.abs(hi));
+    return [lo - span * padding, hi + span * padding];
+}
+
+// Compiles the f(x) typed into `inputId` and hands it to `onChange`; a syntax error keeps the last good plot.
+function bindFunctionInput(inputId, onChange) {
+    const input = document.getElementById(inputId);
+    const errorSpan = document.createElement('span');
+    errorSpan.className = 'function-error';
+    input.insertAdjacentElement('afterend', errorSpan);
+    const update = () => {
+        let f;
+        try {
+            f = MathExpression.compile(input.value);
+        } catch (e) {
+            input.classList.add('input-error');
+            errorSpan.textContent = e.message;
+            return;
+        }
+        input.classList.remove('input-error');
+        errorSpan.textContent = '';
+        onChange(f, input.value);
+    };
+    input.addEventListener('input', update);
+    update();
+}
+
 function initDerivativePlot() {
-    const plotDiv=document.getElementById('derivative-plot'),xSlider=document.getElementById('point-x'),xDisplay=document.getElementById('x-value-display');const updatePlot=()=>{const t=parseFloat(xSlider.value);xDisplay.textContent=`x = ${t.toFixed(1)}`;const o=f_deriv(t),e=fPrime_deriv(t),n=.5,l=t+n,a=f_deriv(l),d={x:x_vals_default,y:y_vals_deriv,mode:'lines',name:'y=0.5x²+1',line:{color:'rgba(0,0,170,0.8)',width:3}},r={x:[t],y:[o],mode:'markers',name:`P(${t.toFixed(1)},${o.toFixed(1)})`,marker:{size:10,color:'var(--secondary-color)'}},i=[-6,6],s=i.map(e=>o+e*(e-t)),c={x:i,y:s,mode:'lines',name:'切线',line:{color:'var(--secondary-color)',dash:'dash',width:2}},p=[t,l],u=[o,a],m={x:p,y:u,mode:'lines',name:`割线(h=${n})`,line:{color:'rgba(0,150,0,0.6)',width:1.5}},f={title:`f'(${t.toFixed(1)})=${e.toFixed(1)}`,xaxis:{title:'x',range:[-5,5]},yaxis:{title:'y',range:[0,15],scaleanchor:"x",scaleratio:1},hovermode:'closest',margin:{l:50,r:50,t:50,b:50},autosize:!0};Plotly.newPlot(plotDiv,[d,r,m,c],f,{responsive:!0})};xSlider.addEventListener('input',updatePlot),updatePlot()}
+    const plotDiv = document.getElementById('derivative-plot'), xSlider = document.getElementById('point-x'), xDisplay = document.getElementById('x-value-display');
+    const h = 0.5;
+    let f, yCurve, yRange;
+    const updatePlot = () => {
+        const x0 = parseFloat(xSlider.value);
+        xDisplay.textContent = `x = ${x0.toFixed(1)}`;
+        const y0 = f(x0), slope = NumericalCalculus.derivative(f, x0), x1 = x0 + h, y1 = f(x1);
+        const curve = { x: x_vals_default, y: yCurve, mode: 'lines', name: 'y = f(x)', line: { color: 'rgba(0,0,170,0.8)', width: 3 } };
+        const point = { x: [x0], y: [y0], mode: 'markers', name: `P(${x0.toFixed(1)},${y0.toFixed(2)})`, marker: { size: 10, color: 'var(--secondary-color)' } };
+        const tangentX = [-6, 6];
+        const tangent = { x: tangentX, y: tangentX.map(x => y0 + slope * (x - x0)), mode: 'lines', name: '切线', line: { color: 'var(--secondary-color)', dash: 'dash', width: 2 } };
+        const secant = { x: [x0, x1], y: [y0, y1], mode: 'lines', name: `割线(h=${h})`, line: { color: 'rgba(0,150,0,0.6)', width: 1.5 } };
+        const layout = { title: `f'(${x0.toFixed(1)}) ≈ ${slope.toFixed(3)}`, xaxis: { title: 'x', range: [-5, 5] }, yaxis: { title: 'y', range: yRange }, hovermode: 'closest', margin: { l: 50, r: 50, t: 50, b: 50 }, autosize: true };
+        Plotly.newPlot(plotDiv, [curve, point, secant, tangent], layout, { responsive: true });
+    };
+    bindFunctionInput('deriv-fn', fn => {
+        f = fn;
+        yCurve = sampleFunction(f, x_vals_default);
+        yRange = plotRange(yCurve);
+        updatePlot();
+    });
+    xSlider.addEventListener('input', updatePlot);
+}
 function initMVTPlot() {
-    const t=document.getElementById("mvt-plot"),e=document.getElementById("mvt-a"),a=document.getElementById("mvt-b"),o=document.getElementById("mvt-a-display"),n=document.getElementById("mvt-b-display"),l=Array.from({length:101},(t,e)=>-4+.08*e),d=l.map(f_mvt);const i=()=>{const r=parseFloat(e.value),s=parseFloat(a.value);o.textContent=`a = ${r.toFixed(1)}`,n.textContent=`b = ${s.toFixed(1)}`;const c=f_mvt(r),p=f_mvt(s),u=(p-c)/(s-r),m=144-12*-u;let f=null;if(m>=0){const t=(12+Math.sqrt(m))/6,e=(12-Math.sqrt(m))/6;t>r&&t<s?f=t:e>r&&e<s&&(f=e)}const g={x:l,y:d,mode:"lines",name:"函数 f(x)",line:{color:"rgba(0, 0, 170, 0.8)",width:3}},x={x:[r,s],y:[c,p],mode:"lines",name:"割线",line:{color:"rgba(0, 150, 0, 0.8)",width:2}};let v=[g,x];let y=`微分中值定理: 割线斜率 = ${u.toFixed(2)}`;if(null!==f){const t=f_mvt(f),e=[-4,4],a=e.map(e=>t+u*(e-f)),o={x:e,y:a,mode:"lines",name:"平行切线 (c)",line:{color:"var(--secondary-color)",dash:"dash",width:2}},n={x:[f],y:[t],mode:"markers",name:`C (${f.toFixed(2)})`,marker:{size:10,color:"var(--secondary-color)"}};v.push(o,n),y+=`，找到 C 点: ${f.toFixed(2)}`}const h={title:y,xaxis:{title:"x 轴",range:[-4.5,4.5]},yaxis:{title:"y 轴",range:[-30,15]},autosize:!0};Plotly.newPlot(t,v,h,{responsive:!0})};e.addEventListener("input",i),a.addEventListener("input",i),i()}
+    const plotDiv = document.getElementById('mvt-plot'), aSlider = document.getElementById('mvt-a'), bSlider = document.getElementById('mvt-b'), aDisplay = document.getElementById('mvt-a-display'), bDisplay = document.getElementById('mvt-b-display');
+    const xs = Array.from({ length: 101 }, (_, i) => -4 + 0.08 * i);
+    let f, yCurve, yRange;
+    const updatePlot = () => {
+        const a = parseFloat(aSlider.value), b = parseFloat(bSlider.value);
+        aDisplay.textContent = `a = ${a.toFixed(1)}`;
+        bDisplay.textContent = `b = ${b.toFixed(1)}`;
+        const fa = f(a), fb = f(b), slope = (fb - fa) / (b - a);
+        const c = NumericalCalculus.findRoots(x => NumericalCalculus.derivative(f, x) - slope, a, b, 200).find(x => x > a && x < b);
+        const curve = { x: xs, y: yCurve, mode: 'lines', name: '函数 f(x)', line: { color: 'rgba(0, 0, 170, 0.8)', width: 3 } };
+        const secant = { x: [a, b], y: [fa, fb], mode: 'lines', name: '割线', line: { color: 'rgba(0, 150, 0, 0.8)', width: 2 } };
+        const traces = [curve, secant];
+        let title = `微分中值定理: 割线斜率 = ${slope.toFixed(2)}`;
+        if (c !== undefined) {
+            const fc = f(c), tangentX = [-4, 4];
+            traces.push(
+                { x: tangentX, y: tangentX.map(x => fc + slope * (x - c)), mode: 'lines', name: '平行切线 (c)', line: { color: 'var(--secondary-color)', dash: 'dash', width: 2 } },
+                { x: [c], y: [fc], mode: 'markers', name: `C (${c.toFixed(2)})`, marker: { size: 10, color: 'var(--secondary-color)' } }
+            );
+            title += `，找到 C 点: ${c.toFixed(2)}`;
+        }
+        const layout = { title, xaxis: { title: 'x 轴', range: [-4.5, 4.5] }, yaxis: { title: 'y 轴', range: yRange }, autosize: true };
+        Plotly.newPlot(plotDiv, traces, layout, { responsive: true });
+    };
+    bindFunctionInput('mvt-fn', fn => {
+        f = fn;
+        yCurve = sampleFunction(f, xs);
+        yRange = plotRange(yCurve);
+        updatePlot();
+    });
+    aSlider.addEventListener('input', updatePlot);
+    bSlider.addEventListener('input', updatePlot);
+}
 function initDerivativeChallengePlot() {
     Plotly.newPlot('deriv-challenge-plot',[{x:Array.from({length:101},(t,e)=>-.5+3*e/100),y:Array.from({length:101},(t,e)=>Math.sin(-.5+3*e/100)),mode:'lines',name:'y = sin(x)',line:{color:'blue'}},{x:[-1.5,1.5],y:[-1.5,1.5],mode:'lines',name:'y = x',line:{color:'orange',dash:'dash'}}],{title:'洛必达法则几何意义：y=sin(x) 与 y=x 在原点附近',xaxis:{range:[-1.5,1.5]},yaxis:{range:[-1.5,1.5],scaleanchor:"x",scaleratio:1},autosize:true},{responsive:true})}
 function initLimitsPlot() {
-    const t=document.getElementById("limit-plot"),e=document.getElementById("epsilon-slider"),o=document.getElementById("epsilon-display"),a=document.getElementById("delta-display"),n=t=>t*t-t+2,l=2,d=4,i=t=>{if(9-4*t<0)return 0;const e=Math.sqrt(9+4*t),o=Math.sqrt(9-4*t);return Math.min((1+e)/2-l,l-(1+o)/2)};const s=()=>{const r=parseFloat(e.value);o.textContent=`ε = ${r.toFixed(2)}`;const c=i(r);a.textContent=`对于给定的 ε, 找到的 δ ≈ ${c.toFixed(3)}`;const p=Array.from({length:201},(t,e)=>l-2+.02*e),u=p.map(n),m=[];m.push({x:p,y:u,mode:"lines",name:"f(x)",line:{color:"var(--primary-color)",width:3}}),m.push({x:[l-2,l+2],y:[d+r,d+r],mode:"lines",line:{color:"rgba(204,0,0,0.4)",dash:"dash"}}),m.push({x:[l-2,l+2],y:[d-r,d-r],mode:"lines",line:{color:"rgba(204,0,0,0.4)",dash:"dash"},fill:"tonexty",fillcolor:"rgba(255, 204, 204, 0.3)"}),c>0&&(m.push({x:[l-c,l-c],y:[0,8],mode:"lines",line:{color:"rgba(0,0,204,0.4)",dash:"dash"}}),m.push({x:[l+c,l+c],y:[0,8],mode:"lines",line:{color:"rgba(0,0,204,0.4)",dash:"dash"},fill:"tonexty",fillcolor:"rgba(204, 204, 255, 0.3)"})),m.push({x:[l],y:[d],mode:"markers",name:`(c, L) = (${l}, ${d})`,marker:{size:12,color:"var(--secondary-color)"}});const f={title:`ε-δ 定义: |x-2|<${c.toFixed(3)} ⇒ |f(x)-4|<${r.toFixed(2)}`,xaxis:{title:"x 轴",range:[l-1.5,l+1.5]},yaxis:{title:"y 轴",range:[d-2.5,d+2.5]},showlegend:!1};Plotly.newPlot(t,m,f,{responsive:!0})};e.addEventListener("input",s),s()}
+    const plotDiv = document.getElementById('limit-plot'), epsilonSlider = document.getElementById('epsilon-slider'), epsilonDisplay = document.getElementById('epsilon-display');
+    const deltaDisplay = document.getElementById('delta-display'), pointInput = document.getElementById('limit-point'), directionSelect = document.getElementById('limit-direction');
+    const resultDiv = document.getElementById('limit-result');
+    const E = LimitEvaluator, halfWidth = 2;
+    let f, source, c, result = null;
+
+    const showResult = () => {
+        const ast = MathExpression.parse(source), body = MathExpression.toLatex(ast);
+        const head = `${E.limitLatex(c, directionSelect.value)} ${ast.type === 'binary' && '+-'.includes(ast.op) ? `\\left(${body}\\right)` : body}`;
+        const valueOf = r => r.kind === 'infinite' ? E.valueLatex(r.value) : E.valueLatex(r.value, r.method === 'richardson');
+        let html;
+        if (result.kind === 'none') {
+            const sides = result.sides.filter(r => r.kind === 'finite' || r.kind === 'infinite')
+                .map(r => `${E.limitLatex(c, r.side > 0 ? 'right' : 'left')} f(x) = ${valueOf(r)}`);
+            html = `<div data-katex="${head} \\text{ 不存在}"></div><p>原因：${result.reason}。</p>` +
+                (sides.length ? `<div data-katex="${sides.join(',\\quad ')}"></div>` : '');
+        } else {
+            const relation = result.kind === 'finite' && result.method === 'richardson' ? '\\approx' : '=';
+            html = `<div data-katex="${head} ${relation} ${valueOf(result)}"></div><p>方法：${E.METHOD_NAMES[result.method]}</p>` +
+                result.steps.map(step => `<div data-katex="${step.form} \\text{ 型：}\\; ${step.latex}"></div>`).join('');
+        }
+        resultDiv.innerHTML = html;
+        renderAllKatex();
+    };
+
+    const updatePlot = () => {
+        const epsilon = parseFloat(epsilonSlider.value);
+        epsilonDisplay.textContent = `ε = ${epsilon.toFixed(2)}`;
+        if (!f || c === undefined) return;
+        const atInfinity = !isFinite(c), sign = Math.sign(c);
+        const limit = result && result.kind === 'finite' ? result.value : null;
+        const sides = directionSelect.value === 'both' ? [-1, 1] : [directionSelect.value === 'right' ? 1 : -1];
+        const delta = limit === null ? null : E.findDelta(f, c, limit, epsilon, atInfinity ? [1] : sides, atInfinity ? 1 : halfWidth);
+
+        // At ±∞ the picture is the ε-N definition: |f(x) - L| < ε for every x beyond N = 1/δ.
+        const N = atInfinity && delta ? 1 / delta : null;
+        const [lo, hi] = atInfinity ? (sign > 0 ? [0, Math.min(1e6, Math.max(20, 2 * (N || 10)))] : [-Math.min(1e6, Math.max(20, 2 * (N || 10))), 0]) : [c - halfWidth, c + halfWidth];
+        const xs = Array.from({ length: 401 }, (_, i) => lo + (hi - lo) * i / 400);
+        const ys = sampleFunction(f, xs);
+        const traces = [{ x: xs, y: ys, mode: 'lines', name: 'f(x)', line: { color: 'var(--primary-color)', width: 3 } }];
+        if (limit === null) {
+            deltaDisplay.textContent = '极限不是有限值，无法构造 δ。';
+            const title = !result ? '无法计算极限' : result.kind === 'infinite' ? '函数值无界增大：极限为无穷' : '极限不存在';
+            Plotly.newPlot(plotDiv, traces, { title, xaxis: { title: 'x 轴', range: [lo, hi] }, yaxis: { title: 'y 轴', range: plotRange(ys) }, showlegend: false }, { responsive: true });
+            return;
+        }
+
+        const yRange = [limit - 2.5, limit + 2.5], fmt = v => parseFloat(v.toPrecision(4));
+        traces.push(
+            { x: [lo, hi], y: [limit + epsilon, limit + epsilon], mode: 'lines', line: { color: 'rgba(204,0,0,0.4)', dash: 'dash' } },
+            { x: [lo, hi], y: [limit - epsilon, limit - epsilon], mode: 'lines', line: { color: 'rgba(204,0,0,0.4)', dash: 'dash' }, fill: 'tonexty', fillcolor: 'rgba(255, 204, 204, 0.3)' }
+        );
+        const band = (a, b) => traces.push(
+            { x: [a, a], y: yRange, mode: 'lines', line: { color: 'rgba(0,0,204,0.4)', dash: 'dash' } },
+            { x: [b, b], y: yRange, mode: 'lines', line: { color: 'rgba(0,0,204,0.4)', dash: 'dash' }, fill: 'tonextx', fillcolor: 'rgba(204, 204, 255, 0.3)' }
+        );
+        let title;
+        if (atInfinity) {
+            if (N) band(sign * N, sign > 0 ? hi : lo);
+            title = N ? `ε-N 定义: ${sign > 0 ? `x > ${fmt(N)}` : `x < ${fmt(-N)}`} ⇒ |f(x)-${fmt(limit)}| < ${epsilon.toFixed(2)}` : '在采样范围内未找到 N';
+            deltaDisplay.textContent = N ? `对于给定的 ε, 找到的 N ≈ ${fmt(N)}` : '在采样范围内未找到满足条件的 N。';
+        } else {
+            if (delta > 0) band(sides.includes(-1) ? c - delta : c, sides.includes(1) ? c + delta : c);
+            traces.push({ x: [c], y: [limit], mode: 'markers', name: `(c, L) = (${fmt(c)}, ${fmt(limit)})`, marker: { size: 12, color: 'white', line: { color: 'var(--secondary-color)', width: 2 } } });
+            const distance = c === 0 ? '|x|' : `|x${c < 0 ? '+' : '-'}${fmt(Math.abs(c))}|`;
+            title = delta > 0 ? `ε-δ 定义: 0<${distance}<${fmt(delta)} ⇒ |f(x)-${fmt(limit)}|<${epsilon.toFixed(2)}` : '在采样精度内未找到 δ';
+            deltaDisplay.textContent = delta === 0 ? '在采样精度内未找到满足条件的 δ。' : delta === halfWidth ? `可视区间内处处满足，δ ≥ ${halfWidth}` : `对于给定的 ε, 找到的 δ ≈ ${fmt(delta)}`;
+        }
+        const layout = { title, xaxis: { title: 'x 轴', range: [lo, hi] }, yaxis: { title: 'y 轴', range: yRange }, showlegend: false };
+        Plotly.newPlot(plotDiv, traces, layout, { responsive: true });
+    };
+
+    const evaluateLimit = () => {
+        if (!f) return;
+        result = null;
+        try {
+            c = E.parsePoint(pointInput.value);
+            pointInput.classList.remove('input-error');
+        } catch (e) {
+            pointInput.classList.add('input-error');
+            resultDiv.textContent = `错误：${e.message}`;
+            return;
+        }
+        try {
+            result = E.evaluate(source, c, directionSelect.value);
+            showResult();
+        } catch (e) {
+            resultDiv.textContent = `错误：${e.message}`;
+        }
+        updatePlot();
+    };
+    bindFunctionInput('limit-fn', (fn, text) => {
+        f = fn;
+        source = text;
+        evaluateLimit();
+    });
+    pointInput.addEventListener('input', evaluateLimit);
+    directionSelect.addEventListener('change', evaluateLimit);
+    epsilonSlider.addEventListener('input', updatePlot);
+}
 function initDifferentialPlot() {
-    const t=document.getElementById("differential-plot"),e=document.getElementById("delta-x"),o=document.getElementById("dx-value-display"),l=1,a=f_deriv(l),n=fPrime_deriv(l);const d=()=>{const i=parseFloat(e.value);o.textContent=`dx = ${i.toFixed(1)}`;const r=l+i,s=f_deriv(r),c=a+n*i,p=s-a,u=c-a,m={x:x_vals_default,y:y_vals_deriv,mode:"lines",name:"函数 f(x)",line:{color:"rgba(0, 0, 170, 0.8)",width:3}},f=[l-2,l+i+.5],g=f.map(t=>a+n*(t-l)),x={x:f,y:g,mode:"lines",name:"切线",line:{color:"var(--primary-color)",dash:"dot",width:2}},v={x:[r,r],y:[c,s],mode:"lines",name:`Δy - dy (误差) = ${(p-u).toFixed(3)}`,line:{color:"var(--secondary-color)",width:3}},y={x:[r,r],y:[a,c],mode:"lines",name:`dy (微分) = ${u.toFixed(2)}`,line:{color:"rgba(0, 150, 0, 0.8)",width:3,dash:"dash"}},h={x:[l,r],y:[a,s],mode:"markers",name:"P, Q",marker:{size:10,color:"black"}},w={title:`微分线性近似 (dx=${i.toFixed(1)}), Δy≈dy`,xaxis:{title:"x 轴",range:[-1,5]},yaxis:{title:"y 轴",range:[0,8],scaleanchor:"x",scaleratio:1},hovermode:"closest",margin:{l:50,r:50,t:50,b:50},autosize:!0};Plotly.newPlot(t,[m,x,y,v,h],w,{responsive:!0})};e.addEventListener("input",d),d()}
+    const plotDiv = document.getElementById('differential-plot'), dxSlider = document.getElementById('delta-x'), dxDisplay = document.getElementById('dx-value-display');
+    const x0 = 1, xs = Array.from({ length: 121 }, (_, i) => -1 + 0.05 * i);
+    let f, yCurve, yRange;
+    const updatePlot = () => {
+        const dx = parseFloat(dxSlider.value);
+        dxDisplay.textContent = `dx = ${dx.toFixed(1)}`;
+        const y0 = f(x0), slope = NumericalCalculus.derivative(f, x0);
+        const x1 = x0 + dx, y1 = f(x1), yTangent = y0 + slope * dx, deltaY = y1 - y0, dy = yTangent - y0;
+        const curve = { x: xs, y: yCurve, mode: 'lines', name: '函数 f(x)', line: { color: 'rgba(0, 0, 170, 0.8)', width: 3 } };
+        const tangentX = [x0 - 2, x1 + 0.5];
+        const tangent = { x: tangentX, y: tangentX.map(x => y0 + slope * (x - x0)), mode: 'lines', name: '切线', line: { color: 'var(--primary-color)', dash: 'dot', width: 2 } };
+        const errorLine = { x: [x1, x1], y: [yTangent, y1], mode: 'lines', name: `Δy - dy (误差) = ${(deltaY - dy).toFixed(3)}`, line: { color: 'var(--secondary-color)', width: 3 } };
+        const dyLine = { x: [x1, x1], y: [y0, yTangent], mode: 'lines', name: `dy (微分) = ${dy.toFixed(2)}`, line: { color: 'rgba(0, 150, 0, 0.8)', width: 3, dash: 'dash' } };
+        const points = { x: [x0, x1], y: [y0, y1], mode: 'markers', name: 'P, Q', marker: { size: 10, color: 'black' } };
+        const layout = { title: `微分线性近似 (dx=${dx.toFixed(1)}), Δy≈dy`, xaxis: { title: 'x 轴', range: [-1, 5] }, yaxis: { title: 'y 轴', range: yRange }, hovermode: 'closest', margin: { l: 50, r: 50, t: 50, b: 50 }, autosize: true };
+        Plotly.newPlot(plotDiv, [curve, tangent, dyLine, errorLine, points], layout, { responsive: true });
+    };
+    bindFunctionInput('differential-fn', fn => {
+        f = fn;
+        yCurve = sampleFunction(f, xs);
+        yRange = plotRange(yCurve);
+        updatePlot();
+    });
+    dxSlider.addEventListener('input', updatePlot);
+}
 function initTaylorPlot() {
-    const t=document.getElementById("taylor-plot"),e=document.getElementById("taylor-n"),o=document.getElementById("taylor-n-display"),a=Array.from({length:201},(t,e)=>-5+.05*e),n=a.map(f_taylor);const l=()=>{const d=parseInt(e.value);o.textContent=`n = ${d} (${d}阶)`;const i=a.map(t=>taylorPolynomial(t,d)),r={x:a,y:n,mode:"lines",name:"f(x) = sin(x)",line:{color:"var(--secondary-color)",width:3}},s={x:a,y:i,mode:"lines",name:`P${d}(x) 泰勒多项式`,line:{color:"var(--primary-color)",dash:"dot",width:2}},c={title:`泰勒多项式近似 f(x)=sin(x) (n=${d})`,xaxis:{title:"x 轴",range:[-5,5]},yaxis:{title:"y 轴",range:[-2,2]},autosize:!0};Plotly.newPlot(t,[r,s],c,{responsive:!0})};e.addEventListener("input",l),l()}
+    const plotDiv = document.getElementById('taylor-plot'), errorPlotDiv = document.getElementById('taylor-error-plot');
+    const nSlider = document.getElementById('taylor-n'), nDisplay = document.getElementById('taylor-n-display'), centerInput = document.getElementById('taylor-a');
+    const polynomialDiv = document.getElementById('taylor-polynomial'), errorDisplay = document.getElementById('taylor-error-display');
+    const xs = Array.from({ length: 201 }, (_, i) => -5 + 0.05 * i);
+    let f, ast, fText, yCurve, yRange;
+    const showError = message => {
+        polynomialDiv.textContent = `错误：${message}`;
+        errorDisplay.textContent = '';
+    };
+    // Lagrange form: |R_n(x)| <= max_{ξ between a and x} |f^(n+1)(ξ)| / (n+1)! * |x - a|^(n+1), with the max taken over the sample grid.
+    const lagrangeBound = (center, n) => {
+        const nextCoefficient = xi => {
+            try { return Math.abs(TaylorSeries.coefficients(ast, xi, n + 1)[n + 1]); } catch (e) { return Infinity; }
+        };
+        const atGrid = xs.map(nextCoefficient), atCenter = nextCoefficient(center);
+        const runningMax = new Array(xs.length).fill(Infinity);
+        let maxRight = atCenter, maxLeft = atCenter;
+        for (let i = 0; i < xs.length; i++) if (xs[i] >= center) { maxRight = Math.max(maxRight, isNaN(atGrid[i]) ? Infinity : atGrid[i]); runningMax[i] = maxRight; }
+        for (let i = xs.length - 1; i >= 0; i--) if (xs[i] < center) { maxLeft = Math.max(maxLeft, isNaN(atGrid[i]) ? Infinity : atGrid[i]); runningMax[i] = maxLeft; }
+        return xs.map((x, i) => runningMax[i] * Math.pow(Math.abs(x - center), n + 1));
+    };
+    const updatePlot = () => {
+        const n = parseInt(nSlider.value);
+        nDisplay.textContent = `n = ${n} (${n}阶)`;
+        let center, coefficients;
+        try {
+            center = MathExpression.evaluate(centerInput.value);
+            if (!isFinite(center)) throw new Error('展开中心 a 必须是有限实数。');
+            centerInput.classList.remove('input-error');
+        } catch (e) {
+            centerInput.classList.add('input-error');
+            showError(e.message);
+            return;
+        }
+        try {
+            coefficients = TaylorSeries.coefficients(ast, center, n);
+        } catch (e) {
+            showError(e.message);
+            return;
+        }
+        const polynomial = TaylorSeries.polynomial(coefficients, center);
+        const pValues = sampleFunction(polynomial, xs);
+        const remainder = xs.map((x, i) => (yCurve[i] === null || pValues[i] === null) ? null : Math.abs(yCurve[i] - pValues[i]));
+        const bound = lagrangeBound(center, n);
+        const centerText = parseFloat(center.toFixed(4));
+
+        const curve = { x: xs, y: yCurve, mode: 'lines', name: `f(x) = ${fText}`, line: { color: 'var(--secondary-color)', width: 3 } };
+        const approximation = { x: xs, y: pValues, mode: 'lines', name: `P${n}(x) 泰勒多项式`, line: { color: 'var(--primary-color)', dash: 'dot', width: 2 } };
+        const centerPoint = { x: [center], y: [f(center)], mode: 'markers', name: `展开中心 a = ${centerText}`, marker: { size: 9, color: 'black' } };
+        const layout = { title: `泰勒多项式近似 f(x)=${fText}, a=${centerText} (n=${n})`, xaxis: { title: 'x 轴', range: [-5, 5] }, yaxis: { title: 'y 轴', range: yRange }, autosize: true };
+        Plotly.newPlot(plotDiv, [curve, approximation, centerPoint], layout, { responsive: true });
+
+        // Log axes cannot show zeros, so exact points (e.g. x = a) become gaps.
+        const positive = values => values.map(v => (v !== null && v > 0 && isFinite(v)) ? v : null);
+        const remainderTrace = { x: xs, y: positive(remainder), mode: 'lines', name: `|R${n}(x)| 实际误差`, line: { color: 'var(--secondary-color)', width: 2 } };
+        const boundTrace = { x: xs, y: positive(bound), mode: 'lines', name: '拉格朗日误差上界', line: { color: 'rgba(0, 150, 0, 0.8)', dash: 'dash', width: 2 } };
+        const errorLayout = { title: `余项 R${n}(x) = f(x) - P${n}(x) 与拉格朗日上界`, xaxis: { title: 'x 轴', range: [-5, 5] }, yaxis: { title: '|误差| (对数坐标)', type: 'log', exponentformat: 'power' }, autosize: true };
+        Plotly.newPlot(errorPlotDiv, [remainderTrace, boundTrace], errorLayout, { responsive: true });
+
+        katex.render(`P_{${n}}(x) = ${TaylorSeries.toLatex(coefficients, center)}`, polynomialDiv, { throwOnError: false, displayMode: true });
+        const finiteMax = values => Math.max(...values.filter(v => v !== null && isFinite(v)), 0);
+        errorDisplay.textContent = `可视区间 [-5, 5] 上：最大实际误差 ≈ ${finiteMax(remainder).toExponential(3)}，拉格朗日上界 ≈ ${finiteMax(bound).toExponential(3)}`;
+    };
+    bindFunctionInput('taylor-fn', (fn, text) => {
+        f = fn;
+        ast = MathExpression.parse(text);
+        fText = text;
+        yCurve = sampleFunction(f, xs);
+        yRange = plotRange(yCurve, 0.5);
+        updatePlot();
+    });
+    nSlider.addEventListener('input', updatePlot);
+    centerInput.addEventListener('input', updatePlot);
+}
 function initIntegralPlot() {
-    const t=document.getElementById("integral-plot"),e=document.getElementById("num-rectangles"),o=document.getElementById("n-value-display"),a=Array.from({length:101},(t,e)=>integral_a-1+(integral_b-integral_a+2)*e/100),n=a.map(f_integral);const l=()=>{const d=parseInt(e.value);o.textContent=`n = ${d}`;const i=(integral_b-integral_a)/d;let r=0;const s=[],c=[];for(let t=0;t<d;t++){const e=integral_a+t*i,o=integral_a+(t+1)*i,a=f_integral(e+i/2);s.push(e,e,o,o,e),c.push(0,a,a,0,0),r+=a*i}const p={x:s,y:c,type:"scatter",fill:"toself",mode:"lines",name:`黎曼和 (n=${d})`,fillcolor:"rgba(173, 216, 230, 0.7)",line:{color:"rgba(0, 0, 0, 0.4)",width:.5}},u={x:a,y:n,mode:"lines",name:"函数 f(x)",line:{color:"var(--secondary-color)",width:3}},m={title:`定积分 (面积) 近似 (n=${d}, 近似值: ${r.toFixed(3)})`,xaxis:{title:"x 轴",range:[integral_a-1,integral_b+1]},yaxis:{title:"y 轴",range:[0,6]},margin:{l:50,r:50,t:50,b:50},showlegend:!1,autosize:!0};Plotly.newPlot(t,[p,u],m,{responsive:!0})};e.addEventListener("input",l),l()}
+    const plotDiv = document.getElementById('integral-plot'), convergenceDiv = document.getElementById('integral-convergence-plot');
+    const nSlider = document.getElementById('num-rectangles'), nDisplay = document.getElementById('n-value-display'), ruleSelect = document.getElementById('integral-rule');
+    const aInput = document.getElementById('integral-a'), bInput = document.getElementById('integral-b'), resultDiv = document.getElementById('integral-result');
+    const rules = NumericalCalculus.QUADRATURE_RULES;
+    const polynomialRules = ['left', 'right', 'midpoint', 'trapezoid', 'simpson'];
+    // reference is null when the Gauss–Kronrod estimate failed; referenceWarning then says why.
+    let f, fText, a, b, reference, referenceWarning, xs, yCurve, yRange, convergence;
+
+    const readBounds = () => {
+        try {
+            const lo = MathExpression.evaluate(aInput.value), hi = MathExpression.evaluate(bInput.value);
+            if (!isFinite(lo) || !isFinite(hi)) throw new Error('积分上下限必须是有限实数。');
+            if (lo >= hi) throw new Error('积分下限 a 必须小于上限 b。');
+            [aInput, bInput].forEach(input => input.classList.remove('input-error'));
+            return [lo, hi];
+        } catch (e) {
+            [aInput, bInput].forEach(input => input.classList.add('input-error'));
+            resultDiv.textContent = `错误：${e.message}`;
+            return null;
+        }
+    };
+    // Error against the reference for every rule over a range of resolutions, keyed by evaluation count.
+    const computeConvergence = () => {
+        const resolutions = {
+            'gauss-legendre': Array.from({ length: 30 }, (_, i) => i + 1),
+            'adaptive-simpson': Array.from({ length: 14 }, (_, i) => 4 * (i + 1))
+        };
+        const doublings = Array.from({ length: 12 }, (_, i) => 2 ** (i + 1));
+        return Object.keys(rules).map(rule => {
+            const points = (resolutions[rule] || doublings).map(n => {
+                const q = NumericalCalculus.quadrature(f, a, b, n, rule);
+                return { evaluations: q.evaluations, error: Math.abs(q.value - reference) };
+            }).filter(p => p.error > 0 && isFinite(p.error));
+            // Observed order: least-squares slope of log(error) vs log(evaluations) above the rounding floor.
+            let order = null;
+            const fit = points.filter(p => p.error > 1e-12 * Math.max(1, Math.abs(reference)));
+            if (polynomialRules.includes(rule) && fit.length >= 3) {
+                const lx = fit.map(p => Math.log(p.evaluations)), ly = fit.map(p => Math.log(p.error));
+                const mx = lx.reduce((s, v) => s + v, 0) / lx.length, my = ly.reduce((s, v) => s + v, 0) / ly.length;
+                order = -lx.reduce((s, v, i) => s + (v - mx) * (ly[i] - my), 0) / lx.reduce((s, v) => s + (v - mx) ** 2, 0);
+            }
+            return { rule, points, order };
+        });
+    };
+    // The plot only changes with f and [a, b]; the selected rule is merely emphasized.
+    const emphasis = rule => rule === ruleSelect.value ? { width: 4, size: 7, opacity: 1 } : { width: 1.5, size: 4, opacity: 0.6 };
+    const drawConvergence = () => {
+        if (!convergence) {
+            Plotly.newPlot(convergenceDiv, [], { title: '没有可靠的参考值，无法绘制误差收敛图', autosize: true }, { responsive: true });
+            return;
+        }
+        const traces = convergence.map(({ rule, points, order }) => ({
+            x: points.map(p => p.evaluations), y: points.map(p => p.error), mode: 'lines+markers',
+            name: rules[rule] + (order !== null ? ` (阶 ≈ ${order.toFixed(1)})` : ''),
+            line: { width: emphasis(rule).width }, marker: { size: emphasis(rule).size }, opacity: emphasis(rule).opacity
+        }));
+        const layout = { title: '误差随函数求值次数的收敛 (对数-对数坐标)', xaxis: { title: '函数求值次数', type: 'log' }, yaxis: { title: '绝对误差', type: 'log', exponentformat: 'power' }, autosize: true };
+        Plotly.newPlot(convergenceDiv, traces, layout, { responsive: true });
+    };
+    const highlightRule = () => {
+        const styles = convergence.map(({ rule }) => emphasis(rule));
+        Plotly.restyle(convergenceDiv, { 'line.width': styles.map(s => s.width), 'marker.size': styles.map(s => s.size), opacity: styles.map(s => s.opacity) });
+    };
+    const updatePlot = () => {
+        const rule = ruleSelect.value, n = parseInt(nSlider.value);
+        const q = NumericalCalculus.quadrature(f, a, b, n, rule);
+        if (rule === 'gauss-legendre') nDisplay.textContent = `节点数 n = ${n}`;
+        else if (rule === 'adaptive-simpson') nDisplay.textContent = `精度等级 n = ${n} (容差 ≈ ${q.tolerance.toExponential(1)})`;
+        else if (q.n !== n) nDisplay.textContent = `n = ${n} → ${q.n} (辛普森法则需偶数个子区间)`;
+        else nDisplay.textContent = `n = ${n}`;
+
+        const outlineX = [], outlineY = [];
+        q.shapes.forEach(shape => { outlineX.push(...shape.x); outlineY.push(...shape.y); });
+        const shapes = { x: outlineX, y: outlineY, type: 'scatter', fill: 'toself', mode: 'lines', name: rules[rule], fillcolor: 'rgba(173, 216, 230, 0.7)', line: { color: 'rgba(0, 0, 0, 0.4)', width: 0.5 } };
+        const samples = { x: q.samples.map(p => p.x), y: q.samples.map(p => p.y), mode: 'markers', name: '采样点', marker: { size: 5, color: 'rgba(0, 0, 0, 0.6)' } };
+        const curve = { x: xs, y: yCurve, mode: 'lines', name: '函数 f(x)', line: { color: 'var(--secondary-color)', width: 3 } };
+        const error = reference === null ? '' : `, 误差: ${Math.abs(q.value - reference).toExponential(2)}`;
+        const layout = { title: `${rules[rule]} (近似值: ${q.value.toFixed(6)}${error})`, xaxis: { title: 'x 轴', range: [xs[0], xs[xs.length - 1]] }, yaxis: { title: 'y 轴', range: yRange }, margin: { l: 50, r: 50, t: 50, b: 50 }, showlegend: false, autosize: true };
+        Plotly.newPlot(plotDiv, [shapes, samples, curve], layout, { responsive: true });
+
+        const comparison = reference === null ? referenceWarning : `参考值 ≈ ${reference.toPrecision(14)}<br>绝对误差 = ${Math.abs(q.value - reference).toExponential(3)}`;
+        resultDiv.innerHTML = `近似值 = <strong>${q.value.toPrecision(12)}</strong><br>${comparison}<br>函数求值次数 = ${q.evaluations}`;
+        const sum = NumericalCalculus.QUADRATURE_LATEX[rule], tex = MathExpression.toLatex, number = MathExpression.numberToLatex;
+        const parameters = rule === 'adaptive-simpson' ? `\\text{${rules[rule]}}` : `n = ${q.n}${rule === 'gauss-legendre' ? '' : `,\\ \\Delta x = ${number((b - a) / q.n)}`}`;
+        const ast = MathExpression.parse(fText), integrand = ast.type === 'binary' && '+-'.includes(ast.op) ? `\\left(${tex(ast)}\\right)` : tex(ast);
+        resultDiv.dataset.exportLatex = `\\int_{${tex(aInput.value)}}^{${tex(bInput.value)}} ${integrand} \\, dx \\approx ${sum ? `${sum} = ` : ''}${number(q.value)} \\quad (${parameters})`;
+    };
+    const refresh = () => {
+        if (!f) return;
+        const bounds = readBounds();
+        if (!bounds) return;
+        [a, b] = bounds;
+        const pad = (b - a) * 0.2;
+        xs = Array.from({ length: 201 }, (_, i) => a - pad + (b - a + 2 * pad) * i / 200);
+        yCurve = sampleFunction(f, xs);
+        yRange = plotRange(yCurve.concat([0]));
+        const estimate = NumericalCalculus.integrateWithError(f, a, b);
+        reference = estimate.converged ? estimate.value : null;
+        referenceWarning = isFinite(estimate.value)
+            ? `⚠ 高精度参考值未收敛 (估计误差 ≈ ${estimate.error.toExponential(1)})，因此不显示误差。`
+            : '⚠ 被积函数在积分区间内取到非有限值 (可能有奇点)，无法得到参考值，因此不显示误差。';
+        convergence = reference === null ? null : computeConvergence();
+        updatePlot();
+        drawConvergence();
+    };
+    bindFunctionInput('integral-fn', (fn, text) => {
+        f = fn;
+        fText = text;
+        refresh();
+    });
+    aInput.addEventListener('change', refresh);
+    bInput.addEventListener('change', refresh);
+    nSlider.addEventListener('input', updatePlot);
+    ruleSelect.addEventListener('change', () => {
+        updatePlot();
+        if (convergence) highlightRule();
+    });
+}
 function initMVTIPlot() {
-    const t=document.getElementById("mvti-plot"),e=1,o=4,a=Array.from({length:101},(t,e)=>0+.06*e),n=a.map(f_integral),l=t=>2*t+4/Math.PI*Math.sin(Math.PI*t/4),d=l(o)-l(e),i=d/(o-e);const r={x:a,y:n,mode:"lines",name:"函数 f(x)",line:{color:"var(--secondary-color)",width:3}},s={x:[e,o],y:[i,i],mode:"lines",name:"平均值",line:{color:"var(--primary-color)",dash:"dot",width:2}},c={x:[e,e,o,o,e],y:[0,i,i,0,0],fill:"toself",type:"scatter",mode:"lines",fillcolor:"rgba(0, 150, 0, 0.4)",name:"平均值矩形"},p={title:`积分中值定理演示 (f_avg = ${i.toFixed(3)})`,xaxis:{title:"x 轴",range:[0,5]},yaxis:{title:"y 轴",range:[0,4]},showlegend:!1,autosize:!0};document.getElementById("mvti-avg-display").textContent=`f_avg: ${i.toFixed(3)}`,Plotly.newPlot(t,[c,r,s],p,{responsive:!0})}
+    const plotDiv = document.getElementById('mvti-plot'), avgDisplay = document.getElementById('mvti-avg-display');
+    const a = 1, b = 4, xs = Array.from({ length: 101 }, (_, i) => 0.05 * i);
+    bindFunctionInput('mvti-fn', f => {
+        const average = NumericalCalculus.integrate(f, a, b) / (b - a);
+        const yCurve = sampleFunction(f, xs);
+        const curve = { x: xs, y: yCurve, mode: 'lines', name: '函数 f(x)', line: { color: 'var(--secondary-color)', width: 3 } };
+        const averageLine = { x: [a, b], y: [average, average], mode: 'lines', name: '平均值', line: { color: 'var(--primary-color)', dash: 'dot', width: 2 } };
+        const averageRect = { x: [a, a, b, b, a], y: [0, average, average, 0, 0], fill: 'toself', type: 'scatter', mode: 'lines', fillcolor: 'rgba(0, 150, 0, 0.4)', name: '平均值矩形' };
+        const layout = { title: `积分中值定理演示 (f_avg = ${average.toFixed(3)})`, xaxis: { title: 'x 轴', range: [0, 5] }, yaxis: { title: 'y 轴', range: plotRange(yCurve.concat([0])) }, showlegend: false, autosize: true };
+        avgDisplay.textContent = `f_avg: ${average.toFixed(3)}`;
+        Plotly.newPlot(plotDiv, [averageRect, curve, averageLine], layout, { responsive: true });
+    });
+}
+
 function initPolyfit() {
-    const t=document.getElementById("polyfit-terms"),e=document.getElementById("polyfit-instruction"),o=Array.from({length:6},(t,e)=>document.getElementById(`poly-a${e+1}`)),a=Array.from({length:6},(t,e)=>document.getElementById(`wrapper-a${e+1}`));const n=()=>{const o=parseInt(t.value);a.forEach((t,e)=>{t.style.display=e<o?"block":"none"});const n=Array.from({length:o},(t,e)=>`a_{${e+1}}`).join(", ");e.innerHTML=`请输入数列的前 ${o} 项 (<span data-latex-inline="${n}"></span>):`,renderAllKatex(),calculatePolyfit()};t.addEventListener("change",n),o.forEach(t=>t.addEventListener("input",calculatePolyfit)),n()}
-function generalizedInterpolate(t){const e=t.length;if(e<2)return{formula:"a_n = "+(t[0]||"..."),polynomialFn:e=>t[0]||0};const o=t.map((t,e)=>({x:e+1,y:t})),a=o.map(t=>t.y);for(let t=1;t<e;t++)for(let n=e-1;n>=t;n--)a[n]=(a[n]-a[n-1])/(o[n].x-o[n-t].x);const n=t=>{let e=a[0],n=1;for(let l=1;l<o.length;l++)n*=t-o[l-1].x,e+=n*a[l];return e};let l="a_n = "+a[0].toFixed(3);for(let t=1;t<e;t++){const e=a[t];if(Math.abs(e)<1e-9)continue;l+=(e>0?" + ":" - ")+Math.abs(e).toFixed(3);for(let o=0;o<t;o++)l+=`(n - ${o+1})`}return{formula:l,polynomialFn:n}}
-window.calculatePolyfit=function(){const t=parseInt(document.getElementById("polyfit-terms").value),e=[];for(let o=1;o<=t;o++){const t=parseFloat(document.getElementById(`poly-a${o}`).value);if(isNaN(t))return void(document.getElementById("polyfitFormulaOutput").textContent="请确保所有输入均为数字。");e.push(t)}const o=generalizedInterpolate(e);katex.render(o.formula,document.getElementById("polyfitFormulaOutput"),{throwOnError:!1,displayMode:!0,trust:!0});const a=[];for(let n=1;n<=5;n++)a.push(Math.round(o.polynomialFn(t+n)));const n=`a_${t+1} 至 a_${t+5}：${a.join(", ")}`;document.getElementById("polyfitPredictionsOutput").textContent=n};
+    const termsSelect = document.getElementById('polyfit-terms');
+    const instruction = document.getElementById('polyfit-instruction');
+    const wrappers = Array.from(document.querySelectorAll('.polyfit-input-wrapper'));
+    const update = () => {
+        const count = parseInt(termsSelect.value);
+        wrappers.forEach((wrapper, i) => { wrapper.style.display = i < count ? 'block' : 'none'; });
+        instruction.innerHTML = `请输入数列的前 ${count} 项 (<span data-latex-inline="a_1, a_2, \\dots, a_{${count}}"></span>，可输入分数):`;
+        renderAllKatex();
+        calculatePolyfit();
+    };
+    termsSelect.addEventListener('change', update);
+    wrappers.forEach(wrapper => wrapper.querySelector('input').addEventListener('input', calculatePolyfit));
+    update();
+}
+
+window.calculatePolyfit = function () {
+    const count = parseInt(document.getElementById('polyfit-terms').value);
+    const formulaOutput = document.getElementById('polyfitFormulaOutput');
+    const kindOutput = document.getElementById('polyfitPatternOutput');
+    const predictionsOutput = document.getElementById('polyfitPredictionsOutput');
+    const terms = [];
+    for (let i = 1; i <= count; i++) {
+        let value = null;
+        try { value = LinearAlgebra.fields.rational.parse(document.getElementById(`poly-a${i}`).value.trim()); } catch (e) { value = null; }
+        if (!value) {
+            formulaOutput.textContent = '请确保所有输入均为整数、小数或分数 (如 3/4)。';
+            kindOutput.textContent = predictionsOutput.textContent = '';
+            return;
+        }
+        terms.push(value);
+    }
+    const result = SequenceAnalyzer.analyze(terms);
+    kindOutput.innerHTML = `识别结果：${result.kind}${result.detail ? ` (<span data-latex-inline="${result.detail}"></span>)` : ''}`;
+    katex.render(result.formula, formulaOutput, { throwOnError: false, displayMode: true });
+    const predictions = Array.from({ length: 5 }, (_, i) => `a_{${count + i + 1}} = ${ExactRoots.fracLatex(result.next(count + i + 1))}`);
+    katex.render(predictions.join(',\\quad '), predictionsOutput, { throwOnError: false, displayMode: true });
+    renderAllKatex();
+};
+
+function initPolynomialRegression() {
+    const dataInput = document.getElementById('regression-data');
+    const degreeInput = document.getElementById('regression-degree');
+    const predictInput = document.getElementById('regression-predict');
+    const formulaDiv = document.getElementById('regression-formula');
+    const statsDiv = document.getElementById('regression-stats');
+    const tableDiv = document.getElementById('regression-residuals');
+    const modeSelect = document.getElementById('polyfit-mode');
+    const fmt = v => parseFloat(v.toPrecision(6));
+
+    // On an error the control at fault is marked and every output of the previous fit is cleared.
+    const update = () => {
+        let points, result, predictions, current = dataInput;
+        [dataInput, degreeInput, predictInput].forEach(el => el.classList.remove('input-error'));
+        try {
+            points = PolynomialRegression.parseCSV(dataInput.value);
+            if (points.length >= 2) current = degreeInput;
+            result = PolynomialRegression.fit(points, Math.max(0, parseInt(degreeInput.value) || 0));
+            current = predictInput;
+            predictions = predictInput.value.split(/[,;\s]+/).filter(s => s).map(s => {
+                const x = MathExpression.evaluate(s);
+                if (!isFinite(x)) throw new Error(`预测点 “${s}” 不是有限实数。`);
+                return { x, y: result.predict(x) };
+            });
+        } catch (e) {
+            current.classList.add('input-error');
+            formulaDiv.textContent = `错误：${e.message}`;
+            statsDiv.innerHTML = '';
+            tableDiv.innerHTML = '';
+            Plotly.newPlot('regression-plot', [], { title: '无法拟合', autosize: true }, { responsive: true });
+            Plotly.newPlot('regression-residual-plot', [], { title: '残差图', autosize: true }, { responsive: true });
+            return;
+        }
+        katex.render(PolynomialRegression.toLatex(result.coefficients), formulaDiv, { throwOnError: false, displayMode: true });
+        statsDiv.innerHTML = `<span data-latex-inline="R^2 = ${fmt(result.r2)}"></span>` +
+            (result.adjustedR2 !== null ? `，调整后 <span data-latex-inline="\\bar{R}^2 = ${fmt(result.adjustedR2)}"></span>` : '') +
+            `，均方根误差 <span data-latex-inline="\\text{RMSE} = ${fmt(result.rmse)}"></span>` +
+            (predictions.length ? `<br>预测：${predictions.map(p => `<span data-latex-inline="\\hat{y}(${fmt(p.x)}) = ${fmt(p.y)}"></span>`).join('，')}` : '');
+        tableDiv.innerHTML = `<table class="regression-table"><thead><tr><th>i</th><th>x</th><th>y</th><th>拟合值 ŷ</th><th>残差 y − ŷ</th></tr></thead><tbody>${points.map((p, i) => `<tr><td>${i + 1}</td><td>${fmt(p.x)}</td><td>${fmt(p.y)}</td><td>${fmt(result.fitted[i])}</td><td>${fmt(result.residuals[i])}</td></tr>`).join('')}</tbody></table>`;
+        renderAllKatex();
+
+        const allX = points.map(p => p.x).concat(predictions.map(p => p.x));
+        const lo = Math.min(...allX), hi = Math.max(...allX), pad = (hi - lo) * 0.1 || 1;
+        const curveX = Array.from({ length: 301 }, (_, i) => lo - pad + (hi - lo + 2 * pad) * i / 300);
+        const curveY = curveX.map(result.predict);
+        const traces = [
+            { x: curveX, y: curveY, mode: 'lines', name: '拟合曲线', line: { color: 'var(--primary-color)', width: 2 } },
+            { x: points.map(p => p.x), y: points.map(p => p.y), mode: 'markers', name: '数据点', marker: { size: 7, color: 'var(--secondary-color)' } },
+            { x: predictions.map(p => p.x), y: predictions.map(p => p.y), mode: 'markers', name: '预测值', marker: { size: 10, symbol: 'diamond', color: '#2ca02c' } }
+        ];
+        const yRange = plotRange(points.map(p => p.y).concat(predictions.map(p => p.y), curveY));
+        Plotly.newPlot('regression-plot', traces, { title: `${result.coefficients.length - 1} 次最小二乘拟合`, xaxis: { title: 'x' }, yaxis: { title: 'y', range: yRange }, autosize: true }, { responsive: true });
+        const residualTrace = { x: points.map(p => p.x), y: result.residuals, mode: 'markers', name: '残差', marker: { size: 7, color: 'var(--secondary-color)' } };
+        const stems = { x: points.flatMap(p => [p.x, p.x, null]), y: result.residuals.flatMap(r => [0, r, null]), mode: 'lines', line: { color: '#999', width: 1 }, hoverinfo: 'skip', showlegend: false };
+        Plotly.newPlot('regression-residual-plot', [stems, residualTrace], { title: '残差图', xaxis: { title: 'x' }, yaxis: { title: 'y − ŷ', zeroline: true }, showlegend: false, autosize: true }, { responsive: true });
+    };
+    const showMode = () => {
+        const regression = modeSelect.value === 'regression';
+        document.getElementById('polyfit-interpolation-panel').style.display = regression ? 'none' : 'block';
+        document.getElementById('polyfit-regression-panel').style.display = regression ? 'block' : 'none';
+        if (regression) {
+            update();
+            relayoutPlots(['regression-plot', 'regression-residual-plot']);
+        }
+    };
+    [dataInput, degreeInput, predictInput].forEach(el => el.addEventListener('input', () => { if (modeSelect.value === 'regression') update(); }));
+    modeSelect.addEventListener('change', showMode);
+    showMode();
+}
+
+function initGrapher() {
+    const plotDiv = document.getElementById('grapher-plot'), input = document.getElementById('grapher-input');
+    const errorsDiv = document.getElementById('grapher-errors'), analysisDiv = document.getElementById('grapher-analysis');
+    const rangeInputs = ['xmin', 'xmax', 'ymin', 'ymax'].map(name => document.getElementById(`grapher-${name}`));
+    const G = FunctionGrapher, fmt = v => parseFloat(v.toPrecision(6));
+    const TOGGLES = { zero: 'grapher-zeros', maximum: 'grapher-extrema', minimum: 'grapher-extrema', inflection: 'grapher-inflections', intersection: 'grapher-intersections' };
+    const MARKERS = {
+        zero: { symbol: 'circle', color: '#d62728' },
+        maximum: { symbol: 'triangle-up', color: '#2ca02c' },
+        minimum: { symbol: 'triangle-down', color: '#2ca02c' },
+        inflection: { symbol: 'diamond', color: '#9467bd' },
+        intersection: { symbol: 'x', color: '#ff7f0e' }
+    };
+    let listening = false, renderTimer = null;
+
+    const readView = () => {
+        const [x0, x1, y0, y1] = rangeInputs.map(el => MathExpression.evaluate(el.value));
+        if (![x0, x1, y0, y1].every(isFinite) || x0 >= x1 || y0 >= y1) throw new Error('视窗范围必须是有限数，且 xmin < xmax、ymin < ymax。');
+        return { x: [x0, x1], y: [y0, y1] };
+    };
+
+    const showAnalysis = (curves, points) => {
+        if (!points.length) {
+            analysisDiv.textContent = curves.some(curve => curve.kind === 'function') ? '视窗内没有找到所选类型的特征点。' : '';
+            delete analysisDiv.dataset.exportLatex;
+            return;
+        }
+        const names = p => p.curves.map(i => curves[i].text).join(' 与 ');
+        analysisDiv.innerHTML = `<table class="regression-table"><thead><tr><th>类型</th><th>曲线</th><th>x</th><th>y</th></tr></thead><tbody>${points.map(p =>
+            `<tr><td>${G.POINT_NAMES[p.type]}</td><td class="grapher-curve-cell"></td><td>${fmt(p.x)}</td><td>${fmt(p.y)}</td></tr>`).join('')}</tbody></table>`;
+        // Curve text is user input, so it goes in as text rather than markup.
+        analysisDiv.querySelectorAll('.grapher-curve-cell').forEach((cell, i) => { cell.textContent = names(points[i]); });
+        const rows = points.map(p => `\\text{${G.POINT_NAMES[p.type]}} & ${p.curves.map(i => G.toLatex(curves[i])).join(',\\ ')} & ${fmt(p.x)} & ${fmt(p.y)}`);
+        analysisDiv.dataset.exportLatex = `\\begin{array}{llrr} \\text{类型} & \\text{曲线} & x & y \\\\ \\hline ${rows.join(' \\\\ ')} \\end{array}`;
+    };
+
+    const render = () => {
+        let view;
+        try {
+            view = readView();
+            rangeInputs.forEach(el => el.classList.remove('input-error'));
+        } catch (e) {
+            rangeInputs.forEach(el => el.classList.add('input-error'));
+            errorsDiv.textContent = `错误：${e.message}`;
+            return;
+        }
+        const { curves, errors } = G.parse(input.value);
+        input.classList.toggle('input-error', errors.length > 0);
+        errorsDiv.textContent = errors.join(' ');
+
+        const traces = curves.map(curve => ({ ...G.sampleCurve(curve, view), mode: 'lines', name: curve.text, line: { width: 2.5 } }));
+        const points = G.analyze(curves, view).filter(p => document.getElementById(TOGGLES[p.type]).checked);
+        Object.keys(G.POINT_NAMES).forEach(type => {
+            const group = points.filter(p => p.type === type);
+            if (!group.length) return;
+            traces.push({
+                x: group.map(p => p.x), y: group.map(p => p.y), mode: 'markers', name: G.POINT_NAMES[type],
+                marker: { size: 10, ...MARKERS[type], line: { color: 'white', width: 1 } },
+                text: group.map(p => `${G.POINT_NAMES[type]} (${fmt(p.x)}, ${fmt(p.y)})<br>${p.curves.map(i => curves[i].text).join(' 与 ')}`),
+                hoverinfo: 'text'
+            });
+        });
+        const layout = { xaxis: { title: 'x', range: view.x }, yaxis: { title: 'y', range: view.y }, dragmode: 'pan', hovermode: 'closest', margin: { l: 50, r: 30, t: 30, b: 50 }, autosize: true };
+        Plotly.react(plotDiv, traces, layout, { responsive: true, scrollZoom: true });
+        showAnalysis(curves, points);
+
+        // Panning and zooming only move the axes; the curves are then resampled for the new view.
+        if (!listening && plotDiv.on) {
+            listening = true;
+            plotDiv.on('plotly_relayout', event => {
+                if (event['xaxis.autorange'] || event['yaxis.autorange']) {
+                    reset();
+                    return;
+                }
+                if (!Object.keys(event).some(key => /^[xy]axis\.range/.test(key))) return;
+                const { xaxis, yaxis } = plotDiv.layout;
+                [...xaxis.range, ...yaxis.range].forEach((value, i) => { rangeInputs[i].value = fmt(value); });
+                savePageState();
+                clearTimeout(renderTimer);
+                renderTimer = setTimeout(render, 100);
+            });
+        }
+    };
+
+    const reset = () => {
+        rangeInputs.forEach(el => { el.value = el.defaultValue; });
+        savePageState();
+        render();
+    };
+
+    const scheduleRender = () => {
+        clearTimeout(renderTimer);
+        renderTimer = setTimeout(render, 300);
+    };
+    input.addEventListener('input', scheduleRender);
+    rangeInputs.forEach(el => el.addEventListener('input', scheduleRender));
+    new Set(Object.values(TOGGLES)).forEach(id => document.getElementById(id).addEventListener('change', render));
+    document.getElementById('grapher-reset-btn').addEventListener('click', reset);
+    render();
+}
+
+function initOde() {
+    const plotDiv = document.getElementById('ode-field-plot'), convergenceDiv = document.getElementById('ode-convergence-plot');
+    const input = document.getElementById('ode-input'), errorsDiv = document.getElementById('ode-errors'), resultDiv = document.getElementById('ode-result');
+    const methodSelect = document.getElementById('ode-method'), stepInput = document.getElementById('ode-step'), toleranceInput = document.getElementById('ode-tolerance');
+    const pointsInput = document.getElementById('ode-points'), lengthInput = document.getElementById('ode-length');
+    const rangeInputs = ['xmin', 'xmax', 'ymin', 'ymax'].map(name => document.getElementById(`ode-${name}`));
+    const O = ODESolver, fmt = v => parseFloat(v.toPrecision(6));
+    // Systems are followed for this long in t, both ways, unless they leave the view first.
+    const DURATION = 20;
+    // Plotly only reports clicks on data, so an invisible heatmap of this many cells per side covers the view.
+    const CLICK_CELLS = 100;
+    let system = null, view = null, renderTimer = null, listening = false;
+
+    const number = (el, test, message) => {
+        const value = MathExpression.evaluate(el.value);
+        if (!isFinite(value) || !test(value)) throw new Error(message);
+        return value;
+    };
+    // Reads every control; the first bad one is marked and reported, and nothing is drawn.
+    const readControls = () => {
+        const controls = [input, stepInput, toleranceInput, pointsInput, lengthInput, ...rangeInputs];
+        controls.forEach(el => el.classList.remove('input-error'));
+        let current = input;
+        try {
+            system = O.parse(input.value);
+            current = stepInput;
+            const h = number(stepInput, v => v > 0, '步长 h 必须是正数。');
+            current = toleranceInput;
+            const tolerance = number(toleranceInput, v => v > 0 && v < 1, 'RK45 容差必须在 0 与 1 之间。');
+            current = rangeInputs[0];
+            const [x0, x1, y0, y1] = rangeInputs.map(el => { current = el; return number(el, () => true, '视窗范围必须是有限数。'); });
+            if (x0 >= x1 || y0 >= y1) throw new Error('视窗范围必须满足 最小值 < 最大值。');
+            view = { x: [x0, x1], y: [y0, y1] };
+            current = pointsInput;
+            const points = pointsInput.value.split(';').map(s => s.trim()).filter(s => s).map(pair => {
+                const values = pair.split(',').map(s => MathExpression.evaluate(s));
+                if (values.length !== 2 || !values.every(isFinite)) throw new Error(`初值点 “${pair}” 应写成 “横坐标, 纵坐标”。`);
+                return values;
+            });
+            current = lengthInput;
+            const length = number(lengthInput, v => v !== 0, '比较区间长度 L 不能为 0。');
+            errorsDiv.textContent = '';
+            return { h, tolerance, points, length };
+        } catch (e) {
+            current.classList.add('input-error');
+            errorsDiv.textContent = `错误：${e.message}`;
+            return null;
+        }
+    };
+
+    // An equation in y is integrated from x0 to both edges of the view; a system from t = 0 for ±DURATION.
+    // Both stop once the curve is well outside the view.
+    const solve = (point, options) => {
+        const margin = [view.x[1] - view.x[0], view.y[1] - view.y[0]];
+        const scalar = system.variables.length === 1;
+        const inside = (t, y) => {
+            const [px, py] = scalar ? [t, y[0]] : y;
+            return px > view.x[0] - margin[0] && px < view.x[1] + margin[0] && py > view.y[0] - margin[1] && py < view.y[1] + margin[1];
+        };
+        const [t0, y0] = scalar ? [point[0], [point[1]]] : [0, [...point, ...Array(system.variables.length - 2).fill(0)]];
+        const ends = scalar ? [view.x[0], view.x[1]] : [-DURATION, DURATION];
+        const [backward, forward] = ends.map(t1 => O.integrate(system.f, t0, y0, t1, { ...options, inside }));
+        const join = (pick) => backward.t.map((t, i) => pick(t, backward.y[i])).reverse().concat(forward.t.slice(1).map((t, i) => pick(t, forward.y[i + 1])));
+        return {
+            x: join((t, y) => scalar ? t : y[0]), y: join((t, y) => scalar ? y[0] : y[1]),
+            stopped: [backward.stopped, forward.stopped].filter(reason => reason && reason !== 'outside')
+        };
+    };
+
+    const drawField = (settings) => {
+        const scalar = system.variables.length === 1;
+        const field = O.field(system, view);
+        const grid = ([lo, hi]) => Array.from({ length: CLICK_CELLS + 1 }, (_, i) => lo + (hi - lo) * i / CLICK_CELLS);
+        const [gridX, gridY] = [grid(view.x), grid(view.y)];
+        const traces = [{
+            type: 'heatmap', x: gridX, y: gridY, z: gridY.map(() => gridX.map(() => 0)), opacity: 0, showscale: false, hoverinfo: 'none', name: '点击层'
+        }, {
+            ...field, mode: scalar ? 'lines' : 'lines+markers', name: scalar ? '斜率场' : '方向场', hoverinfo: 'skip',
+            line: { color: 'rgba(120, 120, 120, 0.6)', width: 1.2 },
+            marker: { symbol: 'arrow', angleref: 'previous', size: field.tips.map(tip => tip ? 7 : 0), color: 'rgba(120, 120, 120, 0.8)' }
+        }];
+        const notes = [];
+        settings.points.forEach((point, i) => {
+            const curve = solve(point, { method: methodSelect.value, h: settings.h, tolerance: settings.tolerance });
+            curve.stopped.forEach(reason => notes.push(`初值点 ${i + 1}：${O.STOP_REASONS[reason]}。`));
+            traces.push({ x: curve.x, y: curve.y, mode: 'lines', name: `解曲线 ${i + 1}`, line: { width: 2.5 } });
+            if (methodSelect.value !== 'rk45') {
+                const reference = solve(point, { method: 'rk45', h: settings.h, tolerance: 1e-10 });
+                traces.push({ x: reference.x, y: reference.y, mode: 'lines', name: `参考解 ${i + 1}`, line: { color: 'rgba(0, 0, 0, 0.5)', width: 1.5, dash: 'dash' }, hoverinfo: 'skip' });
+            }
+        });
+        traces.push({
+            x: settings.points.map(p => p[0]), y: settings.points.map(p => p[1]), mode: 'markers', name: '初值点',
+            marker: { size: 10, color: 'var(--secondary-color)', line: { color: 'white', width: 1 } }
+        });
+        const [xName, yName] = scalar ? [system.independent, system.variables[0]] : system.variables;
+        const title = `${O.METHODS[methodSelect.value]}${methodSelect.value === 'rk45' ? '' : ` (h = ${fmt(settings.h)})`}` + (!scalar && !system.autonomous ? '，方向场取 t = 0 时刻' : '');
+        const layout = { title, xaxis: { title: xName, range: view.x }, yaxis: { title: yName, range: view.y }, dragmode: false, hovermode: 'closest', showlegend: false, margin: { l: 50, r: 30, t: 50, b: 50 }, autosize: true };
+        Plotly.react(plotDiv, traces, layout, { responsive: true });
+        if (notes.length) errorsDiv.textContent = notes.join(' ');
+
+        // A click on the empty plane hits the heatmap; near a curve, Plotly reports that curve's closest point instead.
+        if (!listening && plotDiv.on) {
+            listening = true;
+            plotDiv.on('plotly_click', event => {
+                const point = event.points.find(p => p.data.type === 'heatmap') || event.points[0];
+                if (!point || !view) return;
+                const { x, y } = point;
+                if (!(x >= view.x[0] && x <= view.x[1] && y >= view.y[0] && y <= view.y[1])) return;
+                pointsInput.value = `${pointsInput.value.trim() ? `${pointsInput.value.trim()}; ` : ''}${fmt(x)}, ${fmt(y)}`;
+                savePageState();
+                render();
+            });
+        }
+    };
+
+    const drawConvergence = (settings) => {
+        resultDiv.innerHTML = '';
+        delete resultDiv.dataset.exportLatex;
+        const point = settings.points[settings.points.length - 1];
+        if (!point) {
+            Plotly.newPlot(convergenceDiv, [], { title: '请先添加一个初值点', autosize: true }, { responsive: true });
+            return;
+        }
+        const scalar = system.variables.length === 1;
+        const [t0, y0] = scalar ? [point[0], [point[1]]] : [0, [...point, ...Array(system.variables.length - 2).fill(0)]];
+        let study;
+        try {
+            study = O.convergence(system.f, t0, y0, settings.length);
+        } catch (e) {
+            resultDiv.textContent = `错误：${e.message}`;
+            Plotly.newPlot(convergenceDiv, [], { title: '无法比较误差', autosize: true }, { responsive: true });
+            return;
+        }
+        const selected = methodSelect.value;
+        const traces = study.methods.map(({ method, points, order }) => ({
+            x: points.map(p => p.h), y: points.map(p => p.error), mode: 'lines+markers',
+            name: O.METHODS[method] + (order !== null ? ` (阶 ≈ ${order.toFixed(1)})` : ''),
+            line: { width: method === selected ? 4 : 1.5 }, marker: { size: method === selected ? 7 : 4 }, opacity: method === selected ? 1 : 0.6
+        }));
+        const layout = { title: '终点误差随步长的变化 (对数-对数坐标)', xaxis: { title: '步长 h', type: 'log' }, yaxis: { title: '绝对误差', type: 'log', exponentformat: 'power' }, autosize: true };
+        Plotly.newPlot(convergenceDiv, traces, layout, { responsive: true });
+
+        // The four methods at the chosen step size (RK45: tolerance), side by side.
+        const t1 = t0 + settings.length, exact = study.reference;
+        const runs = Object.keys(O.METHODS).map(method => ({ method, run: O.integrate(system.f, t0, y0, t1, { method, h: settings.h, tolerance: settings.tolerance }) }));
+        const errorOf = run => run.stopped ? Infinity : Math.max(...run.y[run.y.length - 1].map((v, j) => Math.abs(v - exact[j])));
+        const valueOf = run => run.stopped ? '—' : run.y[run.y.length - 1].slice(0, 2).map(fmt).join(', ');
+        const variable = scalar ? system.variables[0] : `(${system.variables.slice(0, 2).join(', ')})`;
+        resultDiv.innerHTML = `<table class="regression-table"><thead><tr><th>方法</th><th>${variable}(${fmt(t1)})</th><th>误差</th><th>步数</th><th>求值次数</th></tr></thead><tbody>${runs.map(({ method, run }) =>
+            `<tr><td>${O.METHODS[method]}</td><td>${valueOf(run)}</td><td>${isFinite(errorOf(run)) ? errorOf(run).toExponential(2) : '—'}</td><td>${run.steps}</td><td>${run.evaluations}</td></tr>`).join('')}</tbody></table>` +
+            `<p>参考值 ${variable}(${fmt(t1)}) ≈ ${exact.slice(0, 2).map(v => v.toPrecision(12)).join(', ')}</p>`;
+        const { run } = runs.find(r => r.method === selected);
+        const initial = system.variables.map((name, j) => `${name}(${MathExpression.numberToLatex(t0)}) = ${MathExpression.numberToLatex(y0[j])}`).join(',\\ ');
+        const final = run.stopped ? '' : system.variables.map((name, j) => `${name}(${MathExpression.numberToLatex(t1)}) \\approx ${MathExpression.numberToLatex(fmt(run.y[run.y.length - 1][j]))}`).join(',\\ ');
+        resultDiv.dataset.exportLatex = `${O.toLatex(system)},\\quad ${initial}${final ? `:\\quad ${final}` : ''} \\quad (\\text{${O.METHODS[selected]}}${selected === 'rk45' ? '' : `,\\ h = ${MathExpression.numberToLatex(settings.h)}`})`;
+    };
+
+    const render = () => {
+        const settings = readControls();
+        if (!settings) return;
+        drawField(settings);
+        drawConvergence(settings);
+    };
+    const scheduleRender = () => {
+        clearTimeout(renderTimer);
+        renderTimer = setTimeout(render, 300);
+    };
+
+    document.getElementById('ode-preset').addEventListener('change', event => {
+        if (!event.target.value) return;
+        input.value = event.target.value;
+        render();
+    });
+    input.addEventListener('input', () => {
+        document.getElementById('ode-preset').value = '';
+        scheduleRender();
+    });
+    document.getElementById('ode-clear-btn').addEventListener('click', () => {
+        pointsInput.value = '';
+        render();
+    });
+    [stepInput, toleranceInput, pointsInput, lengthInput, ...rangeInputs].forEach(el => el.addEventListener('input', scheduleRender));
+    methodSelect.addEventListener('change', render);
+    render();
+}
+
+// =================================================================
+// --- Module: Practice ---
+// =================================================================
+// Progress is kept per topic in localStorage; when storage is unavailable it only lasts for the visit.
+const PRACTICE_STORAGE_KEY = 'mathlc-practice-progress';
+
+function initPractice() {
+    const topicSelect = document.getElementById('practice-topic');
+    const questionDiv = document.getElementById('practice-question'), labelEl = document.getElementById('practice-label');
+    const answerInput = document.getElementById('practice-answer'), previewDiv = document.getElementById('practice-preview');
+    const hintEl = document.getElementById('practice-hint'), feedbackDiv = document.getElementById('practice-feedback');
+    const solutionDiv = document.getElementById('practice-solution'), progressDiv = document.getElementById('practice-progress');
+    let progress = {}, problem = null, recorded = false;
+    try {
+        progress = JSON.parse(localStorage.getItem(PRACTICE_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.warn('[Practice] Progress not loaded:', e.message);
+    }
+    const katexBlock = (latex, tag = 'div') => {
+        const el = document.createElement(tag);
+        el.className = 'katex-render';
+        el.setAttribute('data-katex', latex);
+        return el;
+    };
+
+    const renderProgress = () => {
+        const rows = Object.entries(Practice.TOPICS).map(([topic, name]) => {
+            const { attempts = 0, correct = 0, streak = 0, best = 0 } = progress[topic] || {};
+            const rate = attempts ? `${Math.round(100 * correct / attempts)}%` : '—';
+            return `<tr><td>${name}</td><td>${attempts}</td><td>${correct}</td><td>${rate}</td><td>${streak}</td><td>${best}</td></tr>`;
+        });
+        progressDiv.innerHTML = `<table class="regression-table"><thead><tr><th>主题</th><th>已做</th><th>答对</th><th>正确率</th><th>当前连对</th><th>最佳连对</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+    };
+    // Only the first answer to a problem counts.
+    const record = correct => {
+        if (recorded) return;
+        recorded = true;
+        progress = Practice.record(progress, problem.topic, correct);
+        try {
+            localStorage.setItem(PRACTICE_STORAGE_KEY, JSON.stringify(progress));
+        } catch (e) {
+            console.warn('[Practice] Progress not saved:', e.message);
+        }
+        renderProgress();
+    };
+
+    const newProblem = () => {
+        // "换一题" should never show the same problem again.
+        const previous = problem && problem.latex;
+        for (let i = 0; i < 10 && (!problem || problem.latex === previous); i++) problem = Practice.generate(topicSelect.value);
+        recorded = false;
+        questionDiv.innerHTML = '';
+        const statement = document.createElement('p');
+        statement.innerHTML = `<strong>${Practice.TOPICS[problem.topic]}：</strong>${problem.statement}`;
+        questionDiv.append(statement, katexBlock(problem.latex));
+        labelEl.innerHTML = '';
+        labelEl.appendChild(katexBlock(problem.label, 'span'));
+        hintEl.textContent = problem.hint;
+        answerInput.value = '';
+        answerInput.classList.remove('input-error');
+        previewDiv.textContent = '';
+        feedbackDiv.textContent = '';
+        feedbackDiv.className = 'practice-feedback';
+
+        solutionDiv.style.display = 'none';
+        solutionDiv.innerHTML = '';
+        const list = document.createElement('ol');
+        list.className = 'derivation-steps';
+        problem.steps.forEach(step => {
+            const item = document.createElement('li');
+            item.textContent = step.text;
+            item.appendChild(katexBlock(step.latex));
+            list.appendChild(item);
+        });
+        const summary = document.createElement('p');
+        summary.innerHTML = '<strong>答案：</strong>';
+        solutionDiv.append(list, summary, katexBlock(problem.answerLatex));
+        renderAllKatex();
+    };
+
+    const check = () => {
+        const result = Practice.check(problem, answerInput.value);
+        answerInput.classList.toggle('input-error', !result.valid);
+        if (!result.valid) {
+            feedbackDiv.className = 'practice-feedback function-error';
+            feedbackDiv.textContent = `无法批改：${result.message}`;
+            return;
+        }
+        record(result.correct);
+        feedbackDiv.className = `practice-feedback ${result.correct ? 'practice-correct' : 'practice-wrong'}`;
+        feedbackDiv.textContent = result.correct ? '✓ 回答正确！点击“换一题”继续。' : '✗ 不正确。可以再试一次，或者查看解析。';
+    };
+    const updatePreview = () => {
+        // Roots are entered as a comma-separated list, which the expression parser would reject as a whole.
+        const parts = answerInput.value.split(/[,，;；]/).map(s => s.replace(/^[^=]*=/, '').trim()).filter(s => s);
+        try {
+            katex.render(parts.map(s => MathExpression.toLatex(s)).join(',\\ '), previewDiv, { throwOnError: false });
+            answerInput.classList.remove('input-error');
+        } catch (e) {
+            previewDiv.textContent = e.message;
+        }
+    };
+
+    document.getElementById('practice-new-btn').addEventListener('click', newProblem);
+    document.getElementById('practice-check-btn').addEventListener('click', check);
+    // Looking at the solution before answering gives the problem away.
+    document.getElementById('practice-solution-btn').addEventListener('click', () => { if (!recorded) record(false); });
+    document.getElementById('practice-reset-btn').addEventListener('click', () => {
+        if (!confirm('确定要清空全部练习记录吗？')) return;
+        progress = {};
+        try {
+            localStorage.removeItem(PRACTICE_STORAGE_KEY);
+        } catch (e) {
+            console.warn('[Practice] Progress not cleared:', e.message);
+        }
+        renderProgress();
+    });
+    topicSelect.addEventListener('change', newProblem);
+    answerInput.addEventListener('input', updatePreview);
+    answerInput.addEventListener('keydown', event => { if (event.key === 'Enter') check(); });
+    renderProgress();
+    newProblem();
+}
 
 // =================================================================
 // --- Module: Scientific Calculator ---
 // =================================================================
 function setupCalculator() {
     const calcDisplay = document.getElementById('calc-display');
-    let currentInput = '0', previousInput = '', operator = null, waitingForSecondOperand = false;
-    const safeEval = expr => { try { return Function('return ' + expr)(); } catch (e) { return 'Error'; }};
-    const performCalculation = (op, first, second) => {
-        first = parseFloat(first); second = parseFloat(second);
-        if (op === '+') return first + second; if (op === '-') return first - second;
-        if (op === '*') return first * second; if (op === '/') return second === 0 ? 'Error: Div by 0' : first / second;
-        if (op === '%') return first % second; if (op === 'power_y') return Math.pow(first, second);
-        return second;
-    };
-    const handleFunction = func => {
-        const value = parseFloat(currentInput); let result;
-        if(isNaN(value)) { currentInput = 'Error'; updateDisplay(); return; }
-        switch(func) {
-            case 'sqrt': result = Math.sqrt(value); break;
-            case 'sin': result = Math.sin(value); break;
-            case 'cos': result = Math.cos(value); break;
-            case 'tan': result = Math.tan(value); break;
-            case 'log': result = Math.log(value); break;
-            case 'exp': result = Math.exp(value); break;
-            case 'power_2': result = Math.pow(value, 2); break;
-            case 'factorial':
-                if (value < 0 || value % 1 !== 0 || value > 170) result = 'Error';
-                else { let res = 1; for (let i = 2; i <= value; i++) res *= i; result = res; }
-                break;
-            default: return;
-        }
-        currentInput = result.toString().includes('Error') ? result.toString() : parseFloat(result.toPrecision(12)).toString();
-        updateDisplay();
-    };
-    const updateDisplay = () => { calcDisplay.textContent = currentInput; };
+    const calcHistory = document.getElementById('calc-history');
+    const FUNCTION_INPUTS = {
+        sqrt: 'sqrt(', root_2: 'sqrt(', sin: 'sin(', cos: 'cos(', tan: 'tan(', log: 'ln(', exp: 'exp(',
+        power_2: '^2', power_y: '^', power_n: '^(', factorial: '!'
+    };
+    const OPERATOR_INPUTS = { '+': '+', '-': '-', '*': '×', '/': '÷', '%': '%' };
+    let justEvaluated = false;
+
+    const formatResult = value => parseFloat(value.toPrecision(12)).toString().replace('e', 'E');
+    const insert = text => {
+        // After "=", operators keep working on the previous result; anything else starts a new expression.
+        const continuesResult = /^[+\-×÷%^!]/.test(text);
+        if (calcDisplay.value === 'Error' || (justEvaluated && !continuesResult)) calcDisplay.value = '';
+        calcDisplay.value += text;
+        justEvaluated = false;
+    };
+    const evaluate = () => {
+        let expr = calcDisplay.value.trim();
+        if (!expr || expr === 'Error') return;
+        const openParens = (expr.match(/\(/g) || []).length - (expr.match(/\)/g) || []).length;
+        if (openParens > 0) expr += ')'.repeat(openParens);
+        try {
+            const result = MathExpression.evaluate(expr);
+            if (!isFinite(result)) throw new Error(isNaN(result) ? '结果无定义 (超出函数定义域)。' : '结果溢出或除以 0。');
+            calcHistory.textContent = `${expr} =`;
+            calcDisplay.value = formatResult(result);
+        } catch (e) {
+            calcHistory.textContent = e.message;
+            calcDisplay.value = 'Error';
+        }
+        justEvaluated = true;
+    };
     const handleButtonClick = button => {
         const value = button.getAttribute('data-value'), op = button.getAttribute('data-op'), clear = button.getAttribute('data-clear'), func = button.getAttribute('data-function');
-        if (value && (value.match(/[0-9.]/) || value.startsWith('Math'))) {
-            if(value.startsWith('Math')) { currentInput = safeEval(value).toPrecision(12); }
-            else if (waitingForSecondOperand) { currentInput = value === '.' ? '0.' : value; waitingForSecondOperand = false; }
-            else { if (currentInput === '0' && value !== '.') currentInput = value; else if (!(value === '.' && currentInput.includes('.'))) currentInput += value; }
-        }
-        if (clear) { if (clear === 'all') { currentInput = '0'; previousInput = ''; operator = null; } else if (clear === 'entry') { currentInput = '0'; } }
-        if (func) { if (func === 'power_y') handleOperator(func); else handleFunction(func); }
-        if (op) handleOperator(op);
-        updateDisplay();
-    };
-    const handleOperator = nextOperator => {
-        const inputValue = parseFloat(currentInput);
-        if (operator && waitingForSecondOperand) { operator = nextOperator; return; }
-        if (previousInput === '') { previousInput = inputValue; }
-        else if (operator) {
-            const result = performCalculation(operator, previousInput, inputValue);
-            currentInput = result.toString().includes('Error') ? result.toString() : parseFloat(result.toPrecision(12)).toString();
-            previousInput = parseFloat(currentInput);
-        }
-        waitingForSecondOperand = true;
-        operator = nextOperator === '=' ? null : nextOperator;
+        if (value) insert(value);
+        if (func && FUNCTION_INPUTS[func]) insert(FUNCTION_INPUTS[func]);
+        if (op === '=') evaluate();
+        else if (op) insert(OPERATOR_INPUTS[op]);
+        if (clear === 'all') { calcDisplay.value = ''; calcHistory.textContent = ''; justEvaluated = false; }
+        else if (clear === 'entry') { calcDisplay.value = justEvaluated || calcDisplay.value === 'Error' ? '' : calcDisplay.value.slice(0, -1); justEvaluated = false; }
     };
     document.querySelectorAll('.calculator-grid button').forEach(button => { button.onclick = () => handleButtonClick(button); });
-    updateDisplay();
+    calcDisplay.addEventListener('input', () => { justEvaluated = false; });
+    calcDisplay.addEventListener('keydown', event => {
+        if (event.key === 'Enter') { event.preventDefault(); evaluate(); }
+        else if (event.key === 'Escape') { calcDisplay.value = ''; calcHistory.textContent = ''; }
+    });
 }
 
 // =================================================================
 // --- Module: High Precision Calculator (Optimized) ---
 // =================================================================
+// Digit limits per task; the computation itself runs in precision-worker.js.
+const PRECISION_LIMITS = { pi: 1000000, e: 1000000, sqrt: 1000000, phi: 1000000, ln2: 500000, zeta3: 500000, gamma: 200000, catalan: 200000, expression: 5000 };
+let precisionWorker = null;
+
 function initPrecisionCalculator() {
     const precisionInput = document.getElementById('precision-digits');
     const sqrtInput = document.getElementById('sqrt-input');
+    const expressionInput = document.getElementById('precision-expression');
+    const expressionPreview = document.getElementById('precision-expression-preview');
     const outputArea = document.getElementById('precision-output');
     const statusDiv = document.getElementById('precision-status');
-    
+    const progressBar = document.getElementById('precision-progress');
+    const cancelButton = document.getElementById('cancel-calc-btn');
+    const buttons = document.querySelectorAll('.precision-button:not(#cancel-calc-btn)');
+
     const setStatus = (message, isError = false) => {
         statusDiv.textContent = message;
         statusDiv.style.color = isError ? 'var(--secondary-color)' : 'var(--theorem-color)';
     };
-    
-    const calculate = async (task, value) => {
+    const setRunning = running => {
+        buttons.forEach(btn => btn.disabled = running);
+        cancelButton.disabled = !running;
+        progressBar.style.visibility = running ? 'visible' : 'hidden';
+    };
+    const stopWorker = () => {
+        if (precisionWorker) precisionWorker.terminate();
+        precisionWorker = null;
+    };
+
+    const calculate = (task, value) => {
         const digits = parseInt(precisionInput.value);
-        let max_digits = 15000;
-        let error_msg = `错误：精度必须在 10 到 ${max_digits} 之间。`;
-        
-        if (task === 'pi' || task === 'e') { 
-            max_digits = 2000; 
-            error_msg = `错误：计算 ${task} 的精度必须在 10 到 ${max_digits} 之间。`; 
-        }
-        
-        if (isNaN(digits) || digits < 10 || digits > max_digits) { 
-            setStatus(error_msg, true); 
-            return; 
+        const maxDigits = PRECISION_LIMITS[task];
+        if (isNaN(digits) || digits < 10 || digits > maxDigits) {
+            setStatus(`错误：该常数的精度必须在 10 到 ${maxDigits.toLocaleString()} 之间。`, true);
+            return;
         }
-
-        // 1. Lock UI and set cursor to wait
-        const buttons = document.querySelectorAll('.precision-button');
-        buttons.forEach(btn => btn.disabled = true);
-        document.body.style.cursor = 'wait';
-        
-        setStatus('正在计算中，请稍候... (高精度计算可能会卡顿几秒)', false);
-        outputArea.value = 'Calculating...';
-        
-        // 2. Use setTimeout to allow UI to update before blocking calculation starts
-        setTimeout(async () => {
+        if (task === 'sqrt' && !String(value).trim()) {
+            setStatus('计算出错: 请输入被开方数。', true);
+            return;
+        }
+        if (task === 'expression') {
             try {
-                const startTime = performance.now();
-                BigNumber.config({ DECIMAL_PLACES: digits + 5, POW_PRECISION: digits + 5 });
-                
-                let result = '';
-                if (task === 'sqrt') {
-                    const num = parseInt(value);
-                    if (isNaN(num) || num <= 0 || num > 10000) throw new Error('开方数必须是 1 到 10,000 之间的正数。');
-                    result = await highPrecisionSqrt(num, digits);
-                } else if (task === 'pi') result = await highPrecisionPi(digits);
-                else if (task === 'e') result = await highPrecisionE(digits);
-                else if (task === 'phi') result = await highPrecisionPhi(digits);
-                
-                const duration = ((performance.now() - startTime) / 1000).toFixed(2);
-                outputArea.value = result;
-                setStatus(`计算完成！耗时 ${duration} 秒。`, false);
+                value = MathExpression.parse(value, { keepLiterals: true });
             } catch (e) {
-                setStatus(`计算出错: ${e.message}`, true);
+                setStatus(`表达式错误: ${e.message}`, true);
+                return;
+            }
+        }
+
+        stopWorker();
+        precisionWorker = new Worker('precision-worker.js');
+        const startTime = performance.now();
+        setRunning(true);
+        progressBar.value = 0;
+        progressBar.max = digits;
+        setStatus('正在后台计算中...', false);
+        outputArea.value = 'Calculating...';
+
+        precisionWorker.onmessage = ({ data }) => {
+            if (data.type === 'progress') {
+                progressBar.value = data.digits;
+                setStatus(`正在计算中... 已迭代 ${data.iterations} 次，约 ${data.digits.toLocaleString()} / ${digits.toLocaleString()} 位已正确。`, false);
+                return;
+            }
+            stopWorker();
+            setRunning(false);
+            if (data.type === 'done') {
+                outputArea.value = data.result === null ? '' : data.result;
+                const duration = `计算完成！耗时 ${((performance.now() - startTime) / 1000).toFixed(2)} 秒`;
+                if (task !== 'expression') {
+                    const check = task === 'sqrt' ? '已验证 r² ≤ N < (r+1)²' : '已通过已知前 50 位校验';
+                    setStatus(`${duration}，${check}。`, false);
+                } else if (data.guaranteed === digits) {
+                    setStatus(`${duration}，保证 ${digits.toLocaleString()} 位有效数字 (误差小于末位的一个单位)。`, false);
+                } else if (data.unbounded) {
+                    setStatus(`${duration}。无法确定结果：某个除数或函数参数无法与 0 区分 (例如 tan(π/2))，表达式可能无定义。`, true);
+                } else if (data.bound !== undefined) {
+                    setStatus(`${duration}。结果在误差范围内为 0：|结果| < 10^${data.bound}，无法确定任何有效数字。`, true);
+                } else if (!data.guaranteed) {
+                    setStatus(`${duration}。由于有效数字相消，无法保证任何有效数字。`, true);
+                } else {
+                    setStatus(`${duration}，但由于有效数字相消，仅能保证 ${data.guaranteed.toLocaleString()} 位有效数字。`, true);
+                }
+            } else {
+                setStatus(`计算出错: ${data.message}`, true);
                 outputArea.value = 'Error.';
-            } finally {
-                // 3. Unlock UI and restore cursor
-                buttons.forEach(btn => btn.disabled = false);
-                document.body.style.cursor = 'default';
             }
-        }, 50);
+        };
+        precisionWorker.onerror = event => {
+            event.preventDefault();
+            stopWorker();
+            setRunning(false);
+            setStatus(`计算出错: ${event.message || '无法启动后台计算线程。'}`, true);
+            outputArea.value = 'Error.';
+        };
+        precisionWorker.postMessage({ task, digits, value });
     };
 
+    // A worker left over from a previous visit to this page is stopped rather than left running.
+    stopWorker();
+    setRunning(false);
+
     document.getElementById('calc-sqrt-btn').onclick = () => calculate('sqrt', sqrtInput.value);
     document.getElementById('calc-pi-btn').onclick = () => calculate('pi');
     document.getElementById('calc-e-btn').onclick = () => calculate('e');
     document.getElementById('calc-phi-btn').onclick = () => calculate('phi');
-    
+    document.getElementById('calc-ln2-btn').onclick = () => calculate('ln2');
+    document.getElementById('calc-gamma-btn').onclick = () => calculate('gamma');
+    document.getElementById('calc-catalan-btn').onclick = () => calculate('catalan');
+    document.getElementById('calc-zeta3-btn').onclick = () => calculate('zeta3');
+    document.getElementById('calc-expr-btn').onclick = () => calculate('expression', expressionInput.value);
+    const updatePreview = () => {
+        try {
+            katex.render(MathExpression.toLatex(expressionInput.value), expressionPreview, { throwOnError: false });
+            expressionInput.classList.remove('input-error');
+        } catch (e) {
+            expressionPreview.textContent = e.message;
+            expressionInput.classList.add('input-error');
+        }
+    };
+    expressionInput.addEventListener('input', updatePreview);
+    updatePreview();
+    cancelButton.onclick = () => {
+        stopWorker();
+        setRunning(false);
+        setStatus('计算已取消。', true);
+        outputArea.value = '请选择一个计算任务...';
+    };
+
     document.getElementById('download-result-btn').onclick = () => {
         const text = outputArea.value;
         if (!text || text.startsWith('请选择') || text.startsWith('Calculating')) { 
             setStatus('没有可下载的结果。', true); 
             return; 
         }
-        const blob = new Blob([text], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `high_precision_result.txt`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        ExportTools.download('high_precision_result.txt', text);
     };
 }
-
-async function highPrecisionSqrt(number, precision) {
-    BigNumber.config({ DECIMAL_PLACES: precision + 5 });
-    const S = new BigNumber(number);
-    let x = new BigNumber(Math.sqrt(number));
-    const limit = new BigNumber(1).shiftedBy(-precision - 2);
-    while (true) {
-        let next_x = x.plus(S.div(x)).div(2);
-        if (x.minus(next_x).abs().lt(limit)) break;
-        x = next_x;
-    }
-    return x.toFixed(precision);
-}
-async function highPrecisionPi(precision) {
-    BigNumber.config({ DECIMAL_PLACES: precision + 5 });
-    let a = new BigNumber(1), b = new BigNumber(1).div(new BigNumber(2).sqrt()), t = new BigNumber(0.25), p = new BigNumber(1);
-    for (let i = 0; i < Math.ceil(Math.log2(precision)); i++) {
-        let a_next = a.plus(b).div(2);
-        let b_next = a.times(b).sqrt();
-        t = t.minus(p.times(a.minus(a_next).pow(2)));
-        a = a_next; b = b_next; p = p.times(2);
-    }
-    const pi = a.plus(b).pow(2).div(t.times(4));
-    return pi.toFixed(precision);
-}
-async function highPrecisionE(precision) {
-    BigNumber.config({ DECIMAL_PLACES: precision + 5 });
-    let e = new BigNumber(1), factorial = new BigNumber(1);
-    for (let i = 1; i < precision * 2; i++) {
-        factorial = factorial.times(i);
-        const term = new BigNumber(1).div(factorial);
-        if (term.abs().lt(new BigNumber(1).shiftedBy(-precision - 3))) break;
-        e = e.plus(term);
-    }
-    return e.toFixed(precision);
-}
-async function highPrecisionPhi(precision) {
-    BigNumber.config({ DECIMAL_PLACES: precision + 5 });
-    const sqrt5 = await highPrecisionSqrt(5, precision + 5);
-    const phi = new BigNumber(1).plus(sqrt5).div(2);
-    return phi.toFixed(precision);
-}
@@ -0,0 +1,76 @@
+/**
+ * sw.js - Offline support for math.lc
+ * Precaches the app shell, every page fragment and the pinned libraries in vendor/, so the site works
+ * without a network after the first visit. The site's own files are fetched network-first, so edits reach
+ * online visitors without a version bump; the cache is only the offline fallback. Bump CACHE_VERSION when
+ * the precache list itself changes: the new worker then waits until the page accepts the "update available" prompt.
+ */
+
+const CACHE_VERSION = 'mathlc-v6';
+
+const PAGES = ['derivative', 'limits', 'differential', 'integral', 'polyfit', 'equation-solver', 'linear-algebra', 'grapher', 'ode', 'practice', 'calculator', 'precision-calc'];
+const MATH_MODULES = ['expression', 'symbolic', 'taylor', 'equations', 'linear-algebra', 'numerical', 'limits', 'sequences', 'grapher', 'ode', 'practice', 'precision'];
+const KATEX_FONTS = [
+    'AMS-Regular', 'Caligraphic-Bold', 'Caligraphic-Regular', 'Fraktur-Bold', 'Fraktur-Regular',
+    'Main-Bold', 'Main-BoldItalic', 'Main-Italic', 'Main-Regular', 'Math-BoldItalic', 'Math-Italic',
+    'SansSerif-Bold', 'SansSerif-Italic', 'SansSerif-Regular', 'Script-Regular',
+    'Size1-Regular', 'Size2-Regular', 'Size3-Regular', 'Size4-Regular', 'Typewriter-Regular'
+];
+const PRECACHE_URLS = [
+    './', 'index.html', 'style.css', 'script.js', 'precision-worker.js',
+    ...MATH_MODULES.map(name => `math/${name}.js`),
+    ...PAGES.map(page => `${page}.html`),
+    'vendor/plotly-2.27.0/plotly.min.js',
+    'vendor/katex-0.16.8/katex.min.js',
+    'vendor/katex-0.16.8/katex.min.css',
+    ...KATEX_FONTS.map(font => `vendor/katex-0.16.8/fonts/KaTeX_${font}.woff2`),
+    'vendor/bignumber.js-9.1.2/bignumber.js'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_VERSION).then(cache => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Sent by the page when the user accepts the update prompt.
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Successful same-origin and CDN responses are kept for the next offline visit.
+const store = (request, response) => {
+    if (response.ok || response.type === 'opaque') {
+        const copy = response.clone();
+        caches.open(CACHE_VERSION).then(cache => cache.put(request, copy));
+    }
+    return response;
+};
+const offline = request => request.mode === 'navigate' ? caches.match('./') : Response.error();
+
+// Network first for the site's own files (the shell, script.js, math/*.js, page fragments): revalidated with
+// the server on every load and served from the cache only offline. Cache first for vendor/, whose paths are
+// pinned to a library version, and for the CDN fallbacks.
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || !request.url.startsWith('http')) return;
+    const url = new URL(request.url);
+    const cacheOptions = { ignoreSearch: request.mode === 'navigate' };
+    if (url.origin === self.location.origin && !url.pathname.includes('/vendor/')) {
+        event.respondWith(
+            fetch(request, { cache: 'no-cache' })
+                .then(response => store(request, response))
+                .catch(() => caches.match(request, cacheOptions).then(cached => cached || offline(request)))
+        );
+        return;
+    }
+    event.respondWith(
+        caches.match(request, cacheOptions).then(cached => cached || fetch(request).then(response => store(request, response)).catch(() => offline(request)))
+    );
+});
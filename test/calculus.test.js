@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MathExpression } = require('../math/expression');
+const { SymbolicDiff } = require('../math/symbolic');
+const { TaylorSeries } = require('../math/taylor');
+const { NumericalCalculus } = require('../math/numerical');
+const { LimitEvaluator } = require('../math/limits');
+const { LinearAlgebra } = require('../math/linear-algebra');
+
+const close = (actual, expected, tolerance, label) => assert.ok(Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected)), `${label}: ${actual} ≠ ${expected}`);
+
+test('expressions parse, evaluate and print as LaTeX', () => {
+    close(MathExpression.compile('2x^2 + sin(pi/2)')(3), 19, 0, '2x^2 + sin(pi/2)');
+    close(MathExpression.evaluate('-2^2'), -4, 0, '-2^2');
+    close(MathExpression.evaluate('2^3^2'), 512, 0, '2^3^2');
+    close(MathExpression.evaluate('1e-3'), 0.001, 0, '1e-3');
+    close(MathExpression.evaluate('2.5e2'), 250, 0, '2.5e2');
+    close(MathExpression.evaluate('2e^2'), 2 * Math.E ** 2, 1e-15, '2e^2');
+    close(MathExpression.evaluate('2e - 1'), 2 * Math.E - 1, 1e-15, '2e - 1');
+    close(MathExpression.evaluate('root(27, 3) + 5!'), 123, 1e-15, 'root(27, 3) + 5!');
+    assert.strictEqual(MathExpression.toLatex('sqrt(x)/2'), '\\frac{\\sqrt{x}}{2}');
+    assert.throws(() => MathExpression.parse('2 +'));
+    assert.throws(() => MathExpression.evaluate('alert(1)'));
+});
+
+test('symbolic derivatives', () => {
+    assert.strictEqual(SymbolicDiff.differentiate('x^2 sin(x)').latex, '2 x \\sin\\left(x\\right) + x^{2} \\cos\\left(x\\right)');
+    const derivative = SymbolicDiff.differentiate('ln(x^2 + 1) / x');
+    const f = MathExpression.compile(derivative.ast);
+    for (const x of [0.5, 1, 3]) close(f(x), NumericalCalculus.derivative(MathExpression.compile('ln(x^2 + 1) / x'), x), 1e-7, `d/dx at ${x}`);
+});
+
+test('Taylor coefficients match the known series', () => {
+    const factorials = [1, 1, 2, 6, 24, 120, 720, 5040];
+    TaylorSeries.coefficients('exp(x)', 0, 7).forEach((c, k) => close(c, 1 / factorials[k], 1e-15, `exp c_${k}`));
+    TaylorSeries.coefficients('sin(x)', 0, 7).forEach((c, k) => close(c, k % 2 ? (k % 4 === 1 ? 1 : -1) / factorials[k] : 0, 1e-15, `sin c_${k}`));
+    TaylorSeries.coefficients('1/(1 - x)', 0, 7).forEach((c, k) => close(c, 1, 1e-15, `geometric c_${k}`));
+    TaylorSeries.coefficients('ln(x)', 1, 6).forEach((c, k) => close(c, k === 0 ? 0 : (k % 2 ? 1 : -1) / k, 1e-15, `ln c_${k}`));
+});
+
+test('quadrature rules and adaptive integration', () => {
+    close(NumericalCalculus.integrate(Math.sin, 0, Math.PI), 2, 1e-10, '∫ sin');
+    close(NumericalCalculus.integrate(x => Math.exp(-x * x), -6, 6), Math.sqrt(Math.PI), 1e-10, '∫ exp(-x²)');
+    close(NumericalCalculus.quadrature(x => x ** 3, 0, 1, 2, 'simpson').value, 0.25, 1e-15, 'Simpson on a cubic');
+    close(NumericalCalculus.derivative(Math.exp, 1), Math.E, 1e-9, 'central difference');
+    // The error-estimating integrator handles jumps and endpoint singularities, and says when it cannot.
+    const checked = (f, a, b) => NumericalCalculus.integrateWithError(f, a, b);
+    close(checked(x => Math.floor(10 * x), 0, 5).value, 122.5, 1e-12, '∫ floor(10x)');
+    close(checked(Math.sqrt, 0, 1).value, 2 / 3, 1e-12, '∫ √x');
+    close(checked(Math.log, 0, 1).value, -1, 1e-12, '∫ ln x');
+    assert.ok(checked(Math.sin, 0, 5).converged);
+    assert.strictEqual(checked(x => 1 / x, -1, 1).converged, false);
+    assert.strictEqual(checked(x => 1 / x, -1, 2).converged, false);
+});
+
+test('limits by series, L\'Hôpital and their failure modes', () => {
+    const finite = [['sin(x)/x', 0, 1], ['(cos(x) - 1)/x^2', 0, -0.5], ['(1 + 1/x)^x', Infinity, Math.E], ['x^x', 0, 1, 'right'], ['sqrt(x^2 + x) - x', Infinity, 0.5]];
+    for (const [source, c, value, direction] of finite) {
+        const result = LimitEvaluator.evaluate(source, c, direction);
+        assert.strictEqual(result.kind, 'finite', `${source}: ${result.reason}`);
+        close(result.value, value, 1e-9, source);
+    }
+    assert.strictEqual(LimitEvaluator.evaluate('1/x', 0, 'right').value, Infinity);
+    assert.strictEqual(LimitEvaluator.evaluate('1/x', 0).reason, '左右极限不相等');
+    assert.strictEqual(LimitEvaluator.evaluate('sin(1/x)', 0).kind, 'none');
+    assert.strictEqual(LimitEvaluator.parsePoint('-inf'), -Infinity);
+});
+
+test('exact elimination over the rationals', () => {
+    const { A, B, field } = LinearAlgebra.parse('2 1 -1 | 8\n-3 -1 2 | -11\n-2 1 2 | -3');
+    assert.strictEqual(field, LinearAlgebra.fields.rational);
+    const result = LinearAlgebra.solveSystem(field, A, B.map(row => row[0]));
+    assert.deepStrictEqual(result.solution.map(s => s.latex), ['2', '3', '-1']);
+    const inverse = LinearAlgebra.inverse(field, LinearAlgebra.parse('1 2; 3 4').A).inverse;
+    assert.deepStrictEqual(inverse.flat().map(field.toLatex), ['-2', '1', '\\frac{3}{2}', '-\\frac{1}{2}']);
+    assert.strictEqual(LinearAlgebra.inverse(field, LinearAlgebra.parse('1 2; 2 4').A).inverse, null);
+});
+
+test('floating-point elimination is relative to the matrix scale', () => {
+    const tiny = LinearAlgebra.parse('sqrt(2)*1e-11 0; 0 sqrt(2)*1e-11');
+    assert.strictEqual(tiny.field, LinearAlgebra.fields.real);
+    const reduced = LinearAlgebra.rref(tiny.A, tiny.field);
+    assert.strictEqual(reduced.rank, 2);
+    close(reduced.determinant, 2e-22, 1e-12, 'det of a tiny diagonal');
+    const huge = LinearAlgebra.inverse(LinearAlgebra.fields.real, LinearAlgebra.parse('sqrt(2)*1e11 1; 1 1').A).inverse;
+    const a = Math.SQRT2 * 1e11;
+    [[1, -1], [-1, a]].flat().forEach((v, k) => close(huge.flat()[k], v / (a - 1), 1e-12, `inverse entry ${k}`));
+    assert.strictEqual(LinearAlgebra.rref(LinearAlgebra.parse('sqrt(2) 1; 2sqrt(2) 2').A, LinearAlgebra.fields.real).rank, 1);
+    const { A, B, field } = LinearAlgebra.parse('pi 1 | 1; 2pi 2 | 2');
+    assert.strictEqual(LinearAlgebra.solveSystem(field, A, B.map(row => row[0])).consistent, true);
+});
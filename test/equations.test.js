@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Complex, EquationSolvers, EquationFormatter, ExactRoots } = require('../math/equations');
+
+// Park–Miller, so that a failing case can be replayed from its seed.
+const random = seed => () => (seed = seed * 16807 % 2147483647) / 2147483647;
+
+// Monic coefficients, highest power first, of Π (x - r).
+const fromRoots = roots => roots.reduce((coeffs, r) => {
+    const next = coeffs.concat(0);
+    for (let i = coeffs.length; i > 0; i--) next[i] -= r * coeffs[i - 1];
+    return next;
+}, [1]);
+
+// Expands { real, imag, multiplicity } results and matches them greedily against the expected real roots.
+function assertRoots(found, expected, tolerance, label) {
+    const remaining = found.flatMap(root => Array(root.multiplicity || 1).fill(root));
+    assert.strictEqual(remaining.length, expected.length, `${label}: ${remaining.length} roots instead of ${expected.length}`);
+    for (const r of expected) {
+        const distance = z => Complex.abs(Complex.sub(z, { real: r, imag: 0 })) / Math.max(1, Math.abs(r));
+        const nearest = remaining.reduce((best, z, i) => distance(z) < distance(remaining[best]) ? i : best, 0);
+        assert.ok(distance(remaining[nearest]) < tolerance, `${label}: root ${r} found as ${JSON.stringify(remaining[nearest])}`);
+        remaining.splice(nearest, 1);
+    }
+}
+
+test('random polynomials with known real roots', () => {
+    const next = random(20240611);
+    for (let trial = 0; trial < 300; trial++) {
+        for (const degree of [1, 2, 3, 4, 5, 6, 8]) {
+            const roots = Array.from({ length: degree }, () => Math.round((next() * 20 - 10) * 100) / 100);
+            // Accidental repeats (two draws of the same root) are ill-conditioned but must still be exact.
+            assertRoots(EquationSolvers.solve(fromRoots(roots)), roots, degree > 4 ? 1e-7 : 1e-9, `roots ${roots}`);
+        }
+    }
+});
+
+test('random polynomials keep complex conjugate pairs', () => {
+    const next = random(7);
+    for (let trial = 0; trial < 200; trial++) {
+        const re = next() * 10 - 5, im = next() * 5 + 0.1, r = next() * 10 - 5;
+        // (x - r)(x² - 2·re·x + re² + im²)
+        const coeffs = [1, -2 * re - r, re * re + im * im + 2 * re * r, -r * (re * re + im * im)];
+        const roots = EquationSolvers.solve(coeffs);
+        assert.strictEqual(roots.length, 3);
+        for (const z of [{ real: r, imag: 0 }, { real: re, imag: im }, { real: re, imag: -im }]) {
+            assert.ok(roots.some(root => Complex.abs(Complex.sub(root, z)) < 1e-9), `missing ${JSON.stringify(z)} in ${JSON.stringify(roots)}`);
+        }
+    }
+});
+
+test('repeated roots are reported once with their multiplicity', () => {
+    const cases = [
+        [[1, 1], [[1, 2]]],
+        [[2, 2, 2], [[2, 3]]],
+        [[-3.44, -3.44, 7.3], [[-3.44, 2], [7.3, 1]]],
+        [[1.31, 1.31, -9.21, 4.37], [[1.31, 2], [-9.21, 1], [4.37, 1]]],
+        [[0.5, 0.5, 0.5, 0.5], [[0.5, 4]]],
+        [[0, 0, 0, 1], [[0, 3], [1, 1]]]
+    ];
+    for (const [roots, expected] of cases) {
+        const found = EquationSolvers.solve(fromRoots(roots));
+        assert.strictEqual(found.length, expected.length, `roots ${roots}: ${JSON.stringify(found)}`);
+        for (const [value, multiplicity] of expected) {
+            const root = found.find(z => Math.abs(z.real - value) < 1e-12 && z.imag === 0);
+            assert.ok(root, `roots ${roots}: ${value} missing from ${JSON.stringify(found)}`);
+            assert.strictEqual(root.multiplicity, multiplicity);
+        }
+    }
+});
+
+test('high-multiplicity clusters are grouped into a single root', () => {
+    const cases = [
+        [Array(10).fill(1), [[1, 10]]],
+        [Array(10).fill(Math.SQRT2), [[Math.SQRT2, 10]]],
+        [Array(15).fill(0.7), [[0.7, 15]]],
+        [[...Array(6).fill(2), -1, -1, -1], [[2, 6], [-1, 3]]]
+    ];
+    for (const [roots, expected] of cases) {
+        const found = EquationSolvers.solve(fromRoots(roots));
+        assert.strictEqual(found.length, expected.length, `roots ${roots}: ${JSON.stringify(found)}`);
+        for (const [value, multiplicity] of expected) {
+            const root = found.find(z => Math.abs(z.real - value) < 1e-9 && z.imag === 0);
+            assert.ok(root, `roots ${roots}: ${value} missing from ${JSON.stringify(found)}`);
+            assert.strictEqual(root.multiplicity, multiplicity);
+        }
+    }
+});
+
+test('solveCubic keeps its accuracy when two roots nearly coincide', () => {
+    for (const gap of [1e-2, 1e-3, 1e-4, 1e-5]) {
+        const roots = [1, 1 + gap, -2];
+        const found = EquationSolvers.solveCubic(...fromRoots(roots)).map(z => ({ ...z, multiplicity: 1 }));
+        // The pair is only determined to about ε / gap; the isolated root to full precision.
+        assertRoots(found, roots, 1e-15 / gap * 10, `gap ${gap}`);
+        assert.ok(found.some(z => Math.abs(z.real + 2) < 1e-15));
+    }
+});
+
+test('solveQuartic handles biquadratics and resolvents without an obvious real root', () => {
+    // Ferrari with the first real resolvent root gave m = 0 here and merged the two pairs into ±i√2.
+    const found = EquationSolvers.solve([1, 0, 4, 0, 1]);
+    const expected = [Math.sqrt(2 + Math.sqrt(3)), Math.sqrt(2 - Math.sqrt(3))];
+    assert.strictEqual(found.length, 4);
+    for (const im of expected) {
+        for (const sign of [1, -1]) assert.ok(found.some(z => Math.abs(z.real) < 1e-12 && Math.abs(z.imag - sign * im) < 1e-12));
+    }
+    const next = random(99);
+    for (let trial = 0; trial < 500; trial++) {
+        const coeffs = Array.from({ length: 5 }, () => Math.round(next() * 200 - 100) / 10);
+        if (Math.abs(coeffs[0]) < 0.1) continue;
+        const roots = EquationSolvers.solveQuartic(...coeffs);
+        assert.strictEqual(roots.length, 4);
+        for (const z of roots) {
+            const residual = Complex.abs(EquationSolvers.evaluatePolynomial(coeffs, z));
+            const scale = coeffs.reduce((s, c) => s * Complex.abs(z) + Math.abs(c), 0);
+            assert.ok(residual <= 1e-12 * scale, `coefficients ${coeffs}: residual ${residual} at ${JSON.stringify(z)}`);
+        }
+    }
+});
+
+test('formatNumber shows exact fractions and does not round small values away', () => {
+    const cases = [
+        [0, '0'], [-3, '-3'], [0.5, '\\frac{1}{2}'], [1 / 3, '\\frac{1}{3}'], [-7 / 12, '-\\frac{7}{12}'],
+        [0.12345, '0.12345'], [1e-10, '1\\times 10^{-10}'], [-2.5e-7, '-2.5\\times 10^{-7}'],
+        [Math.PI, '3.141592654'], [123456789, '123456789'], [1e9 + 0.5, '\\frac{2000000001}{2}'], [2 + 1e-14, '2']
+    ];
+    for (const [value, expected] of cases) assert.strictEqual(EquationFormatter.formatNumber(value), expected, `formatNumber(${value})`);
+    assert.strictEqual(EquationFormatter.formatRoot({ real: 0.5, imag: -1 }), '\\frac{1}{2} - i');
+});
+
+test('ExactRoots gives rational and radical forms', () => {
+    const latex = coeffs => ExactRoots.solve(coeffs).roots.map(root => root.latex + (root.multiplicity > 1 ? `^${root.multiplicity}` : ''));
+    assert.deepStrictEqual(latex([1, -2, -5, 6]), ['-2', '1', '3']);
+    assert.deepStrictEqual(latex([1, -2, 1, 0]), ['0', '1^2']);
+    assert.deepStrictEqual(latex([1, 0, -2]), ['-\\sqrt{2}', '\\sqrt{2}']);
+    assert.deepStrictEqual(latex([1, 0, 1]), ['i', '-i']);
+    assert.strictEqual(ExactRoots.solve([1, -2, -5, 6]).factored, '\\left(x - 1\\right)\\left(x + 2\\right)\\left(x - 3\\right)');
+    const cubeRoot = ExactRoots.solve([1, 0, 0, -2]).roots[0];
+    assert.strictEqual(cubeRoot.latex, '\\sqrt[3]{2}');
+    assert.ok(Math.abs(cubeRoot.real - Math.cbrt(2)) < 1e-15);
+    // Only plain decimals are read as exact; anything else is left to the numeric solvers.
+    assert.strictEqual(ExactRoots.solve([1, 1e-30, 1]), null);
+    // Highly composite coefficients: only numeric roots are tried as p/q, not every divisor pair.
+    const found = poly => ExactRoots.rationalRoots(poly).roots.map(({ p, q, multiplicity }) => `${p}/${q}^${multiplicity}`);
+    assert.deepStrictEqual(found([735134400n, 1n, 735134400n]), []);
+    assert.deepStrictEqual(found([7351344000n, 1n, 1n, 7351344000n]), ['-1/1^1']);
+    assert.deepStrictEqual(found([735134400n, -(735134400n ** 2n + 1n), 735134400n]), ['1/735134400^1', '735134400/1^1']);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FunctionGrapher } = require('../math/grapher');
+
+const VIEW = { x: [-10, 10], y: [-6, 6] };
+const close = (actual, expected, tolerance, label) => assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} ≠ ${expected}`);
+const pointsOf = (source, type, view = VIEW) => {
+    const { curves, errors } = FunctionGrapher.parse(source);
+    assert.deepStrictEqual(errors, []);
+    return FunctionGrapher.analyze(curves, view).filter(p => p.type === type).map(p => p.x);
+};
+
+test('curve lines parse into graphs, parametric and polar curves', () => {
+    const { curves, errors } = FunctionGrapher.parse('y = x^2\n# comment\n\n(3cos(t), 2sin(t))\nr = 1 + cos(θ), θ in [0, 4pi]\nsqrt(x), x in [1, 4]\nfoo(\nsin(x), t in [0, 1]');
+    assert.deepStrictEqual(curves.map(c => [c.kind, c.line]), [['function', 1], ['parametric', 4], ['polar', 5], ['function', 6]]);
+    assert.strictEqual(curves[0].f(3), 9);
+    assert.deepStrictEqual(curves[1].point(0), [3, 0]);
+    close(curves[2].range[1], 4 * Math.PI, 1e-15, 'polar range');
+    close(curves[2].point(Math.PI / 2)[1], 1, 1e-15, 'r(π/2)');
+    assert.deepStrictEqual(curves[3].range, [1, 4]);
+    assert.strictEqual(FunctionGrapher.toLatex(curves[2]), 'r = 1 + \\cos\\left(\\theta\\right)');
+    assert.strictEqual(errors.length, 2);
+    assert.ok(errors[0].startsWith('第 7 行') && errors[1].startsWith('第 8 行'));
+});
+
+test('adaptive sampling breaks at poles and jumps but not on steep flanks', () => {
+    const breaks = source => {
+        const [curve] = FunctionGrapher.parse(source).curves;
+        const { x, y } = FunctionGrapher.sampleCurve(curve, VIEW);
+        return y.flatMap((v, i) => v === null ? [(x[i - 1] + x[i + 1]) / 2] : []);
+    };
+    assert.deepStrictEqual(breaks('x^3/4 - x'), []);
+    const pole = breaks('1/(x - 2)');
+    assert.ok(pole.length >= 1 && pole.every(x => Math.abs(x - 2) < 1e-3), `1/(x - 2): ${pole}`);
+    assert.deepStrictEqual(breaks('1/x^2').map(Math.round), [0]);
+    assert.strictEqual(breaks('floor(x)').length, 30);
+    // sqrt is sampled right up to its domain edge.
+    const { x } = FunctionGrapher.sampleCurve(FunctionGrapher.parse('sqrt(x)').curves[0], VIEW);
+    assert.ok(Math.min(...x.filter(v => v !== null)) < 1e-4);
+    const ellipse = FunctionGrapher.sampleCurve(FunctionGrapher.parse('(3cos(t), 2sin(t))').curves[0], VIEW);
+    assert.ok(!ellipse.x.includes(null) && Math.abs(ellipse.x[ellipse.x.length - 1] - 3) < 1e-12);
+});
+
+test('zeros, extrema and inflection points of a cubic', () => {
+    pointsOf('x^3/4 - x', 'zero').forEach((x, i) => close(x, [-2, 0, 2][i], 1e-12, 'zero'));
+    assert.deepStrictEqual(pointsOf('x^3/4 - x', 'maximum').map(x => x.toFixed(12)), [(-2 / Math.sqrt(3)).toFixed(12)]);
+    assert.deepStrictEqual(pointsOf('x^3/4 - x', 'minimum').map(x => x.toFixed(12)), [(2 / Math.sqrt(3)).toFixed(12)]);
+    assert.deepStrictEqual(pointsOf('x^3/4 - x', 'inflection'), [0]);
+});
+
+test('poles, jumps and touching zeros are told apart', () => {
+    assert.deepStrictEqual(pointsOf('1/x', 'zero'), []);
+    assert.deepStrictEqual(pointsOf('tan(x)', 'zero').map(x => Math.round(x / Math.PI)), [-3, -2, -1, 0, 1, 2, 3]);
+    assert.deepStrictEqual(pointsOf('x^2 - 2x + 1', 'zero').map(x => x.toFixed(6)), ['1.000000']);
+    assert.deepStrictEqual(pointsOf('abs(x) - 1', 'minimum'), [0]);
+    assert.deepStrictEqual(pointsOf('abs(x) - 1', 'inflection'), []);
+    assert.deepStrictEqual(pointsOf('cbrt(x)', 'inflection'), [0]);
+    assert.deepStrictEqual(pointsOf('3', 'maximum'), []);
+    assert.deepStrictEqual(pointsOf('sign(x) - 2', 'zero'), []);
+});
+
+test('intersections of every pair of graphs', () => {
+    const found = pointsOf('sin(x)\ncos(x)', 'intersection', { x: [-4, 4], y: [-2, 2] });
+    assert.deepStrictEqual(found.map(x => x.toFixed(12)), [-3 * Math.PI / 4, Math.PI / 4, 5 * Math.PI / 4].map(x => x.toFixed(12)));
+    const [point] = FunctionGrapher.analyze(FunctionGrapher.parse('x\n2 - x, x in [0, 5]').curves, VIEW).filter(p => p.type === 'intersection');
+    assert.deepStrictEqual([point.x, point.y, point.curves], [1, 1, [0, 1]]);
+    // |x| - 1 reaches -1 where sign(x) jumps from -1 to 1, but only meets the graph again at x = 2.
+    assert.deepStrictEqual(pointsOf('abs(x) - 1\nsign(x)', 'intersection', { x: [-9.7, 10.3], y: [-6, 6] }), [2]);
+});
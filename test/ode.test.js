@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ODESolver } = require('../math/ode');
+
+const last = run => run.y[run.y.length - 1];
+
+test('equations and systems parse with the right variables', () => {
+    const scalar = ODESolver.parse("y' = x - y");
+    assert.deepStrictEqual([scalar.independent, scalar.variables, scalar.autonomous], ['x', ['y'], false]);
+    assert.deepStrictEqual(scalar.f(3, [1]), [2]);
+    assert.strictEqual(ODESolver.toLatex(scalar), "y' = x - y");
+    assert.deepStrictEqual(ODESolver.parse('y^2').variables, ['y']);
+    assert.strictEqual(ODESolver.parse('dN/dt = N(1 - N)').independent, 't');
+    assert.strictEqual(ODESolver.parse("x' = -x").independent, 't');
+    const system = ODESolver.parse("# pendulum\nx' = y\ny' = -sin(x)");
+    assert.deepStrictEqual([system.independent, system.variables, system.autonomous], ['t', ['x', 'y'], true]);
+    assert.deepStrictEqual(system.f(0, [0, 2]), [2, -0]);
+    for (const bad of ['', "y' = z", "x' = y\nx' = 1", "x' = y\ny = x", "y' = 1\nz' = 2\nu' = 3\nv' = 4\nw' = 5"]) assert.throws(() => ODESolver.parse(bad), bad);
+});
+
+test('every method converges at its order on y\' = x - y', () => {
+    // y(0) = 1 gives y = x - 1 + 2e^{-x}.
+    const { f } = ODESolver.parse("y' = x - y"), exact = 1 + 2 * Math.exp(-2);
+    const tolerances = { euler: 0.03, heun: 2e-3, rk4: 1e-6, rk45: 1e-6 };
+    for (const [method, tolerance] of Object.entries(tolerances)) {
+        const run = ODESolver.integrate(f, 0, [1], 2, { method, h: 0.1 });
+        assert.strictEqual(run.t[run.t.length - 1], 2);
+        assert.ok(Math.abs(last(run)[0] - exact) < tolerance, `${method}: ${last(run)[0]}`);
+    }
+    const study = ODESolver.convergence(f, 0, [1], 2);
+    assert.ok(Math.abs(study.reference[0] - exact) < 1e-13);
+    const orders = Object.fromEntries(study.methods.map(m => [m.method, m.order]));
+    for (const method of ['euler', 'heun', 'rk4']) assert.ok(Math.abs(orders[method] - ODESolver.ORDERS[method]) < 0.2, `${method}: order ${orders[method]}`);
+    // Backwards works too.
+    assert.ok(Math.abs(last(ODESolver.integrate(f, 2, [exact], 0, { method: 'rk4', h: 0.01 }))[0] - 1) < 1e-9);
+});
+
+test('RK45 keeps its tolerance on a system and adapts the step', () => {
+    const { f } = ODESolver.parse("x' = y\ny' = -x");
+    for (const tolerance of [1e-4, 1e-8, 1e-11]) {
+        const run = ODESolver.integrate(f, 0, [1, 0], 2 * Math.PI, { method: 'rk45', h: 0.1, tolerance });
+        const [x, y] = last(run);
+        assert.ok(Math.hypot(x - 1, y) < 100 * tolerance, `tolerance ${tolerance}: (${x}, ${y})`);
+    }
+    // y' = y² blows up at x = 1: the step collapses instead of running on forever.
+    const blowUp = ODESolver.integrate(ODESolver.parse("y' = y^2").f, 0, [1], 2, { method: 'rk45' });
+    assert.strictEqual(blowUp.stopped, 'step');
+    assert.ok(Math.abs(blowUp.t[blowUp.t.length - 1] - 1) < 1e-3);
+    assert.throws(() => ODESolver.convergence(ODESolver.parse("y' = y^2").f, 0, [1], 2));
+    const outside = ODESolver.integrate(ODESolver.parse("y' = 1").f, 0, [0], 10, { method: 'euler', h: 1, inside: (t, y) => y[0] < 3.5 });
+    assert.deepStrictEqual([outside.stopped, outside.t], ['outside', [0, 1, 2, 3, 4]]);
+});
+
+test('the slope field follows f and skips undefined points', () => {
+    const field = ODESolver.field(ODESolver.parse("y' = x"), { x: [-1, 1], y: [-1, 1] }, 4);
+    assert.strictEqual(field.x.length, 16 * 3);
+    for (let k = 0; k < field.x.length; k += 3) {
+        const slope = (field.y[k + 1] - field.y[k]) / (field.x[k + 1] - field.x[k]), x = (field.x[k] + field.x[k + 1]) / 2;
+        assert.ok(Math.abs(slope - x) < 1e-12);
+    }
+    assert.strictEqual(ODESolver.field(ODESolver.parse("y' = sqrt(y)"), { x: [-1, 1], y: [-1, 1] }, 4).x.length, 8 * 3);
+});
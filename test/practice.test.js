@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MathExpression } = require('../math/expression');
+const { NumericalCalculus } = require('../math/numerical');
+const { LimitEvaluator } = require('../math/limits');
+const { EquationSolvers } = require('../math/equations');
+const { Practice } = require('../math/practice');
+
+const close = (actual, expected, tolerance, label) => assert.ok(Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected)), `${label}: ${actual} ≠ ${expected}`);
+
+// Every template of a topic, each drawn with a few seeds.
+function* specs(topic) {
+    for (const [index, template] of Practice.TEMPLATES[topic].entries()) {
+        for (let seed = 1; seed <= 12; seed++) yield [`${topic} #${index}, seed ${seed}`, template(Practice.random(seed * 7919))];
+    }
+}
+
+test('derivatives agree with finite differences', () => {
+    for (const [label, source] of specs('derivative')) {
+        const f = MathExpression.compile(source), problem = Practice.BUILDERS.derivative(source);
+        for (const x of Practice.SAMPLE_POINTS.filter(x => isFinite(f(x)))) close(problem.answer.f(x), NumericalCalculus.derivative(f, x), 1e-6, `${label}: ${source} at ${x}`);
+    }
+});
+
+test('limits and integrals agree with the limit evaluator and quadrature', () => {
+    for (const [label, { source, c, value }] of specs('limits')) {
+        const result = LimitEvaluator.evaluate(source, c);
+        assert.strictEqual(result.kind, 'finite', `${label}: ${source}`);
+        close(result.value, value, 1e-9, `${label}: ${source}`);
+    }
+    for (const [label, { f, F, a, b, value }] of specs('integral')) {
+        const [lo, hi] = [a, b].map(MathExpression.evaluate), antiderivative = MathExpression.compile(F);
+        close(NumericalCalculus.integrate(MathExpression.compile(f), lo, hi), value, 1e-9, `${label}: ∫ ${f}`);
+        close(antiderivative(hi) - antiderivative(lo), value, 1e-12, `${label}: ${F}`);
+    }
+});
+
+test('roots and next terms are what the solvers find', () => {
+    for (const [label, coeffs] of specs('equation-solver')) {
+        const { answer } = Practice.BUILDERS['equation-solver'](coeffs);
+        assert.ok(answer.values.length >= 1, label);
+        answer.values.forEach(r => close(EquationSolvers.evaluatePolynomial(coeffs, { real: r, imag: 0 }).real, 0, 1e-9, `${label}: p(${r})`));
+    }
+    Practice.TEMPLATES.polyfit.forEach((template, index) => {
+        const accepted = Array.from({ length: 12 }, (_, seed) => Practice.BUILDERS.polyfit(template(Practice.random(seed + 1)))).filter(p => p);
+        assert.ok(accepted.length > 6, `polyfit #${index}`);
+    });
+    assert.strictEqual(Practice.BUILDERS.polyfit(n => 2 ** n).answer.value, 128);
+    // 1, 2, 3, 5, 8, 13: a_7 = 21 by the recurrence.
+    const fibonacci = Practice.BUILDERS.polyfit(n => [1, 2, 3, 5, 8, 13, 21][n - 1]);
+    assert.strictEqual(fibonacci.answer.value, 21);
+    assert.strictEqual(fibonacci.answerLatex, 'a_{7} = 21');
+});
+
+test('equivalent answers are accepted and wrong ones rejected', () => {
+    const correct = (problem, input) => {
+        const result = Practice.check(problem, input);
+        assert.ok(result.valid, `${input}: ${result.message}`);
+        return result.correct;
+    };
+    const derivative = Practice.BUILDERS.derivative('x^2 sin(x)');
+    assert.ok(correct(derivative, '2x sin(x) + x^2 cos(x)'));
+    assert.ok(correct(derivative, "f'(x) = x(2sin(x) + x cos(x))"));
+    assert.ok(!correct(derivative, '2x cos(x)'));
+    assert.match(Practice.check(derivative, '2y').message, /未知变量/);
+    assert.strictEqual(Practice.check(derivative, '  ').valid, false);
+
+    const limit = Practice.BUILDERS.limits({ source: '(1 + 2/x)^x', c: Infinity, value: Math.exp(2), steps: [] });
+    assert.ok(correct(limit, 'e^2') && correct(limit, 'exp(2)') && correct(limit, 'L = 7.3890561'));
+    assert.ok(!correct(limit, '7.39'));
+    assert.strictEqual(Practice.check(limit, 'sqrt(-1)').valid, false);
+
+    const roots = Practice.BUILDERS['equation-solver']([1, -2, -2]);
+    assert.ok(correct(roots, '1 + sqrt(3), 1 - sqrt(3)'));
+    assert.ok(correct(roots, 'x_1 = 1 - sqrt(3); x_2 = 1 + sqrt(3)'));
+    assert.ok(!correct(roots, '1 + sqrt(3)'));
+    assert.ok(!correct(roots, '1 + sqrt(3), 1 - sqrt(3), 2'));
+    const double = Practice.BUILDERS['equation-solver']([1, -4, 4]);
+    assert.ok(correct(double, '2') && correct(double, '2, 2'));
+    assert.match(double.steps[1].text, /二重实根/);
+});
+
+test('problems are reproducible from a seed and progress is tallied per topic', () => {
+    for (const topic of Object.keys(Practice.TOPICS)) {
+        assert.strictEqual(Practice.generate(topic, Practice.random(99)).latex, Practice.generate(topic, Practice.random(99)).latex, topic);
+    }
+    assert.throws(() => Practice.generate('geometry'));
+    let progress = {};
+    [true, true, false, true].forEach(correct => { progress = Practice.record(progress, 'limits', correct); });
+    progress = Practice.record(progress, 'integral', true);
+    assert.deepStrictEqual(progress, {
+        limits: { attempts: 4, correct: 3, streak: 1, best: 2 },
+        integral: { attempts: 1, correct: 1, streak: 1, best: 1 }
+    });
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BigNumber = require('../vendor/bignumber.js-9.1.2/bignumber.js');
+const { MathExpression } = require('../math/expression');
+const { HighPrecision } = require('../math/precision');
+const DIGITS = require('./fixtures/digits.json');
+
+// compute() rounds half up to the requested number of places; the fixtures are truncated one digit further.
+const roundReference = (reference, places) => {
+    const [intPart, fraction] = reference.split('.');
+    const scaled = BigInt(intPart + fraction.slice(0, places)) + (fraction[places] >= '5' ? 1n : 0n);
+    const text = scaled.toString().padStart(places + 1, '0');
+    return `${text.slice(0, -places)}.${text.slice(-places)}`;
+};
+
+test('π, e, φ and √2 match the stored digits', () => {
+    const tasks = { pi: ['pi'], e: ['e'], phi: ['phi'], sqrt2: ['sqrt', '2'] };
+    for (const [key, [task, value]] of Object.entries(tasks)) {
+        for (const places of [1, 10, 30, 49, 50, 51, 100, 999]) {
+            assert.strictEqual(HighPrecision.compute(task, places, value), roundReference(DIGITS[key], places), `${key} to ${places} places`);
+        }
+    }
+});
+
+test('rounding that carries through several digits is not mistaken for a wrong result', () => {
+    // π = 3.14159265358979323846264338327|95…: the 30-place result ends in …280, not …279.
+    assert.strictEqual(HighPrecision.compute('pi', 30), '3.141592653589793238462643383280');
+});
+
+test('the other constants agree with their built-in 50-digit prefixes', () => {
+    for (const [name, { prefix }] of Object.entries(HighPrecision.CONSTANTS)) {
+        const result = HighPrecision.compute(name, 60);
+        assert.ok(result.startsWith(prefix.slice(0, -1)), `${name}: ${result}`);
+    }
+});
+
+test('square roots of rationals are certified and reject bad input', () => {
+    assert.strictEqual(HighPrecision.compute('sqrt', 20, '1/4'), '0.50000000000000000000');
+    assert.strictEqual(HighPrecision.compute('sqrt', 15, '7/3'), '1.527525231651947');
+    assert.strictEqual(HighPrecision.compute('sqrt', 10, '1e6'), '1000.0000000000');
+    assert.strictEqual(HighPrecision.isqrt(10n ** 40n + 1n), 10n ** 20n);
+    assert.throws(() => HighPrecision.compute('sqrt', 10, '-2'));
+    assert.throws(() => HighPrecision.compute('sqrt', 10, '0'));
+    assert.throws(() => HighPrecision.compute('tau', 10));
+});
+
+test('expressions are evaluated to guaranteed digits', () => {
+    const evaluate = (source, digits) => HighPrecision.evaluateExpression(MathExpression.parse(source, { keepLiterals: true }), digits, BigNumber);
+    const sum = evaluate('sqrt(2) + pi', 60);
+    assert.strictEqual(sum.guaranteed, 60);
+    const expected = BigInt(DIGITS.sqrt2.replace('.', '').slice(0, 70)) + BigInt(DIGITS.pi.replace('.', '').slice(0, 70));
+    // 70 significant digits of the sum, rounded half up to 60.
+    assert.strictEqual(sum.result.replace('.', ''), ((expected / 10n ** 9n + 5n) / 10n).toString());
+    assert.strictEqual(evaluate('0.1 + 0.2', 20).result, '0.30000000000000000000');
+    assert.strictEqual(evaluate('exp(1)', 40).result, roundReference(DIGITS.e, 39));
+    assert.strictEqual(evaluate('(1 + sqrt(5)) / 2', 30).result, roundReference(DIGITS.phi, 29));
+    assert.strictEqual(evaluate('4 atan(1)', 50).result, roundReference(DIGITS.pi, 49));
+    assert.throws(() => evaluate('ln(0)', 10));
+});
+
+test('error bounds contain the exact value and decide what is shown', () => {
+    const parse = source => MathExpression.parse(source, { keepLiterals: true });
+    const evaluate = (source, digits) => HighPrecision.evaluateExpression(parse(source), digits, BigNumber);
+    for (const source of ['sqrt(2) + pi', 'e^(pi sqrt(163)) - 640320^3', 'tan(1.57) * sinh(3) / ln(7)', 'asin(0.999) - acos(-0.3)', '(1 + 1e-30)^1000 - 1', 'cbrt(10) - 10^(1/3) + atan(100)']) {
+        const low = HighPrecision.createEvaluator(BigNumber, 40)(parse(source)), high = HighPrecision.createEvaluator(BigNumber, 200)(parse(source));
+        const error = low.x.minus(high.x).abs();
+        assert.ok(error.isZero() || error.lt(new BigNumber(`1e${Math.ceil(low.r)}`)), `${source}: ${error} vs 10^${low.r}`);
+    }
+    // e^(π√163) = 640320³ + 744 - 7.4992…e-13: the digits after the point survive only with a real bound.
+    assert.strictEqual(evaluate('e^(pi sqrt(163)) - 640320^3 - 744', 20).result, '-7.4992740280181431112e-13');
+    assert.deepStrictEqual(evaluate('tan(pi/2)', 30), { result: null, guaranteed: 0, unbounded: true });
+    const zero = evaluate('sin(pi)', 30);
+    assert.strictEqual(zero.result, '0');
+    assert.ok(zero.bound < -30, `|sin(π)| < 10^${zero.bound}`);
+    assert.strictEqual(evaluate('factorial(sqrt(9))', 5).result, '6.0000');
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ExactRoots } = require('../math/equations');
+const { SequenceAnalyzer, PolynomialRegression } = require('../math/sequences');
+
+const { Q } = ExactRoots;
+const show = r => r.d === 1n ? `${r.n}` : `${r.n}/${r.d}`;
+const random = seed => () => (seed = seed * 16807 % 2147483647) / 2147483647;
+
+// Feeds a_1 … a_count to the analyzer and checks that the recognized rule continues the sequence.
+function roundTrip(formula, count, label) {
+    const terms = Array.from({ length: count }, (_, i) => formula(i + 1));
+    const result = SequenceAnalyzer.analyze(terms);
+    for (let n = 1; n <= count + 5; n++) assert.strictEqual(show(result.next(n)), show(formula(n)), `${label}: a_${n} (${result.kind})`);
+    return result;
+}
+
+test('recognized families predict the following terms exactly', () => {
+    roundTrip(n => Q.make(3 * n - 2), 4, 'arithmetic');
+    roundTrip(n => Q.make(n * n + 1), 5, 'quadratic');
+    roundTrip(n => Q.make(BigInt(n) ** 5n - 7n * BigInt(n)), 8, 'quintic');
+    assert.strictEqual(roundTrip(n => Q.make(3n * 2n ** BigInt(n)), 4, 'geometric').formula, 'a_n = 6 \\cdot 2^{n-1}');
+    roundTrip(n => Q.make((-1n) ** BigInt(n), 3n ** BigInt(n)), 5, 'alternating geometric');
+    roundTrip(n => Q.make(5n * BigInt(n) ** 7n), 4, 'power');
+    roundTrip(n => Q.make(SequenceAnalyzer.factorial(n + 2)), 5, 'factorial');
+    const fibonacci = n => { let [a, b] = [1n, 1n]; for (let i = 1; i < n; i++) [a, b] = [b, a + b]; return Q.make(a); };
+    roundTrip(fibonacci, 8, 'Fibonacci');
+    roundTrip(n => Q.make(2n ** BigInt(n) + 3n ** BigInt(n)), 8, 'sum of geometrics');
+});
+
+test('the interpolation fallback reproduces arbitrary data', () => {
+    const next = random(42);
+    for (let trial = 0; trial < 50; trial++) {
+        const count = 2 + Math.floor(next() * 7);
+        const terms = Array.from({ length: count }, () => Q.make(Math.floor(next() * 2001) - 1000, 1 + Math.floor(next() * 12)));
+        const interpolant = SequenceAnalyzer.interpolate(terms);
+        terms.forEach((term, i) => assert.strictEqual(show(interpolant.next(i + 1)), show(term), `trial ${trial}: a_${i + 1}`));
+        // Whatever the analyzer settles on must agree with the data it was given.
+        const result = SequenceAnalyzer.analyze(terms);
+        terms.forEach((term, i) => assert.strictEqual(show(result.next(i + 1)), show(term), `trial ${trial}: ${result.kind}, a_${i + 1}`));
+    }
+});
+
+test('polynomial regression recovers exact polynomials and fits noisy data', () => {
+    const exact = [2, -3, 0.5, 0.25];
+    const points = Array.from({ length: 12 }, (_, i) => {
+        const x = i * 0.7 - 3;
+        return { x, y: exact.reduce((s, c, k) => s + c * x ** k, 0) };
+    });
+    const fit = PolynomialRegression.fit(points, 3);
+    fit.coefficients.forEach((c, k) => assert.ok(Math.abs(c - exact[k]) < 1e-10, `c_${k} = ${c}`));
+    assert.ok(Math.abs(fit.r2 - 1) < 1e-12);
+
+    // Far from the origin the normal equations would lose every digit; QR in the centred variable does not.
+    const shifted = Array.from({ length: 10 }, (_, i) => ({ x: 1e6 + i, y: 4 + 0.5 * i }));
+    assert.ok(Math.abs(PolynomialRegression.fit(shifted, 1).predict(1e6 + 20) - 14) < 1e-6);
+
+    const next = random(5);
+    const noisy = Array.from({ length: 200 }, (_, i) => ({ x: i / 20, y: 1 + 2 * (i / 20) + (next() - 0.5) * 0.1 }));
+    const line = PolynomialRegression.fit(noisy, 1);
+    assert.ok(Math.abs(line.coefficients[0] - 1) < 0.05 && Math.abs(line.coefficients[1] - 2) < 0.01);
+    assert.ok(line.r2 > 0.99);
+});
+
+test('CSV input with a header, a single column and bad rows', () => {
+    assert.deepStrictEqual(PolynomialRegression.parseCSV('x,y\n1,2\n2;4\n3\t6'), [{ x: 1, y: 2 }, { x: 2, y: 4 }, { x: 3, y: 6 }]);
+    assert.deepStrictEqual(PolynomialRegression.parseCSV('5\n7\n# comment\n9'), [{ x: 1, y: 5 }, { x: 2, y: 7 }, { x: 3, y: 9 }]);
+    assert.throws(() => PolynomialRegression.parseCSV('1,2\n3,abc'));
+    assert.throws(() => PolynomialRegression.fit([{ x: 1, y: 1 }, { x: 1, y: 2 }], 1));
+});